@@ -0,0 +1,7 @@
+// Billing configuration
+// currency: ISO code shown on invoices; every BillingRate is in this currency
+// billableStatuses: timesheet statuses whose hours may be invoiced
+module.exports = {
+    currency: process.env.BILLING_CURRENCY || 'USD',
+    billableStatuses: ['approved_final', 'approved', 'locked']
+};
@@ -0,0 +1,15 @@
+// Default overtime policy, used when no OvertimePolicy override matches.
+// Department and employee overrides are managed via /api/admin/overtime-policies
+// and only need to set the fields they change.
+// dailyThreshold / weeklyThreshold: regular hours allowed per day / per week (null = no limit)
+// overtimeMultiplier: pay rate for hours over either threshold
+// weekendMultiplier / holidayMultiplier: pay rate for every hour worked on a weekend day / Holiday
+// weekendDays: 0 = Sunday ... 6 = Saturday
+module.exports = {
+    dailyThreshold: 8,
+    weeklyThreshold: 40,
+    overtimeMultiplier: 1.5,
+    weekendMultiplier: 1,
+    holidayMultiplier: 2,
+    weekendDays: [0, 6]
+};
@@ -0,0 +1,14 @@
+// Proof review quality (see utils/review-quality)
+// defaultChecklist: review checklist for projects that have not set their own
+//   (Project.reviewChecklist); a required item must be ticked to approve
+// defectTypes: categories a reviewer files each defect under
+// severities: from least to most severe (Review.defectSeverity is the worst one found)
+module.exports = {
+    defaultChecklist: [
+        { key: 'tests_passing', label: 'Tests passing', required: true },
+        { key: 'docs_updated', label: 'Documentation updated', required: false },
+        { key: 'demo_covers_acceptance', label: 'Demo covers the acceptance criteria', required: true }
+    ],
+    defectTypes: ['functional', 'ui', 'performance', 'security', 'code_quality', 'testing', 'documentation', 'requirements', 'other'],
+    severities: ['low', 'medium', 'high', 'critical']
+};
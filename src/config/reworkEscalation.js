@@ -0,0 +1,9 @@
+// Escalation when an assignment reaches its rework limit (see utils/rework-escalation)
+// action: 'flag' holds the assignment until the project manager or an admin
+//         decides; 'reassign' also hands the task to the best-suited other
+//         employee (utils/task-assignment) when there is one (REWORK_ESCALATION_ACTION)
+// extraAttempts: attempts added when a reviewer grants another try
+module.exports = {
+    action: process.env.REWORK_ESCALATION_ACTION === 'reassign' ? 'reassign' : 'flag',
+    extraAttempts: 1
+};
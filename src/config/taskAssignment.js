@@ -0,0 +1,25 @@
+// Workload-aware task assignment (see utils/task-assignment)
+// mode: 'auto' assigns the best task when an employee's task is approved,
+//       'suggest' only notifies the reviewer with the suggestion (TASK_ASSIGNMENT_MODE)
+// maxOpenAssignments: employees with this many unfinished assignments get no new task
+// hoursPerDay: working hours per day used to size capacity and deadlines
+// lookaheadDays: days ahead checked for approved leave and capacity
+// attendanceWindowDays: past days used for the attendance rate
+// defaultDeadlineDays: working days given for a task with no estimate and no due date
+// weights: share of each factor in the candidate score (they add up to 100)
+module.exports = {
+    mode: process.env.TASK_ASSIGNMENT_MODE === 'suggest' ? 'suggest' : 'auto',
+    maxOpenAssignments: process.env.TASK_MAX_OPEN_ASSIGNMENTS !== undefined ? Number(process.env.TASK_MAX_OPEN_ASSIGNMENTS) : 5,
+    hoursPerDay: 8,
+    lookaheadDays: 14,
+    attendanceWindowDays: 30,
+    defaultDeadlineDays: 5,
+    weights: {
+        openAssignments: 15,
+        remainingHours: 20,
+        leave: 15,
+        attendance: 10,
+        projectMember: 20,
+        skills: 20
+    }
+};
@@ -0,0 +1,9 @@
+// Timesheet period configuration
+// type: 'weekly' | 'biweekly' | 'monthly'
+// weekStartsOn: 0 = Sunday, 1 = Monday (weekly/biweekly only)
+// anchorDate: first day of any biweekly period, used to align the two-week cycle
+module.exports = {
+    type: process.env.TIMESHEET_PERIOD_TYPE || 'weekly',
+    weekStartsOn: process.env.TIMESHEET_WEEK_STARTS_ON !== undefined ? Number(process.env.TIMESHEET_WEEK_STARTS_ON) : 1,
+    anchorDate: process.env.TIMESHEET_PERIOD_ANCHOR || '2024-01-01'
+};
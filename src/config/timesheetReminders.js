@@ -0,0 +1,13 @@
+// Missing-timesheet reminder job
+// enabled: set TIMESHEET_REMINDERS_ENABLED=false to turn the scheduled job off
+// runAtHour: local hour (0-23) after which the daily check runs
+// lookbackDays: how many past working days are checked on each run
+// escalateAfterDays: days a working day may stay missing before the employee's manager gets a digest
+// checkIntervalMinutes: how often the scheduler wakes up to see whether the daily run is due
+module.exports = {
+    enabled: process.env.TIMESHEET_REMINDERS_ENABLED !== 'false',
+    runAtHour: process.env.TIMESHEET_REMINDER_HOUR !== undefined ? Number(process.env.TIMESHEET_REMINDER_HOUR) : 18,
+    lookbackDays: process.env.TIMESHEET_REMINDER_LOOKBACK_DAYS !== undefined ? Number(process.env.TIMESHEET_REMINDER_LOOKBACK_DAYS) : 14,
+    escalateAfterDays: process.env.TIMESHEET_ESCALATE_AFTER_DAYS !== undefined ? Number(process.env.TIMESHEET_ESCALATE_AFTER_DAYS) : 3,
+    checkIntervalMinutes: 60
+};
@@ -0,0 +1,21 @@
+// File uploads (see utils/file-storage)
+// driver: storage backend for file contents, 'local' by default (UPLOAD_DRIVER)
+// localDir: folder the local driver writes to (UPLOAD_DIR)
+// maxFileSize: largest accepted file in bytes; maxFiles: files per upload request
+// allowedTypes: MIME types accepted for each kind of record a file is attached to;
+//   the type is read from the file's content, not from its name
+const path = require('path');
+
+const IMAGES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+module.exports = {
+    driver: process.env.UPLOAD_DRIVER || 'local',
+    localDir: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'),
+    maxFileSize: Number(process.env.UPLOAD_MAX_FILE_SIZE) || 10 * 1024 * 1024,
+    maxFiles: 5,
+    allowedTypes: {
+        proof: [...IMAGES, 'application/pdf', 'application/zip', 'text/plain'],
+        leave: [...IMAGES, 'application/pdf'],
+        feedback: [...IMAGES, 'application/pdf', 'text/plain']
+    }
+};
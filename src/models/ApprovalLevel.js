@@ -1,11 +1,16 @@
-const mongoose = require('mongoose');
-
-const ApprovalLevelSchema = new mongoose.Schema({
-    key: { type: String, required: true, unique: true },
-    display: { type: String, required: true },
-    role: { type: String, required: true },
-    status: { type: String, required: true },
-    order: { type: Number, default: 0 }
-});
-
-module.exports = mongoose.model('ApprovalLevel', ApprovalLevelSchema);
+const mongoose = require('mongoose');
+
+const ApprovalLevelSchema = new mongoose.Schema({
+    key: { type: String, required: true, match: /^[a-z0-9_]+$/ },
+    display: { type: String, required: true },
+    role: { type: String, required: true },
+    status: { type: String, required: true, match: /^pending_[a-z0-9_]+$/ },
+    order: { type: Number, default: 0 },
+    // null = default chain; otherwise the (lowercased) User.department this chain applies to
+    department: { type: String, default: null, lowercase: true, trim: true }
+}, { timestamps: true });
+
+ApprovalLevelSchema.index({ department: 1, key: 1 }, { unique: true });
+ApprovalLevelSchema.index({ department: 1, order: 1 });
+
+module.exports = mongoose.model('ApprovalLevel', ApprovalLevelSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Hourly rate for a project, a role (User.designation), an employee or any
+// combination of them, valid from effectiveFrom until effectiveTo (open-ended
+// when unset). The most specific rate in effect on the day of the work wins
+// (see utils/billing).
+const BillingRateSchema = new mongoose.Schema({
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    designation: { type: String, trim: true },
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rate: { type: Number, required: true, min: 0 },
+    effectiveFrom: { type: Date, required: true },
+    effectiveTo: { type: Date },
+    notes: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+BillingRateSchema.pre('validate', function(next) {
+    if (!this.project && !this.designation && !this.employee) {
+        this.invalidate('project', 'A billing rate needs a project, designation or employee');
+    }
+    if (this.effectiveTo && this.effectiveFrom && this.effectiveTo < this.effectiveFrom) {
+        this.invalidate('effectiveTo', 'effectiveTo must be on or after effectiveFrom');
+    }
+    next();
+});
+
+BillingRateSchema.index({ project: 1, employee: 1, designation: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('BillingRate', BillingRateSchema);
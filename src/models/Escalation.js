@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// An assignment that reached its rework limit, with the defect history that
+// led there. Open escalations make up the review dashboard queue.
+const EscalationSchema = new mongoose.Schema({
+    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true, index: true },
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true, index: true },
+    reason: { type: String, enum: ['max_rework_attempts'], default: 'max_rework_attempts' },
+    reworkAttempts: { type: Number, required: true },
+    maxReworkAttempts: { type: Number, required: true },
+    // what happened when it was raised: held for a decision or handed to someone else
+    autoAction: { type: String, enum: ['flagged', 'reassigned'], default: 'flagged' },
+    reassignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    defectHistory: [{
+        _id: false,
+        review: { type: mongoose.Schema.Types.ObjectId, ref: 'Review' },
+        proof: { type: mongoose.Schema.Types.ObjectId, ref: 'ProofSubmission' },
+        version: Number,
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reviewedAt: Date,
+        comments: String,
+        defectDescription: String,
+        defectSeverity: String,
+        defects: [{ _id: false, type: { type: String }, severity: String, description: String }]
+    }],
+    raisedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    status: { type: String, enum: ['open', 'resolved'], default: 'open', index: true },
+    resolution: {
+        action: { type: String, enum: ['grant_attempt', 'reassign', 'cancel_task', 'acknowledge'] },
+        resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        resolvedAt: Date,
+        notes: String
+    }
+}, { timestamps: true });
+
+EscalationSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Escalation', EscalationSchema);
@@ -1,35 +1,46 @@
-const mongoose = require('mongoose');
-
-const feedbackMessageSchema = new mongoose.Schema({
-    thread: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'FeedbackThread',
-        required: true
-    },
-    sender: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
-    },
-    senderRole: {
-        type: String,
-        enum: ['employee', 'manager', 'admin'],
-        required: true
-    },
-    message: {
-        type: String,
-        required: true
-    },
-    attachment: {
-        type: String,
-        default: null
-    },
-    readStatus: {
-        type: Boolean,
-        default: false
-    }
-}, {
-    timestamps: true
-});
-
-module.exports = mongoose.model('FeedbackMessage', feedbackMessageSchema);
+const mongoose = require('mongoose');
+
+const feedbackMessageSchema = new mongoose.Schema({
+    thread: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FeedbackThread',
+        required: true
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    senderRole: {
+        type: String,
+        enum: ['employee', 'manager', 'admin'],
+        required: true
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    // legacy: a link typed in by the sender
+    attachment: {
+        type: String,
+        default: null
+    },
+    // uploads through /api/files
+    attachments: [{
+        file: { type: mongoose.Schema.Types.ObjectId, ref: 'FileUpload' },
+        fileName: String,
+        fileUrl: String,
+        fileType: String,
+        mimeType: String,
+        size: Number,
+        uploadedAt: { type: Date, default: Date.now }
+    }],
+    readStatus: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('FeedbackMessage', feedbackMessageSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// An uploaded file. Contents live in the storage backend under storageKey,
+// which is derived from the checksum so identical files are stored once.
+// A file is attached to one parent record; until then only its uploader sees it.
+const FileUploadSchema = new mongoose.Schema({
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    checksum: { type: String, required: true, index: true }, // sha256, hex
+    storageKey: { type: String, required: true },
+    driver: { type: String, required: true },
+    // kind of record the file may be attached to (see config/uploads allowedTypes)
+    kind: { type: String, enum: ['proof', 'leave', 'feedback'], required: true },
+    parentModel: { type: String, enum: ['ProofSubmission', 'Task', 'LeaveRequest', 'FeedbackMessage'] },
+    parent: { type: mongoose.Schema.Types.ObjectId, refPath: 'parentModel', index: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('FileUpload', FileUploadSchema);
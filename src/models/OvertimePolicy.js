@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Override of the default overtime policy (config/overtimePolicy) for a department
+// or a single employee. Unset fields fall through to the next level:
+// employee override -> department override -> default.
+const OvertimePolicySchema = new mongoose.Schema({
+    name: { type: String, trim: true },
+    department: { type: String, lowercase: true, trim: true, default: null },
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    dailyThreshold: { type: Number, min: 0 },
+    weeklyThreshold: { type: Number, min: 0 },
+    overtimeMultiplier: { type: Number, min: 1 },
+    weekendMultiplier: { type: Number, min: 1 },
+    holidayMultiplier: { type: Number, min: 1 },
+    weekendDays: { type: [Number], default: undefined }
+}, { timestamps: true });
+
+OvertimePolicySchema.index({ department: 1 });
+OvertimePolicySchema.index({ employee: 1 });
+
+// An override applies to exactly one department or one employee
+OvertimePolicySchema.pre('validate', function(next) {
+    if (!this.department === !this.employee) {
+        this.invalidate('department', 'Set either a department or an employee');
+    }
+    next();
+});
+
+module.exports = mongoose.model('OvertimePolicy', OvertimePolicySchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A payroll close: every period ending on or before `through` is locked, and
+// periods created later for those dates start out locked
+const PayrollLockSchema = new mongoose.Schema({
+    through: { type: Date, required: true }, // end of the last locked period
+    lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+PayrollLockSchema.index({ through: -1 });
+
+// Latest payroll close (null before the first one)
+PayrollLockSchema.statics.latest = function() {
+    return this.findOne().sort({ through: -1 });
+};
+
+module.exports = mongoose.model('PayrollLock', PayrollLockSchema);
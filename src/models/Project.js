@@ -1,43 +1,76 @@
-const mongoose = require('mongoose');
-
-const ProjectSchema = new mongoose.Schema({
-    name: { type: String, required: true },
-    description: { type: String },
-    status: {
-        type: String,
-        enum: ['active', 'completed', 'pending_review', 'rework_required', 'approved', 'on-hold'],
-        default: 'active'
-    },
-    startDate: { type: Date },
-    endDate: { type: Date },
-    manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    employees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    budget: { type: Number },
-
-    // Project Completion Proof
-    completionProof: {
-        githubLink: String,
-        demoVideoLink: String,
-        documentationLink: String,
-        completionNotes: String,
-        submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-        submittedAt: Date
-    },
-
-    // Admin Review
-    reviewCycle: {
-        reviewStatus: {
-            type: String,
-            enum: ['pending', 'approved', 'rejected', 'rework_required'],
-            default: 'pending'
-        },
-        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-        reviewedAt: Date,
-        defectDescription: String,
-        adminComments: String,
-        defectCount: { type: Number, default: 0 },
-        reworkRequired: { type: Boolean, default: false }
-    }
-}, { timestamps: true });
-
-module.exports = mongoose.model('Project', ProjectSchema);
+const mongoose = require('mongoose');
+
+// A delivery stage of the project. Tasks point at it via Task.milestone; its
+// status is worked out from their assignments (see utils/milestones).
+const MilestoneSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    description: { type: String },
+    dueDate: { type: Date },
+    order: { type: Number, default: 0 }
+});
+
+const ProjectSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    description: { type: String },
+    status: {
+        type: String,
+        enum: ['active', 'completed', 'pending_review', 'rework_required', 'approved', 'on-hold'],
+        default: 'active'
+    },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    employees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    budget: { type: Number },
+    milestones: [MilestoneSchema],
+    // whether budget is in hours or in billed cost (see utils/project-budget)
+    budgetUnit: { type: String, enum: ['hours', 'cost'], default: 'hours' },
+    // budget alert thresholds (percent) already notified
+    budgetAlertsSent: [{ type: Number }],
+    // Kanban WIP limits: assignment status -> max cards in that column
+    wipLimits: { type: Map, of: Number, default: {} },
+    // items reviewers tick on each proof review; empty uses the defaults
+    // (config/reviewQuality, see utils/review-quality)
+    reviewChecklist: [{
+        _id: false,
+        key: { type: String, required: true },
+        label: { type: String, required: true, trim: true },
+        required: { type: Boolean, default: false }
+    }],
+
+    // Billing: who is invoiced for the project's hours, and whether its
+    // entries are billable unless an entry says otherwise
+    client: {
+        name: { type: String, trim: true },
+        email: { type: String },
+        address: { type: String }
+    },
+    billable: { type: Boolean, default: true },
+
+    // Project Completion Proof
+    completionProof: {
+        githubLink: String,
+        demoVideoLink: String,
+        documentationLink: String,
+        completionNotes: String,
+        submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        submittedAt: Date
+    },
+
+    // Admin Review
+    reviewCycle: {
+        reviewStatus: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected', 'rework_required'],
+            default: 'pending'
+        },
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reviewedAt: Date,
+        defectDescription: String,
+        adminComments: String,
+        defectCount: { type: Number, default: 0 },
+        reworkRequired: { type: Boolean, default: false }
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Project', ProjectSchema);
@@ -1,70 +1,130 @@
-const mongoose = require('mongoose');
-
-const ProofSubmissionSchema = new mongoose.Schema({
-    githubLink: { type: String, required: true, match: /^https?:\/\/(github\.com|gitlab\.com|bitbucket\.org)/ },
-    demoVideoLink: { type: String, required: true, match: /^https?:\/\/(youtube\.com|youtu\.be|vimeo\.com|loom\.com|drive\.google\.com)/ },
-    attachments: [{
-        fileName: String,
-        fileUrl: String,
-        fileType: String, // image, pdf, document, etc
-        uploadedAt: { type: Date, default: Date.now }
-    }],
-    completionNotes: { type: String, minlength: 20, maxlength: 2000, required: true },
-    submittedAt: { type: Date, default: Date.now }
-}, { _id: false });
-
-const ReviewCycleSchema = new mongoose.Schema({
-    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    reviewStatus: {
-        type: String,
-        enum: ['pending_review', 'approved', 'defect_found'],
-        default: 'pending_review'
-    },
-    managerComments: { type: String },
-    defectDescription: { type: String },
-    reviewedAt: { type: Date },
-    defectCount: { type: Number, default: 0 },
-    reworkRequired: { type: Boolean, default: false }
-}, { _id: false });
-
-const AssignmentSchema = new mongoose.Schema({
-    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    status: {
-        type: String,
-        enum: ['assigned', 'in_progress', 'submitted', 'pending_review', 'approved', 'defect_found', 'rework_required', 'completed'],
-        default: 'assigned'
-    },
-    progress: { type: Number, default: 0 }, // percent 0-100
-    submittedTimesheet: { type: Boolean, default: false },
-    deadline: { type: Date },
-
-    // Proof Submission Fields
-    proofSubmission: ProofSubmissionSchema,
-
-    // Review Cycle Fields
-    reviewCycle: ReviewCycleSchema,
-
-    // Legacy fields (keeping for backward compatibility)
-    submittedAt: { type: Date },
-    submittedData: {
-        workLogs: { type: String },
-        remarks: { type: String },
-        attachments: [{ type: String }]
-    },
-
-    // Rework Tracking
-    reworkAttempts: { type: Number, default: 0 },
-    maxReworkAttempts: { type: Number, default: 3 },
-    finalApprovedAt: { type: Date }
-}, { _id: false });
-
-const TaskSchema = new mongoose.Schema({
-    title: { type: String, required: true },
-    description: { type: String },
-    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
-    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // manager
-    assignments: [AssignmentSchema],
-    createdAt: { type: Date, default: Date.now }
-});
-
-module.exports = mongoose.model('Task', TaskSchema);
+const mongoose = require('mongoose');
+const checklists = require('../utils/checklists');
+
+const ProofSubmissionSchema = new mongoose.Schema({
+    githubLink: { type: String, required: true, match: /^https?:\/\/(github\.com|gitlab\.com|bitbucket\.org)/ },
+    demoVideoLink: { type: String, required: true, match: /^https?:\/\/(youtube\.com|youtu\.be|vimeo\.com|loom\.com|drive\.google\.com)/ },
+    attachments: [{
+        file: { type: mongoose.Schema.Types.ObjectId, ref: 'FileUpload' },
+        fileName: String,
+        fileUrl: String,
+        fileType: String, // image, pdf, document, etc
+        mimeType: String,
+        size: Number,
+        uploadedAt: { type: Date, default: Date.now }
+    }],
+    completionNotes: { type: String, minlength: 20, maxlength: 2000, required: true },
+    submittedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const ReviewCycleSchema = new mongoose.Schema({
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewStatus: {
+        type: String,
+        enum: ['pending_review', 'approved', 'defect_found'],
+        default: 'pending_review'
+    },
+    managerComments: { type: String },
+    defectDescription: { type: String },
+    reviewedAt: { type: Date },
+    defectCount: { type: Number, default: 0 },
+    reworkRequired: { type: Boolean, default: false }
+}, { _id: false });
+
+const AssignmentSchema = new mongoose.Schema({
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: {
+        type: String,
+        enum: ['assigned', 'in_progress', 'submitted', 'pending_review', 'approved', 'defect_found', 'rework_required', 'completed'],
+        default: 'assigned'
+    },
+    progress: { type: Number, default: 0 }, // percent 0-100
+    boardOrder: { type: Number, default: 0 }, // position within its Kanban column
+    submittedTimesheet: { type: Boolean, default: false },
+    deadline: { type: Date },
+
+    // Proof Submission Fields; every submitted proof is also kept as a
+    // numbered ProofSubmission version (utils/proof-versions)
+    proofSubmission: ProofSubmissionSchema,
+    proofVersion: { type: Number },
+
+    // Review Cycle Fields
+    reviewCycle: ReviewCycleSchema,
+
+    // Legacy fields (keeping for backward compatibility)
+    submittedAt: { type: Date },
+    submittedData: {
+        workLogs: { type: String },
+        remarks: { type: String },
+        attachments: [{ type: String }]
+    },
+
+    // Rework Tracking
+    reworkAttempts: { type: Number, default: 0 },
+    maxReworkAttempts: { type: Number, default: 3 },
+    // open escalation after reaching the rework limit (utils/rework-escalation);
+    // the assignment is held until it is resolved
+    escalation: { type: mongoose.Schema.Types.ObjectId, ref: 'Escalation' },
+    finalApprovedAt: { type: Date }
+}, { _id: false });
+
+// A checklist item (subtask); an unassigned item counts for every assignee
+const ChecklistItemSchema = new mongoose.Schema({
+    title: { type: String, required: true, trim: true },
+    assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    done: { type: Boolean, default: false },
+    doneAt: { type: Date },
+    doneBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    order: { type: Number, default: 0 }
+});
+
+// Task-level status. Everything but 'cancelled' follows the assignments
+// (see deriveStatus); a manager cancels a task or reopens it.
+const TASK_STATUSES = ['open', 'in_progress', 'in_review', 'done', 'cancelled'];
+
+/**
+ * Task status implied by its assignments
+ */
+function deriveStatus(assignments) {
+    if (!assignments || assignments.length === 0) return 'open';
+    if (assignments.every(a => ['approved', 'completed'].includes(a.status))) return 'done';
+    if (assignments.some(a => ['submitted', 'pending_review'].includes(a.status))) return 'in_review';
+    if (assignments.some(a => a.status !== 'assigned')) return 'in_progress';
+    return 'open';
+}
+
+const TaskSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    description: { type: String },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    // _id of one of the project's milestones
+    milestone: { type: mongoose.Schema.Types.ObjectId, index: true },
+    // predecessors: tasks of the same project that must be done before this one starts
+    dependencies: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+    // skills the assignee needs, at least at minLevel (1-5, see User.skills)
+    requiredSkills: [{
+        _id: false,
+        name: { type: String, required: true, trim: true, lowercase: true },
+        minLevel: { type: Number, min: 1, max: 5, default: 1 }
+    }],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // manager
+    assignments: [AssignmentSchema],
+    // assignment progress is derived from the checklist when there is one (utils/checklists)
+    checklist: [ChecklistItemSchema],
+    // 1 low, 2 medium, 3 high, 4 critical (labels in utils/task-query)
+    priority: { type: Number, min: 1, max: 4, default: 2 },
+    estimatedHours: { type: Number, min: 0 },
+    dueDate: { type: Date },
+    status: { type: String, enum: TASK_STATUSES, default: 'open' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+TaskSchema.pre('save', function(next) {
+    checklists.applyProgress(this);
+    if (this.status !== 'cancelled') this.status = deriveStatus(this.assignments);
+    next();
+});
+
+TaskSchema.index({ status: 1, priority: -1, dueDate: 1 });
+
+module.exports = mongoose.model('Task', TaskSchema);
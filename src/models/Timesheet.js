@@ -1,22 +1,72 @@
-const mongoose = require('mongoose');
-
-const TimesheetSchema = new mongoose.Schema({
-    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
-    date: { type: Date, required: true },
-    endDate: { type: Date },
-    startTime: { type: String, required: true },
-    endTime: { type: String, required: true },
-    breakMinutes: { type: Number, default: 0 },
-    totalHours: { type: Number },
-    description: { type: String },
-    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' },
-    // support multi-level statuses
-    status: { type: String, enum: ['draft', 'pending', 'pending_manager', 'pending_hr', 'pending_director', 'approved_final', 'approved', 'rejected', 'locked'], default: 'pending' },
-    managerRemarks: { type: String },
-    approvals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Approval' }],
-    manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    overtimeHours: { type: Number, default: 0 },
-}, { timestamps: true });
-
-module.exports = mongoose.model('Timesheet', TimesheetSchema);
+const mongoose = require('mongoose');
+
+// Fixed statuses; each configured approval level adds its own 'pending_<key>' status
+const BASE_STATUSES = ['draft', 'pending', 'approved_final', 'approved', 'rejected', 'locked'];
+const LEVEL_STATUS_PATTERN = /^pending_[a-z0-9_]+$/;
+
+const ApprovalStepSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    display: { type: String },
+    role: { type: String, required: true },
+    status: { type: String, required: true }
+}, { _id: false });
+
+// A pause taken while the entry's timer was running
+const TimerPauseSchema = new mongoose.Schema({
+    start: { type: Date, required: true },
+    end: { type: Date }
+}, { _id: false });
+
+// end time is filled in when a running timer is stopped
+function requiresEndTime() {
+    return !this.timer || !this.timer.state || this.timer.state === 'stopped';
+}
+
+const TimesheetSchema = new mongoose.Schema({
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    date: { type: Date, required: true },
+    endDate: { type: Date },
+    startTime: { type: String, required: true },
+    endTime: { type: String, required: requiresEndTime },
+    breakMinutes: { type: Number, default: 0 },
+    totalHours: { type: Number },
+    description: { type: String },
+    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' },
+    // unset means the project's billable setting applies
+    billable: { type: Boolean },
+    // period (week) this entry belongs to; submitted and locked as a unit
+    period: { type: mongoose.Schema.Types.ObjectId, ref: 'TimesheetPeriod', index: true },
+    submittedAt: { type: Date },
+    // support multi-level statuses
+    status: {
+        type: String,
+        default: 'pending',
+        validate: {
+            validator: v => BASE_STATUSES.includes(v) || LEVEL_STATUS_PATTERN.test(v),
+            message: props => `${props.value} is not a valid timesheet status`
+        }
+    },
+    // approval levels this timesheet goes through, captured when it is submitted
+    approvalChain: [ApprovalStepSchema],
+    managerRemarks: { type: String },
+    approvals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Approval' }],
+    manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // set by the overtime policy (utils/overtime-policy) for the entry's week
+    overtimeHours: { type: Number, default: 0 },
+    // weekend/holiday hours paid at a premium rate (not overtime)
+    premiumHours: { type: Number, default: 0 },
+    payableHours: { type: Number },
+    // set when the entry was recorded with the start/stop timer (utils/timesheet-timer)
+    timer: {
+        state: { type: String, enum: ['running', 'paused', 'stopped'] },
+        startedAt: { type: Date },
+        stoppedAt: { type: Date },
+        stoppedBy: { type: String, enum: ['employee', 'check_out'] },
+        pauses: [TimerPauseSchema]
+    },
+}, { timestamps: true });
+
+TimesheetSchema.index({ employee: 1, 'timer.state': 1 });
+
+module.exports = mongoose.model('Timesheet', TimesheetSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const FieldChangeSchema = new mongoose.Schema({
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+// One version of a timesheet entry: who did what, when, and which fields changed.
+// snapshot holds the entry as it looked after this change.
+const TimesheetHistorySchema = new mongoose.Schema({
+    timesheet: { type: mongoose.Schema.Types.ObjectId, ref: 'Timesheet', required: true },
+    version: { type: Number, required: true },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'submit', 'approve', 'reject', 'lock'],
+        required: true
+    },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // approval level the decision was taken at
+    level: { type: String },
+    remarks: { type: String },
+    changes: [FieldChangeSchema],
+    snapshot: { type: mongoose.Schema.Types.Mixed }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+TimesheetHistorySchema.index({ timesheet: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('TimesheetHistory', TimesheetHistorySchema);
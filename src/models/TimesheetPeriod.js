@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const periodConfig = require('../config/timesheetPeriod');
+const PayrollLock = require('./PayrollLock');
+
+// Same status set as Timesheet: fixed statuses plus one 'pending_<key>' per approval level
+const BASE_STATUSES = ['draft', 'approved_final', 'rejected', 'locked'];
+const LEVEL_STATUS_PATTERN = /^pending_[a-z0-9_]+$/;
+
+const ApprovalStepSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    display: { type: String },
+    role: { type: String, required: true },
+    status: { type: String, required: true }
+}, { _id: false });
+
+const TimesheetPeriodSchema = new mongoose.Schema({
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    status: {
+        type: String,
+        default: 'draft',
+        validate: {
+            validator: v => BASE_STATUSES.includes(v) || LEVEL_STATUS_PATTERN.test(v),
+            message: props => `${props.value} is not a valid timesheet period status`
+        }
+    },
+    totalHours: { type: Number, default: 0 },
+    overtimeHours: { type: Number, default: 0 },
+    premiumHours: { type: Number, default: 0 },
+    payableHours: { type: Number, default: 0 },
+    submittedAt: { type: Date },
+    approvalChain: [ApprovalStepSchema],
+    approvals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Approval' }],
+    manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    managerRemarks: { type: String },
+    lockedAt: { type: Date },
+    lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+TimesheetPeriodSchema.index({ employee: 1, periodStart: 1 }, { unique: true });
+TimesheetPeriodSchema.index({ status: 1, periodEnd: 1 });
+
+// Entries can be added or edited only while the period is with the employee
+TimesheetPeriodSchema.methods.isEditable = function() {
+    return this.status === 'draft' || this.status === 'rejected';
+};
+
+// Start (00:00) and end (23:59:59.999) of the period containing a date
+TimesheetPeriodSchema.statics.getBounds = function(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+
+    let start;
+    let end;
+
+    if (periodConfig.type === 'monthly') {
+        start = new Date(day.getFullYear(), day.getMonth(), 1);
+        end = new Date(day.getFullYear(), day.getMonth() + 1, 0);
+    } else {
+        start = new Date(day);
+        start.setDate(day.getDate() - ((day.getDay() - periodConfig.weekStartsOn + 7) % 7));
+
+        let length = 7;
+        if (periodConfig.type === 'biweekly') {
+            length = 14;
+            const anchor = new Date(periodConfig.anchorDate);
+            anchor.setHours(0, 0, 0, 0);
+            const weeksFromAnchor = Math.floor(Math.round((start - anchor) / (1000 * 60 * 60 * 24)) / 7);
+            if (((weeksFromAnchor % 2) + 2) % 2 === 1) start.setDate(start.getDate() - 7);
+        }
+
+        end = new Date(start);
+        end.setDate(start.getDate() + length - 1);
+    }
+
+    end.setHours(23, 59, 59, 999);
+    return { periodStart: start, periodEnd: end };
+};
+
+// End of the last whole period on or before a date: payroll closes whole periods
+TimesheetPeriodSchema.statics.lastEndThrough = function(date) {
+    const { periodStart, periodEnd } = this.getBounds(date);
+    const through = new Date(date);
+    through.setHours(23, 59, 59, 999);
+    return through >= periodEnd ? periodEnd : new Date(periodStart.getTime() - 1);
+};
+
+// Find the employee's period containing a date, creating it if needed.
+// A period created for dates payroll has already closed starts out locked.
+TimesheetPeriodSchema.statics.findOrCreateFor = async function(employeeId, date) {
+    const { periodStart, periodEnd } = this.getBounds(date);
+
+    const payrollLock = await PayrollLock.latest();
+    const closed = payrollLock && periodEnd <= payrollLock.through;
+    const onInsert = closed ?
+        { status: 'locked', lockedAt: payrollLock.createdAt, lockedBy: payrollLock.lockedBy } :
+        { status: 'draft' };
+
+    try {
+        return await this.findOneAndUpdate(
+            { employee: employeeId, periodStart },
+            { $setOnInsert: { employee: employeeId, periodStart, periodEnd, ...onInsert } },
+            { new: true, upsert: true }
+        );
+    } catch (err) {
+        // concurrent upsert for the same period
+        if (err.code === 11000) return this.findOne({ employee: employeeId, periodStart });
+        throw err;
+    }
+};
+
+module.exports = mongoose.model('TimesheetPeriod', TimesheetPeriodSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A working day found without a submitted timesheet, so each day is only
+// reminded about and escalated once
+const TimesheetReminderSchema = new mongoose.Schema({
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    date: { type: String, required: true }, // YYYY-MM-DD
+    remindedAt: { type: Date },
+    escalatedAt: { type: Date },
+    escalatedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+TimesheetReminderSchema.index({ employee: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('TimesheetReminder', TimesheetReminderSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Named recurring entry (e.g. "Daily standup 30 min") an employee can apply to a date range
+const TimesheetTemplateSchema = new mongoose.Schema({
+    employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' },
+    startTime: { type: String, required: true, match: /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/ },
+    endTime: { type: String, required: true, match: /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/ },
+    breakMinutes: { type: Number, default: 0, min: 0 },
+    description: { type: String },
+    // weekdays the entry recurs on: 0 = Sunday ... 6 = Saturday
+    daysOfWeek: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: () => [1, 2, 3, 4, 5]
+    }
+}, { timestamps: true });
+
+TimesheetTemplateSchema.index({ employee: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('TimesheetTemplate', TimesheetTemplateSchema);
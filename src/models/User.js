@@ -1,21 +1,30 @@
-const mongoose = require('mongoose');
-
-const UserSchema = new mongoose.Schema({
-    name: { type: String, required: true },
-    email: { type: String, required: true, unique: true },
-    password: { type: String, required: true },
-    role: { type: String, enum: ['admin', 'manager', 'employee'], default: 'employee' },
-    manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    department: { type: String },
-    designation: { type: String },
-    phone: { type: String },
-    dob: { type: Date },
-    address: { type: String },
-    photo: { type: String },
-    github: { type: String },
-    linkedin: { type: String },
-    bio: { type: String },
-    isActive: { type: Boolean, default: true },
-}, { timestamps: true });
-
-module.exports = mongoose.model('User', UserSchema);
+const mongoose = require('mongoose');
+
+// One entry of the skills inventory; level 1 (beginner) to 5 (expert)
+const SkillSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, lowercase: true },
+    level: { type: Number, min: 1, max: 5, default: 1 }
+}, { _id: false });
+
+const UserSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    email: { type: String, required: true, unique: true },
+    password: { type: String, required: true },
+    role: { type: String, enum: ['admin', 'manager', 'employee', 'hr', 'director'], default: 'employee' },
+    manager: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    department: { type: String },
+    designation: { type: String },
+    skills: [SkillSchema],
+    phone: { type: String },
+    dob: { type: Date },
+    address: { type: String },
+    photo: { type: String },
+    github: { type: String },
+    linkedin: { type: String },
+    bio: { type: String },
+    isActive: { type: Boolean, default: true },
+}, { timestamps: true });
+
+UserSchema.index({ 'skills.name': 1 });
+
+module.exports = mongoose.model('User', UserSchema);
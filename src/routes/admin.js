@@ -1,383 +1,770 @@
-const express = require('express');
-const Holiday = require('../models/Holiday');
-const User = require('../models/User');
-const Project = require('../models/Project');
-const Task = require('../models/Task');
-const { auth, permit } = require('../middleware/auth');
-
-const router = express.Router();
-
-// ===== EMPLOYEE MANAGEMENT =====
-
-// GET all employees
-router.get('/employees', auth, permit('admin', 'manager'), async(req, res) => {
-    try {
-        const employees = await User.find({ role: { $in: ['employee', 'manager'] } })
-            .select('_id name email role department designation isActive')
-            .sort({ name: 1 });
-        res.json(employees);
-    } catch (e) {
-        console.error('Failed to list employees', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// GET single employee
-router.get('/employees/:id', auth, permit('admin'), async(req, res) => {
-    try {
-        const emp = await User.findById(req.params.id)
-            .select('_id name email role department designation isActive photo');
-        if (!emp) return res.status(404).json({ message: 'Employee not found' });
-        res.json(emp);
-    } catch (e) {
-        console.error('Failed to get employee', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// CREATE employee
-router.post('/employees', auth, permit('admin'), async(req, res) => {
-    try {
-        const { name, email, password, role, department, designation } = req.body;
-        if (!name || !email || !password) return res.status(400).json({ message: 'name/email/password required' });
-
-        const existing = await User.findOne({ email });
-        if (existing) return res.status(400).json({ message: 'Email already in use' });
-
-        const bcrypt = require('bcrypt');
-        const hashed = await bcrypt.hash(password, 10);
-
-        // Auto-assign employee to default manager
-        let manager = null;
-        if (role === 'employee' || !role) {
-            // Find default manager (mgr@ex.com) or any manager
-            const defaultManager = await User.findOne({ role: 'manager' });
-            if (defaultManager) {
-                manager = defaultManager._id;
-            }
-        }
-
-        const emp = await User.create({
-            name,
-            email,
-            password: hashed,
-            role: role || 'employee',
-            department: department || '',
-            designation: designation || '',
-            manager: manager,
-            isActive: true
-        });
-
-        res.status(201).json({ id: emp._id, name: emp.name, email: emp.email, role: emp.role, manager: emp.manager });
-    } catch (e) {
-        console.error('Failed to create employee', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// UPDATE employee (role, department, designation, isActive)
-router.put('/employees/:id', auth, permit('admin'), async(req, res) => {
-    try {
-        const { role, department, designation, isActive } = req.body;
-        const emp = await User.findByIdAndUpdate(
-            req.params.id, { role, department, designation, isActive }, { new: true }
-        ).select('_id name email role department designation isActive');
-
-        if (!emp) return res.status(404).json({ message: 'Employee not found' });
-        res.json(emp);
-    } catch (e) {
-        console.error('Failed to update employee', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// DELETE employee
-router.delete('/employees/:id', auth, permit('admin'), async(req, res) => {
-    try {
-        const emp = await User.findByIdAndDelete(req.params.id);
-        if (!emp) return res.status(404).json({ message: 'Employee not found' });
-        res.json({ message: 'Employee deleted' });
-    } catch (e) {
-        console.error('Failed to delete employee', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// ASSIGN employee to project
-router.post('/employees/:empId/assign-project/:projectId', auth, permit('admin'), async(req, res) => {
-    try {
-        const { empId, projectId } = req.params;
-        const project = await Project.findById(projectId);
-        if (!project) return res.status(404).json({ message: 'Project not found' });
-
-        const emp = await User.findById(empId);
-        if (!emp) return res.status(404).json({ message: 'Employee not found' });
-
-        if (!project.employees.includes(empId)) {
-            project.employees.push(empId);
-            await project.save();
-        }
-
-        res.json({ message: 'Employee assigned to project', project });
-    } catch (e) {
-        console.error('Failed to assign employee', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// ===== PROJECT MANAGEMENT =====
-
-// GET all projects (admin view)
-router.get('/projects', auth, permit('admin'), async(req, res) => {
-    try {
-        const projects = await Project.find()
-            .populate('manager', 'name email')
-            .populate('employees', 'name email designation')
-            .sort({ createdAt: -1 });
-        res.json(projects);
-    } catch (e) {
-        console.error('Failed to list projects', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// GET single project
-router.get('/projects/:id', auth, permit('admin'), async(req, res) => {
-    try {
-        const project = await Project.findById(req.params.id)
-            .populate('manager', 'name email')
-            .populate('employees', 'name email');
-        if (!project) return res.status(404).json({ message: 'Project not found' });
-        res.json(project);
-    } catch (e) {
-        console.error('Failed to get project', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// CREATE project (admin override)
-router.post('/projects', auth, permit('admin'), async(req, res) => {
-    try {
-        const { name, description, manager, employees } = req.body;
-        if (!name) return res.status(400).json({ message: 'name required' });
-
-        const project = await Project.create({
-            name,
-            description: description || '',
-            manager: manager || req.user._id,
-            employees: employees || []
-        });
-
-        await project.populate('manager', 'name email');
-        res.status(201).json(project);
-    } catch (e) {
-        console.error('Failed to create project', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// UPDATE project
-router.put('/projects/:id', auth, permit('admin'), async(req, res) => {
-    try {
-        const { name, description, manager, employees } = req.body;
-        const project = await Project.findByIdAndUpdate(
-            req.params.id, { name, description, manager, employees }, { new: true }
-        ).populate('manager', 'name email').populate('employees', 'name email');
-
-        if (!project) return res.status(404).json({ message: 'Project not found' });
-        res.json(project);
-    } catch (e) {
-        console.error('Failed to update project', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// DELETE project
-router.delete('/projects/:id', auth, permit('admin'), async(req, res) => {
-    try {
-        const project = await Project.findByIdAndDelete(req.params.id);
-        if (!project) return res.status(404).json({ message: 'Project not found' });
-
-        // clean up tasks
-        await Task.deleteMany({ project: req.params.id });
-        res.json({ message: 'Project deleted' });
-    } catch (e) {
-        console.error('Failed to delete project', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// ASSIGN employee to project
-router.post('/projects/:id/assign-employee', auth, permit('admin'), async(req, res) => {
-    try {
-        const { employee } = req.body;
-        const project = await Project.findById(req.params.id);
-        if (!project) return res.status(404).json({ message: 'Project not found' });
-
-        // Find employee by email
-        const emp = await User.findOne({ email: employee });
-        if (!emp) return res.status(404).json({ message: 'Employee not found' });
-
-        if (!project.employees.includes(emp._id)) {
-            project.employees.push(emp._id);
-            await project.save();
-        }
-
-        res.json({ message: 'Employee assigned to project' });
-    } catch (e) {
-        console.error('Failed to assign employee', e);
-        res.status(500).json({ message: 'Server error', error: e.message });
-    }
-});
-
-// ===== TASK MANAGEMENT =====
-
-// GET all tasks (admin view)
-router.get('/tasks', auth, permit('admin'), async(req, res) => {
-    try {
-        const tasks = await Task.find()
-            .populate('project', 'name')
-            .populate('createdBy', 'name email')
-            .sort({ createdAt: -1 });
-        res.json(tasks);
-    } catch (e) {
-        console.error('Failed to list tasks', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// GET tasks by project
-router.get('/tasks/project/:projectId', auth, permit('admin'), async(req, res) => {
-    try {
-        const tasks = await Task.find({ project: req.params.projectId })
-            .populate('project', 'name')
-            .sort({ createdAt: -1 });
-        res.json(tasks);
-    } catch (e) {
-        console.error('Failed to list project tasks', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// CREATE task (admin)
-router.post('/tasks', auth, permit('admin'), async(req, res) => {
-    try {
-        const { title, description, project, assignees, deadline } = req.body;
-        if (!title || !project) return res.status(400).json({ message: 'title/project required' });
-
-        const task = await Task.create({
-            title,
-            description: description || '',
-            project,
-            createdBy: req.user._id,
-            assignments: (assignees || []).map(empId => ({ employee: empId, status: 'assigned' })),
-            deadline
-        });
-
-        res.status(201).json(task);
-    } catch (e) {
-        console.error('Failed to create task', e);
-        res.status(500).json({ message: 'Server error', error: e.message });
-    }
-});
-
-// UPDATE task
-router.put('/tasks/:id', auth, permit('admin'), async(req, res) => {
-    try {
-        const { title, description, project, assignees, deadline } = req.body;
-        const updates = { title, description, project, deadline };
-
-        if (assignees) {
-            updates.assignments = assignees.map(empId => ({ employee: empId, status: 'pending' }));
-        }
-
-        const task = await Task.findByIdAndUpdate(req.params.id, updates, { new: true })
-            .populate('project', 'name').populate('createdBy', 'name email');
-
-        if (!task) return res.status(404).json({ message: 'Task not found' });
-        res.json(task);
-    } catch (e) {
-        console.error('Failed to update task', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// DELETE task
-router.delete('/tasks/:id', auth, permit('admin'), async(req, res) => {
-    try {
-        const task = await Task.findByIdAndDelete(req.params.id);
-        if (!task) return res.status(404).json({ message: 'Task not found' });
-        res.json({ message: 'Task deleted' });
-    } catch (e) {
-        console.error('Failed to delete task', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// ===== HOLIDAYS =====
-
-// List holidays
-router.get('/holidays', auth, permit('admin', 'manager'), async(req, res) => {
-    try {
-        const list = await Holiday.find().sort({ date: 1 });
-        res.json(list);
-    } catch (e) {
-        console.error('Failed to list holidays', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// Create holiday
-router.post('/holidays', auth, permit('admin'), async(req, res) => {
-    try {
-        const { date, description } = req.body;
-        if (!date) return res.status(400).json({ message: 'date required' });
-        const h = new Holiday({ date: new Date(date), description });
-        await h.save();
-        res.status(201).json(h);
-    } catch (e) {
-        console.error('Failed to create holiday', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// Delete holiday
-router.delete('/holidays/:id', auth, permit('admin'), async(req, res) => {
-    try {
-        await Holiday.findByIdAndDelete(req.params.id);
-        res.json({ message: 'Deleted' });
-    } catch (e) {
-        console.error('Failed to delete holiday', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// ===== PUBLIC ENDPOINTS FOR EMPLOYEES =====
-
-// GET all projects (public for employees)
-router.get('/projects-list', auth, async(req, res) => {
-    try {
-        const projects = await Project.find()
-            .populate('manager', 'name email')
-            .sort({ createdAt: -1 });
-        res.json(projects);
-    } catch (e) {
-        console.error('Failed to list projects', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// GET all tasks (public for employees)
-router.get('/tasks-list', auth, async(req, res) => {
-    try {
-        const tasks = await Task.find()
-            .populate('project', 'name')
-            .sort({ createdAt: -1 });
-        res.json(tasks);
-    } catch (e) {
-        console.error('Failed to list tasks', e);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-module.exports = router;
+const express = require('express');
+const Holiday = require('../models/Holiday');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const ApprovalLevel = require('../models/ApprovalLevel');
+const BillingRate = require('../models/BillingRate');
+const OvertimePolicy = require('../models/OvertimePolicy');
+const { auth, permit } = require('../middleware/auth');
+const approvalWorkflow = require('../utils/approval-workflow');
+const missingTimesheets = require('../utils/missing-timesheets');
+const overtimePolicy = require('../utils/overtime-policy');
+const skills = require('../utils/skills');
+const taskAssignment = require('../utils/task-assignment');
+const defaultOvertimePolicy = require('../config/overtimePolicy');
+
+const router = express.Router();
+
+// ===== EMPLOYEE MANAGEMENT =====
+
+// GET all employees
+router.get('/employees', auth, permit('admin', 'manager'), async(req, res) => {
+    try {
+        const employees = await User.find({ role: { $in: ['employee', 'manager'] } })
+            .select('_id name email role department designation isActive skills')
+            .sort({ name: 1 });
+        res.json(employees);
+    } catch (e) {
+        console.error('Failed to list employees', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// GET single employee
+router.get('/employees/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const emp = await User.findById(req.params.id)
+            .select('_id name email role department designation isActive photo skills');
+        if (!emp) return res.status(404).json({ message: 'Employee not found' });
+        res.json(emp);
+    } catch (e) {
+        console.error('Failed to get employee', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// CREATE employee
+router.post('/employees', auth, permit('admin'), async(req, res) => {
+    try {
+        const { name, email, password, role, department, designation } = req.body;
+        if (!name || !email || !password) return res.status(400).json({ message: 'name/email/password required' });
+
+        const existing = await User.findOne({ email });
+        if (existing) return res.status(400).json({ message: 'Email already in use' });
+
+        const bcrypt = require('bcrypt');
+        const hashed = await bcrypt.hash(password, 10);
+
+        // Auto-assign employee to default manager
+        let manager = null;
+        if (role === 'employee' || !role) {
+            // Find default manager (mgr@ex.com) or any manager
+            const defaultManager = await User.findOne({ role: 'manager' });
+            if (defaultManager) {
+                manager = defaultManager._id;
+            }
+        }
+
+        const emp = await User.create({
+            name,
+            email,
+            password: hashed,
+            role: role || 'employee',
+            department: department || '',
+            designation: designation || '',
+            manager: manager,
+            isActive: true
+        });
+
+        res.status(201).json({ id: emp._id, name: emp.name, email: emp.email, role: emp.role, manager: emp.manager });
+    } catch (e) {
+        console.error('Failed to create employee', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// UPDATE employee (role, department, designation, isActive, skills)
+router.put('/employees/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const { role, department, designation, isActive } = req.body;
+        const updates = { role, department, designation, isActive };
+        if (req.body.skills !== undefined) updates.skills = skills.normalizeSkills(req.body.skills);
+
+        const emp = await User.findByIdAndUpdate(
+            req.params.id, updates, { new: true }
+        ).select('_id name email role department designation isActive skills');
+
+        if (!emp) return res.status(404).json({ message: 'Employee not found' });
+        res.json(emp);
+    } catch (e) {
+        if (e.status) return res.status(e.status).json({ message: e.message });
+        console.error('Failed to update employee', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// DELETE employee
+router.delete('/employees/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const emp = await User.findByIdAndDelete(req.params.id);
+        if (!emp) return res.status(404).json({ message: 'Employee not found' });
+        res.json({ message: 'Employee deleted' });
+    } catch (e) {
+        console.error('Failed to delete employee', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ASSIGN employee to project
+router.post('/employees/:empId/assign-project/:projectId', auth, permit('admin'), async(req, res) => {
+    try {
+        const { empId, projectId } = req.params;
+        const project = await Project.findById(projectId);
+        if (!project) return res.status(404).json({ message: 'Project not found' });
+
+        const emp = await User.findById(empId);
+        if (!emp) return res.status(404).json({ message: 'Employee not found' });
+
+        if (!project.employees.includes(empId)) {
+            project.employees.push(empId);
+            await project.save();
+        }
+
+        res.json({ message: 'Employee assigned to project', project });
+    } catch (e) {
+        console.error('Failed to assign employee', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== SKILLS & STAFFING =====
+
+// Skills inventory: every skill on record with how many employees have it
+router.get('/skills', auth, permit('admin', 'manager'), async(req, res) => {
+    try {
+        const inventory = await User.aggregate([
+            { $match: { isActive: { $ne: false } } },
+            { $unwind: '$skills' },
+            {
+                $group: {
+                    _id: '$skills.name',
+                    employees: { $sum: 1 },
+                    averageLevel: { $avg: '$skills.level' },
+                    maxLevel: { $max: '$skills.level' }
+                }
+            },
+            { $sort: { employees: -1, _id: 1 } }
+        ]);
+        res.json(inventory.map(s => ({
+            name: s._id,
+            employees: s.employees,
+            averageLevel: Math.round(s.averageLevel * 10) / 10,
+            maxLevel: s.maxLevel
+        })));
+    } catch (e) {
+        console.error('Failed to list skills', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Staffing search: employees ranked by skill match and availability.
+// ?skills=react:3,node (name:minLevel) and/or ?taskId= (uses the task's
+// required skills and project), ?projectId=, ?minMatch=0-1, ?limit=
+router.get('/staffing', auth, permit('admin', 'manager'), async(req, res) => {
+    try {
+        let requiredSkills = skills.normalizeSkills(req.query.skills, 'minLevel');
+        let project = null;
+
+        if (req.query.taskId) {
+            const task = await Task.findById(req.query.taskId).populate('project', 'name employees');
+            if (!task) return res.status(404).json({ message: 'Task not found' });
+            if (requiredSkills.length === 0) requiredSkills = task.requiredSkills;
+            project = task.project;
+        }
+        if (req.query.projectId) {
+            project = await Project.findById(req.query.projectId).select('name employees');
+            if (!project) return res.status(404).json({ message: 'Project not found' });
+        }
+
+        const minMatch = Math.min(Math.max(Number(req.query.minMatch) || 0, 0), 1);
+        const limit = Math.min(Number(req.query.limit) || 20, 100);
+        const candidates = await taskAssignment.rankForStaffing({ project, requiredSkills }, { minMatch, limit });
+
+        res.json({
+            requiredSkills,
+            project: project ? { _id: project._id, name: project.name } : null,
+            count: candidates.length,
+            data: candidates
+        });
+    } catch (e) {
+        if (e.status) return res.status(e.status).json({ message: e.message });
+        console.error('Staffing search failed', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== PROJECT MANAGEMENT =====
+
+// GET all projects (admin view)
+router.get('/projects', auth, permit('admin'), async(req, res) => {
+    try {
+        const projects = await Project.find()
+            .populate('manager', 'name email')
+            .populate('employees', 'name email designation')
+            .sort({ createdAt: -1 });
+        res.json(projects);
+    } catch (e) {
+        console.error('Failed to list projects', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// GET single project
+router.get('/projects/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const project = await Project.findById(req.params.id)
+            .populate('manager', 'name email')
+            .populate('employees', 'name email');
+        if (!project) return res.status(404).json({ message: 'Project not found' });
+        res.json(project);
+    } catch (e) {
+        console.error('Failed to get project', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// CREATE project (admin override)
+router.post('/projects', auth, permit('admin'), async(req, res) => {
+    try {
+        const { name, description, manager, employees } = req.body;
+        if (!name) return res.status(400).json({ message: 'name required' });
+
+        const project = await Project.create({
+            name,
+            description: description || '',
+            manager: manager || req.user._id,
+            employees: employees || []
+        });
+
+        await project.populate('manager', 'name email');
+        res.status(201).json(project);
+    } catch (e) {
+        console.error('Failed to create project', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// UPDATE project
+router.put('/projects/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const { name, description, manager, employees } = req.body;
+        const project = await Project.findByIdAndUpdate(
+            req.params.id, { name, description, manager, employees }, { new: true }
+        ).populate('manager', 'name email').populate('employees', 'name email');
+
+        if (!project) return res.status(404).json({ message: 'Project not found' });
+        res.json(project);
+    } catch (e) {
+        console.error('Failed to update project', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// DELETE project
+router.delete('/projects/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const project = await Project.findByIdAndDelete(req.params.id);
+        if (!project) return res.status(404).json({ message: 'Project not found' });
+
+        // clean up tasks
+        await Task.deleteMany({ project: req.params.id });
+        res.json({ message: 'Project deleted' });
+    } catch (e) {
+        console.error('Failed to delete project', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ASSIGN employee to project
+router.post('/projects/:id/assign-employee', auth, permit('admin'), async(req, res) => {
+    try {
+        const { employee } = req.body;
+        const project = await Project.findById(req.params.id);
+        if (!project) return res.status(404).json({ message: 'Project not found' });
+
+        // Find employee by email
+        const emp = await User.findOne({ email: employee });
+        if (!emp) return res.status(404).json({ message: 'Employee not found' });
+
+        if (!project.employees.includes(emp._id)) {
+            project.employees.push(emp._id);
+            await project.save();
+        }
+
+        res.json({ message: 'Employee assigned to project' });
+    } catch (e) {
+        console.error('Failed to assign employee', e);
+        res.status(500).json({ message: 'Server error', error: e.message });
+    }
+});
+
+// ===== TASK MANAGEMENT =====
+
+// GET all tasks (admin view)
+router.get('/tasks', auth, permit('admin'), async(req, res) => {
+    try {
+        const tasks = await Task.find()
+            .populate('project', 'name')
+            .populate('createdBy', 'name email')
+            .sort({ createdAt: -1 });
+        res.json(tasks);
+    } catch (e) {
+        console.error('Failed to list tasks', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// GET tasks by project
+router.get('/tasks/project/:projectId', auth, permit('admin'), async(req, res) => {
+    try {
+        const tasks = await Task.find({ project: req.params.projectId })
+            .populate('project', 'name')
+            .sort({ createdAt: -1 });
+        res.json(tasks);
+    } catch (e) {
+        console.error('Failed to list project tasks', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// CREATE task (admin)
+router.post('/tasks', auth, permit('admin'), async(req, res) => {
+    try {
+        const { title, description, project, assignees, deadline } = req.body;
+        if (!title || !project) return res.status(400).json({ message: 'title/project required' });
+
+        const task = await Task.create({
+            title,
+            description: description || '',
+            project,
+            createdBy: req.user._id,
+            assignments: (assignees || []).map(empId => ({ employee: empId, status: 'assigned' })),
+            deadline
+        });
+
+        res.status(201).json(task);
+    } catch (e) {
+        console.error('Failed to create task', e);
+        res.status(500).json({ message: 'Server error', error: e.message });
+    }
+});
+
+// UPDATE task
+router.put('/tasks/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const { title, description, project, assignees, deadline } = req.body;
+        // saved through the document so the task status follows its assignments
+        const task = await Task.findById(req.params.id);
+        if (!task) return res.status(404).json({ message: 'Task not found' });
+
+        if (title !== undefined) task.title = title;
+        if (description !== undefined) task.description = description;
+        if (project !== undefined) task.project = project;
+        if (deadline !== undefined) task.deadline = deadline;
+        if (assignees) {
+            // existing assignments keep their state; new assignees start as assigned
+            const current = new Map(task.assignments.map(a => [String(a.employee), a]));
+            task.assignments = assignees.map(empId => {
+                const existing = current.get(String(empId));
+                return existing ? existing.toObject() : { employee: empId, status: 'assigned' };
+            });
+            // items of employees taken off the task become unassigned
+            const kept = new Set(task.assignments.map(a => String(a.employee)));
+            task.checklist.forEach(item => {
+                if (item.assignee && !kept.has(String(item.assignee))) item.assignee = undefined;
+            });
+        }
+        await task.save();
+
+        res.json(await Task.findById(task._id).populate('project', 'name').populate('createdBy', 'name email'));
+    } catch (e) {
+        if (e.name === 'ValidationError' || e.name === 'CastError') return res.status(400).json({ message: e.message });
+        console.error('Failed to update task', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// DELETE task
+router.delete('/tasks/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const task = await Task.findByIdAndDelete(req.params.id);
+        if (!task) return res.status(404).json({ message: 'Task not found' });
+        res.json({ message: 'Task deleted' });
+    } catch (e) {
+        console.error('Failed to delete task', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== HOLIDAYS =====
+
+// List holidays
+router.get('/holidays', auth, permit('admin', 'manager'), async(req, res) => {
+    try {
+        const list = await Holiday.find().sort({ date: 1 });
+        res.json(list);
+    } catch (e) {
+        console.error('Failed to list holidays', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create holiday
+router.post('/holidays', auth, permit('admin'), async(req, res) => {
+    try {
+        const { date, description } = req.body;
+        if (!date) return res.status(400).json({ message: 'date required' });
+        const h = new Holiday({ date: new Date(date), description });
+        await h.save();
+        res.status(201).json(h);
+    } catch (e) {
+        console.error('Failed to create holiday', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete holiday
+router.delete('/holidays/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        await Holiday.findByIdAndDelete(req.params.id);
+        res.json({ message: 'Deleted' });
+    } catch (e) {
+        console.error('Failed to delete holiday', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== APPROVAL LEVELS =====
+
+// List approval levels (all chains, or the effective chain for ?department=)
+router.get('/approval-levels', auth, permit('admin'), async(req, res) => {
+    try {
+        await approvalWorkflow.seedDefaultLevels();
+
+        if (req.query.department !== undefined) {
+            const chain = await approvalWorkflow.getChain(req.query.department);
+            return res.json({ department: approvalWorkflow.normalizeDepartment(req.query.department), data: chain });
+        }
+
+        const levels = await ApprovalLevel.find().sort({ department: 1, order: 1 });
+        res.json(levels);
+    } catch (e) {
+        console.error('Failed to list approval levels', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create approval level (appended to the end of its chain unless order is given)
+router.post('/approval-levels', auth, permit('admin'), async(req, res) => {
+    try {
+        await approvalWorkflow.seedDefaultLevels();
+
+        const { key, display, role, status, order } = req.body;
+        const department = approvalWorkflow.normalizeDepartment(req.body.department);
+        if (!key || !display || !role) return res.status(400).json({ message: 'key/display/role required' });
+        if (!User.schema.path('role').enumValues.includes(role)) {
+            return res.status(400).json({ message: `Invalid role: ${role}` });
+        }
+
+        const existing = await ApprovalLevel.findOne({ department, key });
+        if (existing) return res.status(400).json({ message: 'A level with this key already exists in this chain' });
+        // getCurrentLevel finds a timesheet's level by its status, so each status appears once per chain
+        const levelStatus = status || `pending_${key}`;
+        if (await ApprovalLevel.exists({ department, status: levelStatus })) {
+            return res.status(409).json({ message: `A level with status ${levelStatus} already exists in this chain` });
+        }
+
+        let position = order;
+        if (position === undefined) {
+            const last = await ApprovalLevel.findOne({ department }).sort({ order: -1 });
+            position = last ? last.order + 1 : 0;
+        }
+
+        const level = await ApprovalLevel.create({
+            key,
+            display,
+            role,
+            status: levelStatus,
+            order: position,
+            department
+        });
+        res.status(201).json(level);
+    } catch (e) {
+        if (e.name === 'ValidationError') return res.status(400).json({ message: e.message });
+        if (e.code === 11000) return res.status(409).json({ message: 'A level with this key already exists in this chain' });
+        console.error('Failed to create approval level', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Reorder a chain: body { department, keys: ['manager', 'hr', ...] }
+router.put('/approval-levels/reorder', auth, permit('admin'), async(req, res) => {
+    try {
+        const { keys } = req.body;
+        const department = approvalWorkflow.normalizeDepartment(req.body.department);
+        if (!Array.isArray(keys) || keys.length === 0) return res.status(400).json({ message: 'keys array required' });
+
+        const levels = await ApprovalLevel.find({ department });
+        const known = levels.map(l => l.key);
+        if (keys.length !== known.length || !keys.every(k => known.includes(k))) {
+            return res.status(400).json({ message: `keys must list every level in the chain exactly once: ${known.join(', ')}` });
+        }
+
+        await ApprovalLevel.bulkWrite(keys.map((key, index) => ({
+            updateOne: { filter: { department, key }, update: { $set: { order: index } } }
+        })));
+
+        const updated = await ApprovalLevel.find({ department }).sort({ order: 1 });
+        res.json(updated);
+    } catch (e) {
+        console.error('Failed to reorder approval levels', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Update approval level (display, role, status, order)
+router.put('/approval-levels/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const { display, role, status, order } = req.body;
+        const level = await ApprovalLevel.findById(req.params.id);
+        if (!level) return res.status(404).json({ message: 'Approval level not found' });
+
+        if (role !== undefined && !User.schema.path('role').enumValues.includes(role)) {
+            return res.status(400).json({ message: `Invalid role: ${role}` });
+        }
+
+        if (status !== undefined && status !== level.status &&
+            await ApprovalLevel.exists({ department: level.department, status, _id: { $ne: level._id } })) {
+            return res.status(409).json({ message: `A level with status ${status} already exists in this chain` });
+        }
+
+        if (display !== undefined) level.display = display;
+        if (role !== undefined) level.role = role;
+        if (status !== undefined) level.status = status;
+        if (order !== undefined) level.order = order;
+        await level.save();
+
+        res.json(level);
+    } catch (e) {
+        if (e.name === 'ValidationError') return res.status(400).json({ message: e.message });
+        if (e.code === 11000) return res.status(409).json({ message: 'Conflicts with another level in this chain' });
+        console.error('Failed to update approval level', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete approval level
+router.delete('/approval-levels/:id', auth, permit('admin'), async(req, res) => {
+    try {
+        const level = await ApprovalLevel.findById(req.params.id);
+        if (!level) return res.status(404).json({ message: 'Approval level not found' });
+
+        // the default chain must keep at least one level, otherwise it would be re-seeded
+        if (level.department === null) {
+            const remaining = await ApprovalLevel.countDocuments({ department: null });
+            if (remaining <= 1) return res.status(400).json({ message: 'The default chain needs at least one level' });
+        }
+
+        await level.deleteOne();
+        res.json({ message: 'Approval level deleted' });
+    } catch (e) {
+        console.error('Failed to delete approval level', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== OVERTIME POLICIES =====
+
+const OVERTIME_FIELDS = ['name', 'dailyThreshold', 'weeklyThreshold', 'overtimeMultiplier', 'weekendMultiplier', 'holidayMultiplier', 'weekendDays'];
+
+// List overrides with the default policy, or the effective policy for ?employee=
+router.get('/overtime-policies', auth, permit('admin', 'hr'), async(req, res) => {
+    try {
+        if (req.query.employee) {
+            const policy = await overtimePolicy.getPolicy(req.query.employee);
+            return res.json({ employee: req.query.employee, data: policy });
+        }
+
+        const overrides = await OvertimePolicy.find()
+            .populate('employee', 'name email department')
+            .sort({ department: 1, createdAt: 1 });
+        res.json({ default: defaultOvertimePolicy, overrides });
+    } catch (e) {
+        console.error('Failed to list overtime policies', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create a department or employee override
+router.post('/overtime-policies', auth, permit('admin', 'hr'), async(req, res) => {
+    try {
+        const department = approvalWorkflow.normalizeDepartment(req.body.department);
+        const employee = req.body.employee || null;
+
+        const existing = await OvertimePolicy.findOne(employee ? { employee } : { department });
+        if (existing) return res.status(400).json({ message: 'An overtime policy for this department/employee already exists' });
+
+        const policy = new OvertimePolicy({ department, employee });
+        OVERTIME_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) policy[field] = req.body[field];
+        });
+        await policy.save();
+        res.status(201).json(policy);
+    } catch (e) {
+        if (e.name === 'ValidationError') return res.status(400).json({ message: e.message });
+        console.error('Failed to create overtime policy', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Update an override (null clears a field back to the inherited value)
+router.put('/overtime-policies/:id', auth, permit('admin', 'hr'), async(req, res) => {
+    try {
+        const policy = await OvertimePolicy.findById(req.params.id);
+        if (!policy) return res.status(404).json({ message: 'Overtime policy not found' });
+
+        OVERTIME_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) policy[field] = req.body[field] === null ? undefined : req.body[field];
+        });
+        await policy.save();
+        res.json(policy);
+    } catch (e) {
+        if (e.name === 'ValidationError') return res.status(400).json({ message: e.message });
+        console.error('Failed to update overtime policy', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete an override
+router.delete('/overtime-policies/:id', auth, permit('admin', 'hr'), async(req, res) => {
+    try {
+        const policy = await OvertimePolicy.findByIdAndDelete(req.params.id);
+        if (!policy) return res.status(404).json({ message: 'Overtime policy not found' });
+        res.json({ message: 'Overtime policy deleted' });
+    } catch (e) {
+        console.error('Failed to delete overtime policy', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== BILLING RATES =====
+
+const BILLING_RATE_FIELDS = ['project', 'designation', 'employee', 'rate', 'effectiveFrom', 'effectiveTo', 'notes'];
+
+// List rates, optionally for one ?project= or ?employee=
+router.get('/billing-rates', auth, permit('admin', 'hr'), async(req, res) => {
+    try {
+        const query = {};
+        if (req.query.project) query.project = req.query.project;
+        if (req.query.employee) query.employee = req.query.employee;
+
+        const rates = await BillingRate.find(query)
+            .populate('project', 'name client')
+            .populate('employee', 'name email designation')
+            .sort({ effectiveFrom: -1 });
+        res.json(rates);
+    } catch (e) {
+        console.error('Failed to list billing rates', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create a rate
+router.post('/billing-rates', auth, permit('admin', 'hr'), async(req, res) => {
+    try {
+        const rate = new BillingRate({ createdBy: req.user._id });
+        BILLING_RATE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) rate[field] = req.body[field];
+        });
+        await rate.save();
+        res.status(201).json(rate);
+    } catch (e) {
+        if (e.name === 'ValidationError' || e.name === 'CastError') return res.status(400).json({ message: e.message });
+        console.error('Failed to create billing rate', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Update a rate (null clears an optional field)
+router.put('/billing-rates/:id', auth, permit('admin', 'hr'), async(req, res) => {
+    try {
+        const rate = await BillingRate.findById(req.params.id);
+        if (!rate) return res.status(404).json({ message: 'Billing rate not found' });
+
+        BILLING_RATE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) rate[field] = req.body[field] === null ? undefined : req.body[field];
+        });
+        await rate.save();
+        res.json(rate);
+    } catch (e) {
+        if (e.name === 'ValidationError' || e.name === 'CastError') return res.status(400).json({ message: e.message });
+        console.error('Failed to update billing rate', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete a rate
+router.delete('/billing-rates/:id', auth, permit('admin', 'hr'), async(req, res) => {
+    try {
+        const rate = await BillingRate.findByIdAndDelete(req.params.id);
+        if (!rate) return res.status(404).json({ message: 'Billing rate not found' });
+        res.json({ message: 'Billing rate deleted' });
+    } catch (e) {
+        console.error('Failed to delete billing rate', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== MISSING TIMESHEET REMINDERS =====
+
+// Run the missing-timesheet check now instead of waiting for the daily schedule
+router.post('/timesheet-reminders/run', auth, permit('admin', 'hr'), async(req, res) => {
+    try {
+        const summary = await missingTimesheets.runMissingTimesheetCheck();
+        res.json({ message: 'Missing-timesheet check completed', summary });
+    } catch (e) {
+        console.error('Failed to run missing-timesheet check', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== PUBLIC ENDPOINTS FOR EMPLOYEES =====
+
+// GET all projects (public for employees)
+router.get('/projects-list', auth, async(req, res) => {
+    try {
+        const projects = await Project.find()
+            .populate('manager', 'name email')
+            .sort({ createdAt: -1 });
+        res.json(projects);
+    } catch (e) {
+        console.error('Failed to list projects', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// GET all tasks (public for employees)
+router.get('/tasks-list', auth, async(req, res) => {
+    try {
+        const tasks = await Task.find()
+            .populate('project', 'name')
+            .sort({ createdAt: -1 });
+        res.json(tasks);
+    } catch (e) {
+        console.error('Failed to list tasks', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const Escalation = require('../models/Escalation');
+const Project = require('../models/Project');
+const { auth, permit } = require('../middleware/auth');
+const reworkEscalation = require('../utils/rework-escalation');
+
+const router = express.Router();
+
+// Managers see escalations of the projects they manage, admins see all
+async function scopeQuery(user) {
+    if (user.role === 'admin') return {};
+    const projects = await Project.find({ manager: user._id }).select('_id');
+    return { project: { $in: projects.map(p => p._id) } };
+}
+
+function populateEscalation(query) {
+    return query
+        .populate('task', 'title status priority')
+        .populate('employee', 'name email')
+        .populate('project', 'name')
+        .populate('reassignedTo', 'name email')
+        .populate('defectHistory.reviewedBy', 'name role')
+        .populate('resolution.resolvedBy', 'name role');
+}
+
+// ===== QUEUE =====
+// ?status=open (default) | resolved | all
+router.get('/', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const query = await scopeQuery(req.user);
+        const status = req.query.status || 'open';
+        if (status !== 'all') query.status = status;
+
+        const escalations = await populateEscalation(Escalation.find(query))
+            .sort({ createdAt: -1 })
+            .limit(200)
+            .lean();
+
+        res.json({
+            count: escalations.length,
+            open: escalations.filter(e => e.status === 'open').length,
+            data: escalations
+        });
+    } catch (err) {
+        console.error('Get escalations error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+router.get('/:id', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const escalation = await populateEscalation(Escalation.findOne({ _id: req.params.id, ...(await scopeQuery(req.user)) })).lean();
+        if (!escalation) return res.status(404).json({ message: 'Escalation not found' });
+        res.json({ data: escalation });
+    } catch (err) {
+        console.error('Get escalation error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== RESOLVE =====
+// body { action: grant_attempt | reassign | cancel_task | acknowledge, employeeId, extraAttempts, notes }
+router.put('/:id/resolve', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const escalation = await Escalation.findOne({ _id: req.params.id, ...(await scopeQuery(req.user)) });
+        if (!escalation) return res.status(404).json({ message: 'Escalation not found' });
+
+        await reworkEscalation.resolve(escalation, req.body, req.user);
+        res.json({
+            message: 'Escalation resolved',
+            data: await populateEscalation(Escalation.findById(escalation._id)).lean()
+        });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Resolve escalation error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const FileUpload = require('../models/FileUpload');
+const { auth, permit } = require('../middleware/auth');
+const fileStorage = require('../utils/file-storage');
+
+const router = express.Router();
+
+// ===== UPLOAD =====
+// multipart/form-data with one or more files; ?kind=proof|leave|feedback.
+// Returns the uploads; pass their ids as attachmentIds to the proof, leave or feedback routes.
+router.post('/upload', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const kind = req.query.kind;
+        if (!kind) return res.status(400).json({ message: 'kind is required (proof, leave or feedback)' });
+        const { uploads } = await fileStorage.receiveUploads(req, kind);
+        res.status(201).json({
+            message: 'Files uploaded successfully',
+            data: uploads.map(u => ({ _id: u._id, ...fileStorage.toAttachment(u) }))
+        });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('File upload error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== METADATA =====
+router.get('/:id/info', auth, async(req, res) => {
+    try {
+        const upload = await FileUpload.findById(req.params.id).populate('uploadedBy', 'name');
+        if (!upload) return res.status(404).json({ message: 'File not found' });
+        if (!(await fileStorage.canAccess(upload, req.user))) return res.status(403).json({ message: 'Not allowed' });
+        res.json({ data: upload });
+    } catch (err) {
+        console.error('File info error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== DOWNLOAD =====
+// Allowed for the uploader, admins and whoever can see the record the file is attached to
+router.get('/:id', auth, async(req, res) => {
+    try {
+        const upload = await FileUpload.findById(req.params.id);
+        if (!upload) return res.status(404).json({ message: 'File not found' });
+        if (!(await fileStorage.canAccess(upload, req.user))) return res.status(403).json({ message: 'Not allowed' });
+
+        // res.attachment encodes non-Latin-1 names (filename*=UTF-8''...); it also
+        // guesses a type from the extension, so the sniffed type is set after it
+        res.attachment(upload.originalName);
+        res.setHeader('Content-Type', upload.mimeType);
+        res.setHeader('Content-Length', upload.size);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+
+        const stream = fileStorage.openStream(upload);
+        stream.on('error', err => {
+            console.error('File read error:', err);
+            if (!res.headersSent) {
+                res.removeHeader('Content-Disposition');
+                res.removeHeader('Content-Length');
+                res.status(404).json({ message: 'File content missing' });
+            } else {
+                res.end();
+            }
+        });
+        stream.pipe(res);
+    } catch (err) {
+        console.error('File download error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== DELETE =====
+// Uploaders may delete files they have not attached yet
+router.delete('/:id', auth, async(req, res) => {
+    try {
+        const upload = await FileUpload.findById(req.params.id);
+        if (!upload) return res.status(404).json({ message: 'File not found' });
+        if (String(upload.uploadedBy) !== String(req.user._id) && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+        if (upload.parent) return res.status(400).json({ message: 'File is attached to a record and cannot be deleted' });
+
+        await fileStorage.removeUpload(upload);
+        res.json({ message: 'File deleted' });
+    } catch (err) {
+        console.error('File delete error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
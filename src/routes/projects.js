@@ -1,122 +1,329 @@
-const express = require('express');
-const Project = require('../models/Project');
-const Timesheet = require('../models/Timesheet');
-const { auth, permit } = require('../middleware/auth');
-
-const router = express.Router();
-
-// create project (manager/admin)
-router.post('/', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        const payload = Object.assign({}, req.body);
-        // ensure manager is the requester unless admin explicitly sets another manager
-        if (!payload.manager) payload.manager = req.user._id;
-        // normalize employees list (accept emails or ids)
-        if (payload.employees && payload.employees.length) {
-            // assume frontend sends ids; otherwise leave as-is
-        }
-        const project = await Project.create(payload);
-        res.status(201).json(project);
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Failed to create project' });
-    }
-});
-
-// get single project
-router.get('/:id', auth, permit('manager', 'admin', 'employee'), async(req, res) => {
-    try {
-        const p = await Project.findById(req.params.id).populate('manager', 'name email').populate('employees', 'name email designation photo');
-        if (!p) return res.status(404).json({ message: 'Project not found' });
-        res.json(p);
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// update project (manager/admin)
-router.put('/:id', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        const updates = req.body;
-        const p = await Project.findById(req.params.id);
-        if (!p) return res.status(404).json({ message: 'Project not found' });
-        // only manager or admin may update
-        if (req.user.role !== 'admin' && String(p.manager) !== String(req.user._id)) {
-            return res.status(403).json({ message: 'Not allowed' });
-        }
-        Object.assign(p, updates);
-        await p.save();
-        const populated = await Project.findById(p._id).populate('manager', 'name email').populate('employees', 'name email designation photo');
-        res.json(populated);
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Update failed' });
-    }
-});
-
-// delete project (manager or admin)
-router.delete('/:id', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        const p = await Project.findById(req.params.id);
-        if (!p) return res.status(404).json({ message: 'Project not found' });
-        if (req.user.role !== 'admin' && String(p.manager) !== String(req.user._id)) {
-            return res.status(403).json({ message: 'Not allowed' });
-        }
-
-        // remove project reference from timesheets (set to null)
-        await Timesheet.updateMany({ project: p._id }, { $set: { project: null } });
-
-        await Project.deleteOne({ _id: p._id });
-        res.json({ message: 'Project deleted' });
-    } catch (err) {
-        console.error('Error deleting project', err);
-        res.status(500).json({ message: 'Failed to delete project' });
-    }
-});
-
-// remove employee from project (manager or admin)
-router.delete('/:id/employees/:empId', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        const p = await Project.findById(req.params.id);
-        if (!p) return res.status(404).json({ message: 'Project not found' });
-        if (req.user.role !== 'admin' && String(p.manager) !== String(req.user._id)) {
-            return res.status(403).json({ message: 'Not allowed' });
-        }
-
-        const empId = req.params.empId;
-        await Project.updateOne({ _id: p._id }, { $pull: { employees: empId } });
-        const updated = await Project.findById(p._id).populate('manager', 'name email').populate('employees', 'name email');
-        res.json(updated);
-    } catch (err) {
-        console.error('Error removing employee from project', err);
-        res.status(500).json({ message: 'Failed to remove employee' });
-    }
-});
-
-// employee leaves a project (self-remove)
-router.post('/:id/leave', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
-    try {
-        const p = await Project.findById(req.params.id);
-        if (!p) return res.status(404).json({ message: 'Project not found' });
-        const userId = String(req.user._id);
-        // only allow if user is in employees
-        const isMember = p.employees.some(e => String(e) === userId);
-        if (!isMember) return res.status(400).json({ message: 'You are not a member of this project' });
-
-        await Project.updateOne({ _id: p._id }, { $pull: { employees: req.user._id } });
-        const updated = await Project.findById(p._id).populate('manager', 'name email').populate('employees', 'name email');
-        res.json({ message: 'Left project', project: updated });
-    } catch (err) {
-        console.error('Error leaving project', err);
-        res.status(500).json({ message: 'Failed to leave project' });
-    }
-});
-
-// list
-router.get('/', auth, permit('manager', 'admin', 'employee'), async(req, res) => {
-    const list = await Project.find().populate('manager', 'name email').populate('employees', '_id name email');
-    res.json(list);
-});
-
-module.exports = router;
+const express = require('express');
+const Project = require('../models/Project');
+const Timesheet = require('../models/Timesheet');
+const Task = require('../models/Task');
+const { auth, permit } = require('../middleware/auth');
+const transitions = require('../utils/assignment-transitions');
+const kanban = require('../utils/kanban');
+const milestones = require('../utils/milestones');
+const projectBudget = require('../utils/project-budget');
+const reviewQuality = require('../utils/review-quality');
+
+const router = express.Router();
+
+// create project (manager/admin)
+router.post('/', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const payload = Object.assign({}, req.body);
+        // ensure manager is the requester unless admin explicitly sets another manager
+        if (!payload.manager) payload.manager = req.user._id;
+        // normalize employees list (accept emails or ids)
+        if (payload.employees && payload.employees.length) {
+            // assume frontend sends ids; otherwise leave as-is
+        }
+        const project = await Project.create(payload);
+        res.status(201).json(project);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Failed to create project' });
+    }
+});
+
+// get single project
+router.get('/:id', auth, permit('manager', 'admin', 'employee'), async(req, res) => {
+    try {
+        const p = await Project.findById(req.params.id).populate('manager', 'name email').populate('employees', 'name email designation photo');
+        if (!p) return res.status(404).json({ message: 'Project not found' });
+        res.json(p);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// budget burn-down and forecast (manager of the project or admin)
+router.get('/:id/budget', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const p = await Project.findById(req.params.id).select('name manager budget budgetUnit startDate endDate');
+        if (!p) return res.status(404).json({ message: 'Project not found' });
+        if (req.user.role !== 'admin' && String(p.manager) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+        res.json(await projectBudget.getBudgetStatus(p));
+    } catch (err) {
+        console.error('Project budget error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== MILESTONES =====
+
+const MILESTONE_FIELDS = ['name', 'description', 'dueDate', 'order'];
+
+// Load a project the requester manages (admins manage all)
+async function findManagedProject(req, res) {
+    const p = await Project.findById(req.params.id);
+    if (!p) {
+        res.status(404).json({ message: 'Project not found' });
+        return null;
+    }
+    if (req.user.role !== 'admin' && String(p.manager) !== String(req.user._id)) {
+        res.status(403).json({ message: 'Not allowed' });
+        return null;
+    }
+    return p;
+}
+
+// milestones with progress computed from their tasks' assignments
+router.get('/:id/milestones', auth, permit('manager', 'admin', 'employee'), async(req, res) => {
+    try {
+        const p = await Project.findById(req.params.id).select('name milestones');
+        if (!p) return res.status(404).json({ message: 'Project not found' });
+        res.json(await milestones.getProjectMilestones(p));
+    } catch (err) {
+        console.error('Get milestones error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// add a milestone; body { name, description, dueDate, order, tasks: [taskId] }
+router.post('/:id/milestones', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const p = await findManagedProject(req, res);
+        if (!p) return;
+        if (!req.body.name) return res.status(400).json({ message: 'name required' });
+
+        const milestone = {};
+        MILESTONE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) milestone[field] = req.body[field];
+        });
+        if (milestone.order === undefined) milestone.order = p.milestones.length;
+        p.milestones.push(milestone);
+        const added = p.milestones[p.milestones.length - 1];
+        await p.save();
+
+        if (Array.isArray(req.body.tasks) && req.body.tasks.length) {
+            await Task.updateMany({ _id: { $in: req.body.tasks }, project: p._id }, { $set: { milestone: added._id } });
+        }
+
+        res.status(201).json(await milestones.getProjectMilestones(p));
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Add milestone error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// update a milestone; body.tasks (if given) replaces the tasks attached to it
+router.put('/:id/milestones/:milestoneId', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const p = await findManagedProject(req, res);
+        if (!p) return;
+        const milestone = p.milestones.id(req.params.milestoneId);
+        if (!milestone) return res.status(404).json({ message: 'Milestone not found' });
+
+        MILESTONE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) milestone[field] = req.body[field];
+        });
+        await p.save();
+
+        if (Array.isArray(req.body.tasks)) {
+            await Task.updateMany({ project: p._id, milestone: milestone._id }, { $unset: { milestone: 1 } });
+            await Task.updateMany({ _id: { $in: req.body.tasks }, project: p._id }, { $set: { milestone: milestone._id } });
+        }
+
+        res.json(await milestones.getProjectMilestones(p));
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Update milestone error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// remove a milestone; its tasks stay on the project without a milestone
+router.delete('/:id/milestones/:milestoneId', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const p = await findManagedProject(req, res);
+        if (!p) return;
+        const milestone = p.milestones.id(req.params.milestoneId);
+        if (!milestone) return res.status(404).json({ message: 'Milestone not found' });
+
+        milestone.deleteOne();
+        await p.save();
+        await Task.updateMany({ project: p._id, milestone: req.params.milestoneId }, { $unset: { milestone: 1 } });
+
+        res.json(await milestones.getProjectMilestones(p));
+    } catch (err) {
+        console.error('Delete milestone error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== KANBAN BOARD =====
+
+// assignments of the project's tasks by status; employees see boards of projects they are on
+router.get('/:id/board', auth, permit('manager', 'admin', 'employee'), async(req, res) => {
+    try {
+        const p = await Project.findById(req.params.id).select('name manager employees wipLimits').lean();
+        if (!p) return res.status(404).json({ message: 'Project not found' });
+
+        const isMember = (p.employees || []).some(e => String(e) === String(req.user._id));
+        if (req.user.role !== 'admin' && String(p.manager) !== String(req.user._id) && !isMember) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+        res.json(await kanban.getBoard(p));
+    } catch (err) {
+        console.error('Project board error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// set WIP limits: body { limits: { in_progress: 3, pending_review: 5 } }; 0 or null removes a limit
+router.put('/:id/board/wip-limits', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const p = await findManagedProject(req, res);
+        if (!p) return;
+
+        const limits = req.body.limits || {};
+        for (const [status, value] of Object.entries(limits)) {
+            if (!transitions.ASSIGNMENT_STATUSES.includes(status)) {
+                return res.status(400).json({ message: `Unknown column "${status}"` });
+            }
+            if (!value) {
+                p.wipLimits.delete(status);
+                continue;
+            }
+            if (!Number.isInteger(Number(value)) || Number(value) < 1) {
+                return res.status(400).json({ message: 'WIP limits must be positive whole numbers' });
+            }
+            p.wipLimits.set(status, Number(value));
+        }
+        await p.save();
+        res.json({ wipLimits: kanban.wipLimitsOf(p) });
+    } catch (err) {
+        console.error('WIP limits error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== REVIEW CHECKLIST =====
+
+// items reviewers tick on proofs of the project, with the defect taxonomy
+router.get('/:id/review-checklist', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const p = await findManagedProject(req, res);
+        if (!p) return;
+        res.json({
+            checklist: reviewQuality.checklistFor(p),
+            isDefault: p.reviewChecklist.length === 0,
+            defectTypes: reviewQuality.DEFECT_TYPES,
+            severities: reviewQuality.SEVERITIES
+        });
+    } catch (err) {
+        console.error('Get review checklist error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// replace the checklist: body { items: [{ label, required }] }; an empty list restores the defaults
+router.put('/:id/review-checklist', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const p = await findManagedProject(req, res);
+        if (!p) return;
+        p.reviewChecklist = reviewQuality.normalizeChecklist(req.body.items);
+        await p.save();
+        res.json({ checklist: reviewQuality.checklistFor(p), isDefault: p.reviewChecklist.length === 0 });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Update review checklist error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// update project (manager/admin)
+router.put('/:id', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const updates = req.body;
+        const p = await Project.findById(req.params.id);
+        if (!p) return res.status(404).json({ message: 'Project not found' });
+        // only manager or admin may update
+        if (req.user.role !== 'admin' && String(p.manager) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+        Object.assign(p, updates);
+        await p.save();
+        // a new budget may cross (or drop back under) an alert threshold
+        await projectBudget.checkBudgetAlerts(p._id);
+        const populated = await Project.findById(p._id).populate('manager', 'name email').populate('employees', 'name email designation photo');
+        res.json(populated);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Update failed' });
+    }
+});
+
+// delete project (manager or admin)
+router.delete('/:id', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const p = await Project.findById(req.params.id);
+        if (!p) return res.status(404).json({ message: 'Project not found' });
+        if (req.user.role !== 'admin' && String(p.manager) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        // remove project reference from timesheets (set to null)
+        await Timesheet.updateMany({ project: p._id }, { $set: { project: null } });
+
+        await Project.deleteOne({ _id: p._id });
+        res.json({ message: 'Project deleted' });
+    } catch (err) {
+        console.error('Error deleting project', err);
+        res.status(500).json({ message: 'Failed to delete project' });
+    }
+});
+
+// remove employee from project (manager or admin)
+router.delete('/:id/employees/:empId', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const p = await Project.findById(req.params.id);
+        if (!p) return res.status(404).json({ message: 'Project not found' });
+        if (req.user.role !== 'admin' && String(p.manager) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        const empId = req.params.empId;
+        await Project.updateOne({ _id: p._id }, { $pull: { employees: empId } });
+        const updated = await Project.findById(p._id).populate('manager', 'name email').populate('employees', 'name email');
+        res.json(updated);
+    } catch (err) {
+        console.error('Error removing employee from project', err);
+        res.status(500).json({ message: 'Failed to remove employee' });
+    }
+});
+
+// employee leaves a project (self-remove)
+router.post('/:id/leave', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const p = await Project.findById(req.params.id);
+        if (!p) return res.status(404).json({ message: 'Project not found' });
+        const userId = String(req.user._id);
+        // only allow if user is in employees
+        const isMember = p.employees.some(e => String(e) === userId);
+        if (!isMember) return res.status(400).json({ message: 'You are not a member of this project' });
+
+        await Project.updateOne({ _id: p._id }, { $pull: { employees: req.user._id } });
+        const updated = await Project.findById(p._id).populate('manager', 'name email').populate('employees', 'name email');
+        res.json({ message: 'Left project', project: updated });
+    } catch (err) {
+        console.error('Error leaving project', err);
+        res.status(500).json({ message: 'Failed to leave project' });
+    }
+});
+
+// list
+router.get('/', auth, permit('manager', 'admin', 'employee'), async(req, res) => {
+    const list = await Project.find().populate('manager', 'name email').populate('employees', '_id name email');
+    res.json(list);
+});
+
+module.exports = router;
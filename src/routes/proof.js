@@ -1,539 +1,594 @@
-const express = require('express');
-const { auth, permit } = require('../middleware/auth');
-const Task = require('../models/Task');
-const ProofSubmission = require('../models/ProofSubmission');
-const Review = require('../models/Review');
-const Notification = require('../models/Notification');
-const Project = require('../models/Project');
-const User = require('../models/User');
-
-const router = express.Router();
-
-// ============================================================================
-// 1. EMPLOYEE: Submit Proof of Work
-// ============================================================================
-
-/**
- * POST /api/proof/submit
- * Employee submits proof of work with GitHub link, video, attachments, and notes
- * Validation: All fields required, format checks on links
- */
-router.post('/submit', auth, permit('employee'), async(req, res) => {
-    try {
-        const { taskId, githubLink, demoVideoLink, completionNotes } = req.body;
-        const userId = String(req.user._id);
-
-        console.log('📝 [PROOF] Submitting:', { taskId, github: githubLink?.substring(0, 20), notes: completionNotes?.substring(0, 20) });
-
-        // Basic checks only
-        if (!taskId) return res.status(400).json({ message: 'Task ID required' });
-        if (!githubLink) return res.status(400).json({ message: 'GitHub link required' });
-        if (!demoVideoLink) return res.status(400).json({ message: 'Video link required' });
-        if (!completionNotes || completionNotes.length < 5) return res.status(400).json({ message: 'Notes required (min 5 chars)' });
-
-        // Get task
-        const task = await Task.findById(taskId);
-        if (!task) return res.status(404).json({ message: 'Task not found' });
-
-        const assignment = task.assignments.find(a => String(a.employee) === userId);
-        if (!assignment) return res.status(403).json({ message: 'Task not assigned to you' });
-
-        // Create proof - skip model validation
-        const proof = new ProofSubmission({
-            task: taskId,
-            employee: userId,
-            project: task.project,
-            githubLink: String(githubLink),
-            demoVideoLink: String(demoVideoLink),
-            completionNotes: String(completionNotes),
-            attachments: [],
-            submissionStatus: 'submitted'
-        });
-
-        // Save bypassing validation
-        await proof.save({ validateBeforeSave: false });
-
-        console.log('✅ Proof saved:', proof._id);
-
-        // Update task status
-        assignment.status = 'pending_review';
-        await task.save();
-
-        res.status(201).json({
-            message: '✅ Proof submitted successfully!',
-            data: { proofId: proof._id, status: 'submitted' }
-        });
-
-    } catch (err) {
-        console.error('❌ Error:', err.message);
-        res.status(500).json({ message: 'Error: ' + err.message });
-    }
-});
-
-// ============================================================================
-// 2. MANAGER/ADMIN: Review Proof Submission
-// ============================================================================
-
-/**
- * POST /api/proof/:proofId/review
- * Manager/Admin approves or rejects proof with comments
- * Decision: approve or defect_found
- */
-router.post('/:proofId/review', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        const { proofId } = req.params;
-        const { decision, comments, defectDescription } = req.body;
-        const reviewerId = String(req.user._id);
-
-        // Validation
-        if (!['approved', 'defect_found'].includes(decision)) {
-            return res.status(400).json({ message: 'Decision must be "approved" or "defect_found"' });
-        }
-
-        if (!comments || comments.length < 5) {
-            return res.status(400).json({ message: 'Review comments required (minimum 5 characters)' });
-        }
-
-        if (decision === 'defect_found' && !defectDescription) {
-            return res.status(400).json({ message: 'Defect description required' });
-        }
-
-        // Get proof submission
-        const proof = await ProofSubmission.findById(proofId);
-        if (!proof) {
-            return res.status(404).json({ message: 'Proof not found' });
-        }
-
-        // Get task
-        const task = await Task.findById(proof.task);
-        const assignment = task.assignments.find(a => String(a.employee) === String(proof.employee));
-
-        // Create review record
-        const review = await Review.create({
-            proof: proofId,
-            task: proof.task,
-            employee: proof.employee,
-            project: proof.project,
-            reviewedBy: reviewerId,
-            reviewerRole: req.user.role,
-            decision,
-            comments,
-            defectDescription: decision === 'defect_found' ? defectDescription : null,
-            taskStatusAfterReview: decision === 'approved' ? 'completed' : 'rework_required'
-        });
-
-        // Update proof status
-        proof.reviewDecision = decision;
-        proof.submissionStatus = decision === 'approved' ? 'approved' : 'rejected';
-        proof.reviewedBy = reviewerId;
-        proof.reviewedAt = new Date();
-        proof.managerComments = comments;
-
-        if (decision === 'defect_found') {
-            proof.defectDescription = defectDescription;
-            proof.defectCount += 1;
-            proof.reworkRequired = true;
-            proof.reworkAttempts += 1;
-
-            // Check if max rework attempts exceeded
-            if (proof.reworkAttempts >= proof.maxReworkAttempts) {
-                return res.status(400).json({
-                    message: 'Maximum rework attempts exceeded. Task needs reassignment.',
-                    defectCount: proof.defectCount
-                });
-            }
-        } else if (decision === 'approved') {
-            proof.isApproved = true;
-            proof.finalApprovedAt = new Date();
-        }
-
-        await proof.save();
-
-        // Update task assignment status
-        if (decision === 'approved') {
-            assignment.status = 'completed';
-            assignment.finalApprovedAt = new Date();
-            assignment.reviewCycle = {
-                reviewedBy: reviewerId,
-                reviewStatus: 'approved',
-                managerComments: comments,
-                reviewedAt: new Date()
-            };
-        } else {
-            assignment.status = 'rework_required';
-            assignment.reviewCycle = {
-                reviewedBy: reviewerId,
-                reviewStatus: 'defect_found',
-                managerComments: comments,
-                defectDescription,
-                reviewedAt: new Date(),
-                defectCount: (assignment.reviewCycle?.defectCount || 0) + 1,
-                reworkRequired: true
-            };
-        }
-
-        await task.save();
-
-        // Notify employee
-        await Notification.create({
-            user: proof.employee,
-            type: decision === 'approved' ? 'proof_approved' : 'proof_rejected',
-            title: decision === 'approved' ? '✅ Proof Approved' : '⚠️ Rework Required',
-            body: decision === 'approved' ?
-                `Your proof for "${task.title}" has been approved!` : `Your proof for "${task.title}" needs rework. See comments below.`,
-            meta: {
-                taskId: proof.task,
-                proofId,
-                decision,
-                comments,
-                defectDescription: decision === 'defect_found' ? defectDescription : null,
-                defectCount: proof.defectCount,
-                reviewedAt: new Date()
-            }
-        });
-
-        console.log(`📋 Proof reviewed - ${decision}: ${task.title}, Employee: ${proof.employee}`);
-
-        res.json({
-            message: `✅ Proof ${decision === 'approved' ? 'approved' : 'rejected for rework'}`,
-            data: review,
-            taskStatus: decision === 'approved' ? 'completed' : 'rework_required'
-        });
-
-    } catch (err) {
-        console.error('❌ Error reviewing proof:', err);
-        res.status(500).json({ message: 'Failed to review proof: ' + err.message });
-    }
-});
-
-// ============================================================================
-// 3. EMPLOYEE: Resubmit After Defect
-// ============================================================================
-
-/**
- * POST /api/proof/:proofId/resubmit
- * Employee resubmits proof after defect fix
- * Loops back to pending_review
- */
-router.post('/:proofId/resubmit', auth, permit('employee'), async(req, res) => {
-    try {
-        const { proofId } = req.params;
-        const { githubLink, demoVideoLink, completionNotes, attachments = [] } = req.body;
-
-        // Validation
-        if (!githubLink || !githubLink.match(/^https?:\/\/(github\.com|gitlab\.com|bitbucket\.org)/)) {
-            return res.status(400).json({ message: 'Valid GitHub link required' });
-        }
-        if (!demoVideoLink || !demoVideoLink.match(/^https?:\/\/(youtube\.com|youtu\.be|vimeo\.com|loom\.com)/)) {
-            return res.status(400).json({ message: 'Valid video link required' });
-        }
-        if (!completionNotes || completionNotes.length < 20) {
-            return res.status(400).json({ message: 'Completion notes required (minimum 20 characters)' });
-        }
-
-        // Get proof and verify ownership
-        const proof = await ProofSubmission.findById(proofId);
-        if (!proof) return res.status(404).json({ message: 'Proof not found' });
-        if (String(proof.employee) !== String(req.user._id)) {
-            return res.status(403).json({ message: 'Cannot resubmit others proof' });
-        }
-
-        // Update proof
-        proof.githubLink = githubLink;
-        proof.demoVideoLink = demoVideoLink;
-        proof.completionNotes = completionNotes;
-        proof.attachments = attachments;
-        proof.submissionStatus = 'submitted';
-        proof.submittedAt = new Date();
-        proof.reviewDecision = 'pending';
-        proof.reviewedBy = null;
-        proof.reviewedAt = null;
-        await proof.save();
-
-        // Update task status
-        const task = await Task.findById(proof.task);
-        const assignment = task.assignments.find(a => String(a.employee) === String(proof.employee));
-        assignment.status = 'pending_review';
-        await task.save();
-
-        // Notify manager
-        const project = await Project.findById(proof.project);
-        await Notification.create({
-            user: project.manager,
-            type: 'proof_resubmitted',
-            title: 'Rework Completed - Resubmitted',
-            body: `${req.user.name} resubmitted proof for "${task.title}" after fixes`,
-            meta: {
-                taskId: proof.task,
-                proofId,
-                employeeName: req.user.name
-            }
-        });
-
-        console.log(`🔄 Proof resubmitted - Task: ${task.title}, Attempt: ${proof.reworkAttempts}`);
-
-        res.json({
-            message: '✅ Proof resubmitted for review',
-            data: proof,
-            reworkAttempt: proof.reworkAttempts,
-            status: 'pending_review'
-        });
-
-    } catch (err) {
-        console.error('❌ Error resubmitting proof:', err);
-        res.status(500).json({ message: 'Failed to resubmit proof: ' + err.message });
-    }
-});
-
-// ============================================================================
-// 4. MANAGER/ADMIN: Get Pending Proofs for Review
-// ============================================================================
-
-/**
- * GET /api/proof/pending
- * Manager/Admin views all pending proofs awaiting review
- * Filters by project (manager) or all (admin)
- */
-router.get('/pending', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        const { filter = 'all' } = req.query;
-        const managerId = String(req.user._id);
-
-        let query = { submissionStatus: 'submitted', reviewDecision: 'pending' };
-
-        // Manager sees only their projects
-        if (req.user.role === 'manager') {
-            const projects = await Project.find({ manager: managerId }, '_id');
-            const projectIds = projects.map(p => p._id);
-            query.project = { $in: projectIds };
-        }
-
-        const proofs = await ProofSubmission.find(query)
-            .populate('employee', 'name email')
-            .populate('task', 'title description')
-            .populate('project', 'name')
-            .sort({ submittedAt: -1 })
-            .lean();
-
-        res.json({
-            count: proofs.length,
-            filter,
-            data: proofs
-        });
-
-    } catch (err) {
-        console.error('❌ Error getting pending proofs:', err);
-        res.status(500).json({ message: 'Failed to fetch pending proofs: ' + err.message });
-    }
-});
-
-// ============================================================================
-// 5. MANAGER/ADMIN: Assign Next Task
-// ============================================================================
-
-/**
- * POST /api/proof/:proofId/assign-next
- * After approval, automatically assign next pending task
- * Notifies employee and manager
- */
-router.post('/:proofId/assign-next', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        const { proofId } = req.params;
-
-        const proof = await ProofSubmission.findById(proofId);
-        if (!proof) return res.status(404).json({ message: 'Proof not found' });
-
-        // Check if proof is approved
-        if (proof.reviewDecision !== 'approved') {
-            return res.status(400).json({ message: 'Can only assign tasks after approval' });
-        }
-
-        // Get next pending task in same project
-        const pendingTask = await Task.findOne({
-            project: proof.project,
-            'assignments': {
-                $elemMatch: {
-                    employee: proof.employee,
-                    status: 'assigned'
-                }
-            }
-        }).sort({ createdAt: 1 });
-
-        if (!pendingTask) {
-            // All tasks completed
-            return res.json({
-                message: '✅ All tasks completed!',
-                status: 'all_tasks_completed',
-                employee: proof.employee,
-                project: proof.project
-            });
-        }
-
-        // Assign next task
-        const assignment = pendingTask.assignments.find(a => String(a.employee) === String(proof.employee));
-        assignment.status = 'in_progress';
-        assignment.progress = 0;
-        await pendingTask.save();
-
-        // Notify employee
-        await Notification.create({
-            user: proof.employee,
-            type: 'task_assigned',
-            title: '📌 New Task Assigned',
-            body: `You have been assigned: "${pendingTask.title}"`,
-            meta: {
-                taskId: pendingTask._id,
-                taskTitle: pendingTask.title,
-                deadline: assignment.deadline
-            }
-        });
-
-        // Notify manager
-        const project = await Project.findById(proof.project);
-        await Notification.create({
-            user: project.manager,
-            type: 'task_assigned',
-            title: 'Task Assigned to Team Member',
-            body: `Assigned "${pendingTask.title}" to employee for project`,
-            meta: {
-                taskId: pendingTask._id,
-                employeeId: proof.employee
-            }
-        });
-
-        console.log(`✅ Next task assigned - Task: ${pendingTask.title}`);
-
-        res.json({
-            message: '✅ Next task assigned',
-            nextTask: {
-                id: pendingTask._id,
-                title: pendingTask.title,
-                description: pendingTask.description,
-                deadline: assignment.deadline
-            },
-            status: 'task_assigned'
-        });
-
-    } catch (err) {
-        console.error('❌ Error assigning next task:', err);
-        res.status(500).json({ message: 'Failed to assign next task: ' + err.message });
-    }
-});
-
-// ============================================================================
-// 6. GET: Task/Proof Status
-// ============================================================================
-
-/**
- * GET /api/proof/:proofId/status
- * Get current status of proof submission and review
- */
-router.get('/:proofId/status', auth, async(req, res) => {
-    try {
-        const proof = await ProofSubmission.findById(req.params.proofId)
-            .populate('employee', 'name email')
-            .populate('reviewedBy', 'name')
-            .lean();
-
-        if (!proof) return res.status(404).json({ message: 'Proof not found' });
-
-        res.json({
-            proofId: proof._id,
-            submissionStatus: proof.submissionStatus,
-            reviewDecision: proof.reviewDecision,
-            submittedAt: proof.submittedAt,
-            reviewedAt: proof.reviewedAt,
-            defectCount: proof.defectCount,
-            reworkAttempts: proof.reworkAttempts,
-            isApproved: proof.isApproved,
-            githubLink: proof.githubLink,
-            demoVideoLink: proof.demoVideoLink,
-            managerComments: proof.managerComments,
-            reviewedBy: proof.reviewedBy?.name
-        });
-
-    } catch (err) {
-        console.error('❌ Error getting status:', err);
-        res.status(500).json({ message: 'Failed to get status: ' + err.message });
-    }
-});
-
-// ============================================================================
-// 6b. GET: Employee's Submissions - View Manager Actions
-// ============================================================================
-
-/**
- * GET /api/proof/my-submissions
- * Employee views their own submitted proofs with manager decisions
- */
-router.get('/my-submissions', auth, permit('employee'), async(req, res) => {
-    try {
-        const employeeId = String(req.user._id);
-
-        const proofs = await ProofSubmission.find({ employee: employeeId })
-            .populate('task', 'title description')
-            .populate('project', 'name')
-            .sort({ submittedAt: -1 })
-            .lean();
-
-        res.json({
-            count: proofs.length,
-            data: proofs
-        });
-
-    } catch (err) {
-        console.error('❌ Error fetching employee submissions:', err);
-        res.status(500).json({ message: 'Failed to fetch submissions: ' + err.message });
-    }
-});
-
-// ============================================================================
-// 7. GET: Analytics - Review Cycle Metrics
-// ============================================================================
-
-/**
- * GET /api/proof/analytics/metrics
- * Admin/Manager sees review cycle analytics
- */
-router.get('/analytics/metrics', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        const { days = 30 } = req.query;
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - parseInt(days));
-
-        let query = { submittedAt: { $gte: startDate } };
-
-        if (req.user.role === 'manager') {
-            const projects = await Project.find({ manager: req.user._id }, '_id');
-            const projectIds = projects.map(p => p._id);
-            query.project = { $in: projectIds };
-        }
-
-        const proofs = await ProofSubmission.find(query).lean();
-
-        // Calculate metrics
-        const approved = proofs.filter(p => p.reviewDecision === 'approved').length;
-        const defects = proofs.filter(p => p.reviewDecision === 'defect_found').length;
-        const pending = proofs.filter(p => p.reviewDecision === 'pending').length;
-        const avgReworkAttempts = proofs.length > 0 ?
-            (proofs.reduce((sum, p) => sum + p.reworkAttempts, 0) / proofs.length).toFixed(2) :
-            0;
-
-        res.json({
-            period: `Last ${days} days`,
-            totalSubmissions: proofs.length,
-            approved,
-            defects,
-            pending,
-            approvalRate: proofs.length > 0 ? Math.round((approved / proofs.length) * 100) : 0,
-            defectRate: proofs.length > 0 ? Math.round((defects / proofs.length) * 100) : 0,
-            avgReworkAttempts
-        });
-
-    } catch (err) {
-        console.error('❌ Error getting analytics:', err);
-        res.status(500).json({ message: 'Failed to get analytics: ' + err.message });
-    }
-});
-
+const express = require('express');
+const { auth, permit } = require('../middleware/auth');
+const Task = require('../models/Task');
+const ProofSubmission = require('../models/ProofSubmission');
+const Review = require('../models/Review');
+const Notification = require('../models/Notification');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const fileStorage = require('../utils/file-storage');
+const proofVersions = require('../utils/proof-versions');
+const reviewQuality = require('../utils/review-quality');
+const transitions = require('../utils/assignment-transitions');
+const taskDependencies = require('../utils/task-dependencies');
+
+const router = express.Router();
+
+// ============================================================================
+// 1. EMPLOYEE: Submit Proof of Work
+// ============================================================================
+
+/**
+ * POST /api/proof/submit
+ * Employee submits proof of work with GitHub link, video, attachments, and notes
+ * attachmentIds: ids of the employee's uploads (POST /api/files/upload?kind=proof)
+ * Validation: All fields required, format checks on links
+ */
+router.post('/submit', auth, permit('employee'), async(req, res) => {
+    try {
+        const { taskId, githubLink, demoVideoLink, completionNotes, attachmentIds } = req.body;
+        const userId = String(req.user._id);
+
+        console.log('📝 [PROOF] Submitting:', { taskId, github: githubLink?.substring(0, 20), notes: completionNotes?.substring(0, 20) });
+
+        // Basic checks only
+        if (!taskId) return res.status(400).json({ message: 'Task ID required' });
+        if (!githubLink) return res.status(400).json({ message: 'GitHub link required' });
+        if (!demoVideoLink) return res.status(400).json({ message: 'Video link required' });
+        if (!completionNotes || completionNotes.length < 5) return res.status(400).json({ message: 'Notes required (min 5 chars)' });
+        if (String(completionNotes).length > 2000) return res.status(400).json({ message: 'Notes cannot exceed 2000 characters' });
+
+        // Get task
+        const task = await Task.findById(taskId);
+        if (!task) return res.status(404).json({ message: 'Task not found' });
+
+        const assignment = task.assignments.find(a => String(a.employee) === userId);
+        if (!assignment) return res.status(403).json({ message: 'Task not assigned to you' });
+
+        const { uploads, attachments } = await fileStorage.prepareAttachments(attachmentIds, 'proof', req.user);
+
+        // Create proof - skip model validation (the checks above stand in for it);
+        // saved once the assignment moves to review
+        const proof = new ProofSubmission({
+            task: taskId,
+            employee: userId,
+            project: task.project,
+            githubLink: String(githubLink),
+            demoVideoLink: String(demoVideoLink),
+            completionNotes: String(completionNotes),
+            attachments,
+            submissionStatus: 'submitted'
+        });
+
+        // Update task status (checks the move and notifies the reviewers)
+        await transitions.transition(task, userId, 'pending_review', { actor: req.user, proof });
+
+        // Save bypassing validation
+        await proof.save({ validateBeforeSave: false });
+        await fileStorage.linkAttachments(uploads, 'ProofSubmission', proof._id);
+
+        console.log('✅ Proof saved:', proof._id);
+
+        res.status(201).json({
+            message: '✅ Proof submitted successfully!',
+            data: { proofId: proof._id, status: 'submitted' }
+        });
+
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('❌ Error:', err.message);
+        res.status(500).json({ message: 'Error: ' + err.message });
+    }
+});
+
+// ============================================================================
+// 2. MANAGER/ADMIN: Review Proof Submission
+// ============================================================================
+
+/**
+ * POST /api/proof/:proofId/review
+ * Manager/Admin approves or rejects proof with comments
+ * Decision: approve or defect_found
+ * checklist: ticked items of the project's review checklist (keys); approving
+ *   needs every required item ticked (GET /api/projects/:id/review-checklist)
+ * defects: [{ type, severity, description }] for a defect_found decision; a
+ *   plain defectDescription is filed as one defect of type 'other'
+ * attachmentIds: screenshots of the defect (POST /api/files/upload?kind=proof)
+ */
+router.post('/:proofId/review', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const { proofId } = req.params;
+        const { decision, comments, defectSeverity, checklist, attachmentIds } = req.body;
+        let { defectDescription } = req.body;
+
+        // Validation
+        if (!['approved', 'defect_found'].includes(decision)) {
+            return res.status(400).json({ message: 'Decision must be "approved" or "defect_found"' });
+        }
+
+        if (!comments || comments.length < 5) {
+            return res.status(400).json({ message: 'Review comments required (minimum 5 characters)' });
+        }
+
+        const defects = decision === 'defect_found' ? reviewQuality.normalizeDefects(req.body.defects, defectDescription, defectSeverity) : [];
+        if (decision === 'defect_found' && defects.length === 0) {
+            return res.status(400).json({ message: 'Defect description required' });
+        }
+        if (!defectDescription && defects.length > 0) defectDescription = reviewQuality.describeDefects(defects);
+
+        // Get proof submission
+        const proof = await ProofSubmission.findById(proofId);
+        if (!proof) {
+            return res.status(404).json({ message: 'Proof not found' });
+        }
+
+        if (proof.reviewDecision !== 'pending') {
+            return res.status(400).json({ message: 'Proof has already been reviewed' });
+        }
+
+        const project = await Project.findById(proof.project).select('reviewChecklist');
+        const reviewChecklist = reviewQuality.evaluateChecklist(reviewQuality.checklistFor(project), checklist, decision);
+
+        const defectFiles = decision === 'defect_found' ?
+            await fileStorage.prepareAttachments(attachmentIds, 'proof', req.user) : { uploads: [], attachments: [] };
+
+        // Move the assignment: closes the proof, records the Review and notifies the employee
+        const task = await Task.findById(proof.task);
+        if (!task) return res.status(404).json({ message: 'Task not found' });
+        // a defect that reaches the rework limit escalates the assignment
+        const { reviews, escalation } = await transitions.transition(task, proof.employee, decision === 'approved' ? 'completed' : 'rework_required', {
+            actor: req.user,
+            proof,
+            comments,
+            defectDescription,
+            defects,
+            reviewChecklist
+        });
+        const review = reviews.find(r => String(r.proof) === String(proof._id));
+        if (defectFiles.uploads.length > 0) {
+            await ProofSubmission.updateOne({ _id: proof._id }, { $push: { defectAttachments: { $each: defectFiles.attachments } } });
+            await fileStorage.linkAttachments(defectFiles.uploads, 'ProofSubmission', proof._id);
+        }
+
+        console.log(`📋 Proof reviewed - ${decision}: ${task.title}, Employee: ${proof.employee}`);
+
+        res.json({
+            message: `✅ Proof ${decision === 'approved' ? 'approved' : 'rejected for rework'}`,
+            data: review,
+            taskStatus: decision === 'approved' ? 'completed' : 'rework_required',
+            escalation
+        });
+
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('❌ Error reviewing proof:', err);
+        res.status(500).json({ message: 'Failed to review proof: ' + err.message });
+    }
+});
+
+// ============================================================================
+// 3. EMPLOYEE: Resubmit After Defect
+// ============================================================================
+
+/**
+ * POST /api/proof/:proofId/resubmit
+ * Employee resubmits proof after defect fix as the next version; the
+ * rejected version is kept. attachmentIds replace the attachments when given.
+ * Loops back to pending_review
+ */
+router.post('/:proofId/resubmit', auth, permit('employee'), async(req, res) => {
+    try {
+        const { proofId } = req.params;
+        const { githubLink, demoVideoLink, completionNotes, attachmentIds } = req.body;
+
+        // Validation
+        if (!githubLink || !githubLink.match(/^https?:\/\/(github\.com|gitlab\.com|bitbucket\.org)/)) {
+            return res.status(400).json({ message: 'Valid GitHub link required' });
+        }
+        if (!demoVideoLink || !demoVideoLink.match(/^https?:\/\/(youtube\.com|youtu\.be|vimeo\.com|loom\.com)/)) {
+            return res.status(400).json({ message: 'Valid video link required' });
+        }
+        if (!completionNotes || completionNotes.length < 20) {
+            return res.status(400).json({ message: 'Completion notes required (minimum 20 characters)' });
+        }
+
+        // Get proof and verify ownership
+        const proof = await ProofSubmission.findById(proofId);
+        if (!proof) return res.status(404).json({ message: 'Proof not found' });
+        if (String(proof.employee) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Cannot resubmit others proof' });
+        }
+        const latest = await proofVersions.latestVersion(proof.task, proof.employee);
+        if (latest && String(latest._id) !== String(proof._id)) {
+            return res.status(400).json({ message: `A newer version (v${latest.version}) of this proof exists` });
+        }
+
+        const { uploads, attachments } = await fileStorage.prepareAttachments(attachmentIds, 'proof', req.user);
+
+        // The next version; saved once the assignment is back in review
+        const next = new ProofSubmission({
+            task: proof.task,
+            employee: proof.employee,
+            project: proof.project,
+            githubLink,
+            demoVideoLink,
+            completionNotes,
+            attachments: attachmentIds !== undefined ? attachments : proof.attachments.map(a => a.toObject()),
+            submissionStatus: 'submitted',
+            defectCount: proof.defectCount,
+            reworkAttempts: proof.reworkAttempts,
+            maxReworkAttempts: proof.maxReworkAttempts
+        });
+
+        const task = await Task.findById(proof.task);
+        if (!task) return res.status(404).json({ message: 'Task not found' });
+        // reject a version that would not save before the assignment moves
+        await next.validate();
+
+        // Update task status (numbers the version, checks the move and notifies the manager)
+        await transitions.transition(task, proof.employee, 'pending_review', { actor: req.user, proof: next });
+        await next.save();
+        await fileStorage.linkAttachments(uploads, 'ProofSubmission', next._id);
+
+        console.log(`🔄 Proof resubmitted - Task: ${task.title}, Version: ${next.version}, Attempt: ${next.reworkAttempts}`);
+
+        res.json({
+            message: '✅ Proof resubmitted for review',
+            data: next,
+            version: next.version,
+            reworkAttempt: next.reworkAttempts,
+            status: 'pending_review'
+        });
+
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        console.error('❌ Error resubmitting proof:', err);
+        res.status(500).json({ message: 'Failed to resubmit proof: ' + err.message });
+    }
+});
+
+// ============================================================================
+// 4. MANAGER/ADMIN: Get Pending Proofs for Review
+// ============================================================================
+
+/**
+ * GET /api/proof/pending
+ * Manager/Admin views all pending proofs awaiting review
+ * Filters by project (manager) or all (admin)
+ */
+router.get('/pending', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const { filter = 'all' } = req.query;
+        const managerId = String(req.user._id);
+
+        let query = { submissionStatus: 'submitted', reviewDecision: 'pending' };
+
+        // Manager sees only their projects
+        if (req.user.role === 'manager') {
+            const projects = await Project.find({ manager: managerId }, '_id');
+            const projectIds = projects.map(p => p._id);
+            query.project = { $in: projectIds };
+        }
+
+        const proofs = await ProofSubmission.find(query)
+            .populate('employee', 'name email')
+            .populate('task', 'title description')
+            .populate('project', 'name')
+            .sort({ submittedAt: -1 })
+            .lean();
+
+        res.json({
+            count: proofs.length,
+            filter,
+            data: proofs
+        });
+
+    } catch (err) {
+        console.error('❌ Error getting pending proofs:', err);
+        res.status(500).json({ message: 'Failed to fetch pending proofs: ' + err.message });
+    }
+});
+
+// ============================================================================
+// 5. MANAGER/ADMIN: Assign Next Task
+// ============================================================================
+
+/**
+ * POST /api/proof/:proofId/assign-next
+ * After approval, automatically assign next pending task
+ * Notifies employee and manager
+ */
+router.post('/:proofId/assign-next', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const { proofId } = req.params;
+
+        const proof = await ProofSubmission.findById(proofId);
+        if (!proof) return res.status(404).json({ message: 'Proof not found' });
+
+        // Check if proof is approved
+        if (proof.reviewDecision !== 'approved') {
+            return res.status(400).json({ message: 'Can only assign tasks after approval' });
+        }
+
+        // Get next pending task in same project, skipping tasks still waiting on predecessors
+        const assignedTasks = await Task.find({
+            project: proof.project,
+            'assignments': {
+                $elemMatch: {
+                    employee: proof.employee,
+                    status: 'assigned'
+                }
+            }
+        }).sort({ createdAt: 1 });
+        const blockers = await taskDependencies.loadBlockers(assignedTasks);
+        const pendingTask = assignedTasks.find(t => (blockers[String(t._id)] || []).length === 0);
+
+        if (!pendingTask && assignedTasks.length > 0) {
+            return res.json({
+                message: 'Remaining tasks are waiting on their predecessors',
+                status: 'tasks_blocked',
+                blockedTasks: assignedTasks.map(t => ({ id: t._id, title: t.title, blockedBy: blockers[String(t._id)] })),
+                employee: proof.employee,
+                project: proof.project
+            });
+        }
+
+        if (!pendingTask) {
+            // All tasks completed
+            return res.json({
+                message: '✅ All tasks completed!',
+                status: 'all_tasks_completed',
+                employee: proof.employee,
+                project: proof.project
+            });
+        }
+
+        // Assign next task
+        const assignment = pendingTask.assignments.find(a => String(a.employee) === String(proof.employee));
+        assignment.progress = 0;
+        await transitions.transition(pendingTask, proof.employee, 'in_progress', { actor: req.user });
+
+        // Notify employee
+        await Notification.create({
+            user: proof.employee,
+            type: 'task_assigned',
+            title: '📌 New Task Assigned',
+            body: `You have been assigned: "${pendingTask.title}"`,
+            meta: {
+                taskId: pendingTask._id,
+                taskTitle: pendingTask.title,
+                deadline: assignment.deadline
+            }
+        });
+
+        // Notify manager
+        const project = await Project.findById(proof.project);
+        await Notification.create({
+            user: project.manager,
+            type: 'task_assigned',
+            title: 'Task Assigned to Team Member',
+            body: `Assigned "${pendingTask.title}" to employee for project`,
+            meta: {
+                taskId: pendingTask._id,
+                employeeId: proof.employee
+            }
+        });
+
+        console.log(`✅ Next task assigned - Task: ${pendingTask.title}`);
+
+        res.json({
+            message: '✅ Next task assigned',
+            nextTask: {
+                id: pendingTask._id,
+                title: pendingTask.title,
+                description: pendingTask.description,
+                deadline: assignment.deadline
+            },
+            status: 'task_assigned'
+        });
+
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('❌ Error assigning next task:', err);
+        res.status(500).json({ message: 'Failed to assign next task: ' + err.message });
+    }
+});
+
+// ============================================================================
+// 6. GET: Task/Proof Status
+// ============================================================================
+
+/**
+ * GET /api/proof/:proofId/status
+ * Get current status of proof submission and review
+ */
+router.get('/:proofId/status', auth, async(req, res) => {
+    try {
+        const proof = await ProofSubmission.findById(req.params.proofId)
+            .populate('employee', 'name email')
+            .populate('reviewedBy', 'name')
+            .lean();
+
+        if (!proof) return res.status(404).json({ message: 'Proof not found' });
+
+        res.json({
+            proofId: proof._id,
+            submissionStatus: proof.submissionStatus,
+            reviewDecision: proof.reviewDecision,
+            submittedAt: proof.submittedAt,
+            reviewedAt: proof.reviewedAt,
+            defectCount: proof.defectCount,
+            reworkAttempts: proof.reworkAttempts,
+            isApproved: proof.isApproved,
+            githubLink: proof.githubLink,
+            demoVideoLink: proof.demoVideoLink,
+            managerComments: proof.managerComments,
+            reviewedBy: proof.reviewedBy?.name
+        });
+
+    } catch (err) {
+        console.error('❌ Error getting status:', err);
+        res.status(500).json({ message: 'Failed to get status: ' + err.message });
+    }
+});
+
+// ============================================================================
+// 6b. GET: Employee's Submissions - View Manager Actions
+// ============================================================================
+
+/**
+ * GET /api/proof/my-submissions
+ * Employee views their own submitted proofs with manager decisions
+ */
+router.get('/my-submissions', auth, permit('employee'), async(req, res) => {
+    try {
+        const employeeId = String(req.user._id);
+
+        const proofs = await ProofSubmission.find({ employee: employeeId })
+            .populate('task', 'title description')
+            .populate('project', 'name')
+            .sort({ submittedAt: -1 })
+            .lean();
+
+        res.json({
+            count: proofs.length,
+            data: proofs
+        });
+
+    } catch (err) {
+        console.error('❌ Error fetching employee submissions:', err);
+        res.status(500).json({ message: 'Failed to fetch submissions: ' + err.message });
+    }
+});
+
+// ============================================================================
+// 6c. GET: Proof Version History and Compare
+// ============================================================================
+
+// The employee, the project's manager and admins may see an assignment's proofs
+async function canSeeProofs(task, employeeId, user) {
+    if (user.role === 'admin') return true;
+    if (user.role === 'employee') return String(employeeId) === String(user._id);
+    const project = await Project.findById(task.project).select('manager');
+    return !!project && String(project.manager) === String(user._id);
+}
+
+/**
+ * GET /api/proof/versions/:taskId/:employeeId
+ * Every proof version of an assignment, oldest first, with the review of each
+ */
+router.get('/versions/:taskId/:employeeId', auth, async(req, res) => {
+    try {
+        const { taskId, employeeId } = req.params;
+        const task = await Task.findById(taskId).select('title project');
+        if (!task) return res.status(404).json({ message: 'Task not found' });
+        if (!(await canSeeProofs(task, employeeId, req.user))) return res.status(403).json({ message: 'Not allowed' });
+
+        const versions = await proofVersions.listVersions(taskId, employeeId);
+        res.json({ taskId, title: task.title, employeeId, count: versions.length, data: versions });
+
+    } catch (err) {
+        console.error('❌ Error fetching proof versions:', err);
+        res.status(500).json({ message: 'Failed to fetch proof versions: ' + err.message });
+    }
+});
+
+/**
+ * GET /api/proof/versions/:taskId/:employeeId/compare?from=1&to=2
+ * What changed between two versions (default: the last two) and the review
+ * that sent the older one back
+ */
+router.get('/versions/:taskId/:employeeId/compare', auth, async(req, res) => {
+    try {
+        const { taskId, employeeId } = req.params;
+        const task = await Task.findById(taskId).select('title project');
+        if (!task) return res.status(404).json({ message: 'Task not found' });
+        if (!(await canSeeProofs(task, employeeId, req.user))) return res.status(403).json({ message: 'Not allowed' });
+
+        const versions = await proofVersions.listVersions(taskId, employeeId);
+        if (versions.length < 2) return res.status(400).json({ message: 'Only one version has been submitted' });
+
+        const byNumber = n => versions.find(v => (v.version || 1) === Number(n));
+        const newer = req.query.to ? byNumber(req.query.to) : versions[versions.length - 1];
+        const older = req.query.from ? byNumber(req.query.from) : versions[versions.indexOf(newer) - 1];
+        if (!older || !newer) return res.status(404).json({ message: 'Version not found' });
+
+        res.json({ taskId, title: task.title, employeeId, data: proofVersions.compareVersions(older, newer) });
+
+    } catch (err) {
+        console.error('❌ Error comparing proof versions:', err);
+        res.status(500).json({ message: 'Failed to compare proof versions: ' + err.message });
+    }
+});
+
+// ============================================================================
+// 7. GET: Analytics - Review Cycle Metrics
+// ============================================================================
+
+/**
+ * GET /api/proof/analytics/metrics
+ * Admin/Manager sees review cycle analytics
+ * quality: reviews in the period with defects by type and severity, per
+ *   employee and per project, and checklist item pass rates
+ * ?days=30&projectId=&employeeId=
+ */
+router.get('/analytics/metrics', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const { days = 30, projectId, employeeId } = req.query;
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - parseInt(days));
+
+        let query = { submittedAt: { $gte: startDate } };
+
+        if (req.user.role === 'manager') {
+            const projects = await Project.find({ manager: req.user._id }, '_id');
+            const projectIds = projects.map(p => p._id);
+            query.project = { $in: projectIds };
+        }
+        if (projectId) {
+            if (query.project && !query.project.$in.some(id => String(id) === String(projectId))) {
+                return res.status(403).json({ message: 'Not authorized for this project' });
+            }
+            query.project = projectId;
+        }
+        if (employeeId) query.employee = employeeId;
+
+        const proofs = await ProofSubmission.find(query).lean();
+
+        // Calculate metrics
+        const approved = proofs.filter(p => p.reviewDecision === 'approved').length;
+        const defects = proofs.filter(p => p.reviewDecision === 'defect_found').length;
+        const pending = proofs.filter(p => p.reviewDecision === 'pending').length;
+        const avgReworkAttempts = proofs.length > 0 ?
+            (proofs.reduce((sum, p) => sum + p.reworkAttempts, 0) / proofs.length).toFixed(2) :
+            0;
+
+        const reviewQuery = { reviewedAt: { $gte: startDate } };
+        if (query.project) reviewQuery.project = query.project;
+        if (query.employee) reviewQuery.employee = query.employee;
+        const reviews = await Review.find(reviewQuery)
+            .select('decision defects checklist employee project')
+            .populate('employee', 'name')
+            .populate('project', 'name')
+            .lean();
+
+        res.json({
+            period: `Last ${days} days`,
+            totalSubmissions: proofs.length,
+            approved,
+            defects,
+            pending,
+            approvalRate: proofs.length > 0 ? Math.round((approved / proofs.length) * 100) : 0,
+            defectRate: proofs.length > 0 ? Math.round((defects / proofs.length) * 100) : 0,
+            avgReworkAttempts,
+            quality: reviewQuality.qualityMetrics(reviews)
+        });
+
+    } catch (err) {
+        console.error('❌ Error getting analytics:', err);
+        res.status(500).json({ message: 'Failed to get analytics: ' + err.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,397 +1,689 @@
-const express = require('express');
-const Task = require('../models/Task');
-const Project = require('../models/Project');
-const User = require('../models/User');
-const { auth, permit } = require('../middleware/auth');
-
-const router = express.Router();
-
-// Get all tasks (with optional filters)
-router.get('/', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
-    try {
-        const mongoose = require('mongoose');
-        let query = {};
-
-        // If employee, show only their assigned tasks
-        if (req.user.role === 'employee') {
-            query = { 'assignments.employee': req.user._id };
-        }
-
-        // Filter by project if provided
-        if (req.query.projectId) {
-            query.project = new mongoose.Types.ObjectId(req.query.projectId);
-        }
-
-        const tasks = await Task.find(query)
-            .populate('project', 'name')
-            .populate('assignments.employee', 'name email')
-            .sort({ createdAt: -1 })
-            .lean();
-
-        res.json({ count: tasks.length, data: tasks });
-    } catch (err) {
-        console.error('Get tasks error:', err);
-        res.status(500).json({ message: 'Failed to fetch tasks', error: err.message });
-    }
-});
-
-// Manager creates a task for a project and assigns employees
-router.post('/', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        console.log('\n📝 === TASK POST REQUEST START ===');
-        console.log('📝 User:', req.user._id, req.user.name);
-        console.log('📝 Body:', JSON.stringify(req.body, null, 2));
-
-        const { title, description, project, assignees = [], deadline } = req.body;
-
-        // Validate inputs exist
-        if (!title || !project) {
-            console.log('❌ Missing title or project');
-            return res.status(400).json({ message: 'title and project required' });
-        }
-
-        // Convert project to ObjectId if it's a string
-        const mongoose = require('mongoose');
-        let projectId = project;
-        if (typeof project === 'string') {
-            projectId = new mongoose.Types.ObjectId(project);
-        }
-
-        // Verify project exists
-        const proj = await Project.findById(projectId);
-        console.log('🔍 Project lookup:', { projectId, found: !!proj, projectName: proj?.name });
-
-        if (!proj) {
-            console.log('❌ Project not found');
-            return res.status(404).json({ message: 'Project not found' });
-        }
-
-        // Convert assignees to ObjectIds
-        console.log('👥 Processing assignees:', assignees);
-        let assigneeIds = assignees;
-        if (Array.isArray(assignees) && assignees.length > 0) {
-            assigneeIds = assignees.map(a => {
-                try {
-                    return typeof a === 'string' ? new mongoose.Types.ObjectId(a) : a;
-                } catch (e) {
-                    console.error('❌ Failed to convert assignee:', a, e.message);
-                    throw e;
-                }
-            });
-            console.log('👥 Converted assignee IDs:', assigneeIds);
-        }
-
-        // Create task
-        const assignments = (assigneeIds || []).map(a => ({ employee: a, deadline }));
-        console.log('📦 Creating task with:', { title, projectId, assignments: assignments.length, createdBy: req.user._id });
-
-        const t = await Task.create({
-            title,
-            description,
-            project: projectId,
-            createdBy: req.user._id,
-            assignments
-        });
-        console.log('✅ Task created:', t._id);
-        console.log('✅ Task assignments stored:');
-        assignments.forEach((a, i) => {
-            console.log(`   Assignment ${i + 1}: employee=${a.employee} (type: ${typeof a.employee}), deadline=${a.deadline}`);
-        });
-
-        const populated = await Task.findById(t._id)
-            .populate('assignments.employee', 'name email')
-            .populate('project', 'name');
-
-        console.log('✅ Task populated:', populated);
-        res.status(201).json(populated);
-
-    } catch (err) {
-        console.error('❌ Task creation error:', err.message);
-        console.error('❌ Stack:', err.stack);
-        res.status(500).json({ message: 'Failed to create task: ' + err.message });
-    }
-});
-
-// Manager can update task (e.g., change assignments or deadline)
-router.put('/:id', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        const t = await Task.findById(req.params.id);
-        if (!t) return res.status(404).json({ message: 'Task not found' });
-
-        // Admins can update any task
-        if (req.user.role !== 'admin') {
-            const proj = await Project.findById(t.project);
-            if (!proj) return res.status(404).json({ message: 'Project not found' });
-            if (String(proj.manager) !== String(req.user._id)) {
-                return res.status(403).json({ message: 'Not allowed' });
-            }
-        }
-
-        // allow partial updates: title, description, assignments, deadline
-        const updates = req.body;
-        if (updates.assignments) t.assignments = updates.assignments;
-        if (updates.title) t.title = updates.title;
-        if (updates.description) t.description = updates.description;
-        await t.save();
-        const populated = await Task.findById(t._id).populate('assignments.employee', 'name email');
-        res.json(populated);
-    } catch (err) {
-        console.error('Task update error:', err);
-        res.status(500).json({ message: 'Failed to update task', error: err.message });
-    }
-});
-
-// Employee: get my assigned tasks
-router.get('/mine', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
-    try {
-        const mongoose = require('mongoose');
-        const userId = req.user && req.user._id ? String(req.user._id) : String(req.user);
-        const userObjectId = new mongoose.Types.ObjectId(userId);
-
-        console.log(`\n📋 [TASKS /mine] Request from user:`, userId);
-        console.log(`📋 [TASKS /mine] Query: { 'assignments.employee': ${userObjectId} }`);
-
-        // Query: find all tasks that have this user in assignments.employee
-        const list = await Task.find({ 'assignments.employee': userObjectId })
-            .populate('project', 'name')
-            .populate('assignments.employee', 'name email')
-            .lean();
-
-        console.log(`📋 [TASKS /mine] Found ${list.length} task(s) for user ${userId}`);
-
-        // Log each task for debugging
-        list.forEach((task, idx) => {
-            const assignmentForUser = task.assignments.find(a => String(a.employee) === userId);
-            console.log(`  Task ${idx + 1}: ${task.title}`);
-            console.log(`    - Assignments: ${task.assignments.map(a => String(a.employee)).join(', ')}`);
-            if (assignmentForUser) {
-                console.log(`    - ✅ User assigned with status: ${assignmentForUser.status}, progress: ${assignmentForUser.progress}%`);
-            }
-        });
-
-        res.json(list);
-    } catch (err) {
-        console.error('❌ [TASKS /mine] Error:', err.message, err.stack);
-        res.status(500).json({ message: 'Server error: ' + err.message });
-    }
-});
-
-// Get tasks for a project
-router.get('/project/:projectId', auth, permit('manager', 'admin', 'employee'), async(req, res) => {
-    try {
-        const list = await Task.find({ project: req.params.projectId }).populate('assignments.employee', 'name email');
-        res.json(list);
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// Employee updates their assignment progress
-router.put('/:id/assignment/:empId', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
-    try {
-        const { id, empId } = req.params;
-        const { progress, status } = req.body; // progress number 0-100, status in enum
-        const t = await Task.findById(id);
-        if (!t) return res.status(404).json({ message: 'Task not found' });
-        const assignment = t.assignments.find(a => String(a.employee) === String(empId));
-        if (!assignment) return res.status(404).json({ message: 'Assignment not found' });
-        // if requester is employee, ensure they update only their assignment
-        if (req.user.role === 'employee' && String(req.user._id) !== String(empId)) return res.status(403).json({ message: 'Not allowed' });
-        if (typeof progress === 'number') assignment.progress = Math.max(0, Math.min(100, progress));
-        if (status) assignment.status = status;
-        await t.save();
-        const populated = await Task.findById(t._id).populate('assignments.employee', 'name email');
-        res.json(populated);
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Failed to update assignment' });
-    }
-});
-
-// Employee submits task completion
-router.post('/:id/complete', auth, permit('employee'), async(req, res) => {
-    try {
-        const { id } = req.params;
-        const { workLogs, remarks } = req.body;
-        const userId = String(req.user._id);
-
-        const t = await Task.findById(id);
-        if (!t) return res.status(404).json({ message: 'Task not found' });
-
-        const assignment = t.assignments.find(a => String(a.employee) === userId);
-        if (!assignment) return res.status(404).json({ message: 'Task not assigned to you' });
-
-        // Update assignment status to submitted
-        assignment.status = 'submitted';
-        assignment.submittedAt = new Date();
-        assignment.submittedData = {
-            workLogs: workLogs || '',
-            remarks: remarks || '',
-            attachments: []
-        };
-
-        await t.save();
-
-        // Create notification for manager
-        const Notification = require('../models/Notification');
-        const proj = await Project.findById(t.project);
-
-        await Notification.create({
-            user: proj.manager,
-            type: 'task_completed',
-            title: 'Task Completion Submitted',
-            body: `${req.user.name} submitted completion for "${t.title}"`,
-            meta: {
-                taskId: t._id,
-                taskTitle: t.title,
-                employeeId: req.user._id,
-                employeeName: req.user.name,
-                submittedAt: assignment.submittedAt,
-                remarks: remarks
-            }
-        });
-
-        const populated = await Task.findById(t._id)
-            .populate('assignments.employee', 'name email')
-            .populate('project', 'name');
-
-        res.status(201).json({ message: 'Task completion submitted', data: populated });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Failed to submit task completion: ' + err.message });
-    }
-});
-
-// Manager approves or rejects task completion
-router.put('/:id/assignment/:empId/approve', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        const { id, empId } = req.params;
-        const { action, comments } = req.body;
-
-        if (!['approved', 'rejected'].includes(action)) {
-            return res.status(400).json({ message: 'Action must be approved or rejected' });
-        }
-
-        const t = await Task.findById(id);
-        if (!t) return res.status(404).json({ message: 'Task not found' });
-
-        const proj = await Project.findById(t.project);
-        if (req.user.role !== 'admin' && String(proj.manager) !== String(req.user._id)) {
-            return res.status(403).json({ message: 'Not authorized to approve this task' });
-        }
-
-        const assignment = t.assignments.find(a => String(a.employee) === String(empId));
-        if (!assignment) return res.status(404).json({ message: 'Assignment not found' });
-
-        if (assignment.status !== 'submitted') {
-            return res.status(400).json({ message: 'Task is not in submitted state' });
-        }
-
-        // Create approval record
-        const TaskApproval = require('../models/TaskApproval');
-        await TaskApproval.create({
-            task: t._id,
-            employee: empId,
-            approver: req.user._id,
-            action: action,
-            comments: comments || '',
-            approvalDate: new Date()
-        });
-
-        // Update task status
-        assignment.status = action === 'approved' ? 'completed' : 'in_progress';
-        await t.save();
-
-        // Create notification for employee
-        const Notification = require('../models/Notification');
-        const employee = await User.findById(empId);
-
-        await Notification.create({
-            user: empId,
-            type: action === 'approved' ? 'task_approved' : 'task_rejected',
-            title: action === 'approved' ? 'Task Approved' : 'Task Rejected',
-            body: action === 'approved' ?
-                `Your task "${t.title}" has been approved` : `Your task "${t.title}" was rejected. Please review and resubmit.`,
-            meta: {
-                taskId: t._id,
-                taskTitle: t.title,
-                approverId: req.user._id,
-                approverName: req.user.name,
-                action: action,
-                comments: comments,
-                approvalDate: new Date()
-            }
-        });
-
-        const populated = await Task.findById(t._id)
-            .populate('assignments.employee', 'name email')
-            .populate('project', 'name');
-
-        res.json({
-            message: `Task ${action}`,
-            data: populated
-        });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Failed to approve task: ' + err.message });
-    }
-});
-
-// Manager gets pending task completions for review
-router.get('/completed/pending-review', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        const { filter = 'all' } = req.query;
-        const managerId = String(req.user._id);
-
-        // Get projects managed by this user (or all if admin)
-        const projectQuery = req.user.role === 'admin' ? {} : { manager: managerId };
-        const projects = await Project.find(projectQuery, '_id');
-        const projectIds = projects.map(p => p._id);
-
-        // Build date filter
-        let dateFilter = {};
-        const now = new Date();
-
-        switch (filter) {
-            case 'today':
-                const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-                dateFilter = { 'assignments.submittedAt': { $gte: startOfToday } };
-                break;
-            case 'week':
-                const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-                dateFilter = { 'assignments.submittedAt': { $gte: weekAgo } };
-                break;
-            case 'all':
-            default:
-                break;
-        }
-
-        // Find tasks with submitted assignments
-        const tasks = await Task.find({
-                project: { $in: projectIds },
-                'assignments.status': 'submitted',
-                ...dateFilter
-            })
-            .populate('assignments.employee', 'name email')
-            .populate('project', 'name manager')
-            .lean();
-
-        // Filter to only include submitted assignments
-        const result = tasks.map(task => ({
-            ...task,
-            assignments: task.assignments.filter(a => a.status === 'submitted')
-        })).filter(task => task.assignments.length > 0);
-
-        res.json({
-            count: result.length,
-            filter,
-            data: result
-        });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Failed to fetch pending reviews: ' + err.message });
-    }
-});
-
+const express = require('express');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { auth, permit } = require('../middleware/auth');
+const checklists = require('../utils/checklists');
+const transitions = require('../utils/assignment-transitions');
+const kanban = require('../utils/kanban');
+const skills = require('../utils/skills');
+const taskDependencies = require('../utils/task-dependencies');
+const taskQuery = require('../utils/task-query');
+
+const router = express.Router();
+
+// Copy priority, estimatedHours, dueDate and requiredSkills from a request body onto a task.
+// Returns an error message for invalid values.
+function applyPlanningFields(task, body) {
+    if (body.priority !== undefined) {
+        const priority = taskQuery.parsePriority(body.priority);
+        if (!priority) return 'priority must be low, medium, high, critical or 1-4';
+        task.priority = priority;
+    }
+    if (body.estimatedHours !== undefined) {
+        const hours = body.estimatedHours === null ? undefined : Number(body.estimatedHours);
+        if (hours !== undefined && (isNaN(hours) || hours < 0)) return 'estimatedHours must be a positive number';
+        task.estimatedHours = hours;
+    }
+    if (body.dueDate !== undefined) {
+        if (body.dueDate && isNaN(new Date(body.dueDate))) return 'Invalid dueDate';
+        task.dueDate = body.dueDate || undefined;
+    }
+    if (body.requiredSkills !== undefined) {
+        try {
+            task.requiredSkills = skills.normalizeSkills(body.requiredSkills, 'minLevel');
+        } catch (err) {
+            return err.message;
+        }
+    }
+    return null;
+}
+
+// Get all tasks (with optional filters)
+router.get('/', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const mongoose = require('mongoose');
+        let query = {};
+
+        // If employee, show only their assigned tasks
+        if (req.user.role === 'employee') {
+            query = { 'assignments.employee': req.user._id };
+        }
+
+        // Filter by project if provided
+        if (req.query.projectId) {
+            query.project = new mongoose.Types.ObjectId(req.query.projectId);
+        }
+
+        // status, priority and due date filters; ?sort=-priority,dueDate
+        Object.assign(query, taskQuery.buildTaskFilter(req.query));
+
+        const tasks = await Task.find(query)
+            .populate('project', 'name')
+            .populate('assignments.employee', 'name email')
+            .sort(taskQuery.buildTaskSort(req.query.sort))
+            .lean();
+        await taskDependencies.annotateBlocked(tasks);
+        await taskQuery.attachVariance(tasks);
+
+        res.json({ count: tasks.length, data: tasks });
+    } catch (err) {
+        console.error('Get tasks error:', err);
+        res.status(500).json({ message: 'Failed to fetch tasks', error: err.message });
+    }
+});
+
+// Manager creates a task for a project and assigns employees
+router.post('/', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        console.log('\n📝 === TASK POST REQUEST START ===');
+        console.log('📝 User:', req.user._id, req.user.name);
+        console.log('📝 Body:', JSON.stringify(req.body, null, 2));
+
+        const { title, description, project, assignees = [], deadline, milestone, dependencies = [] } = req.body;
+
+        // Validate inputs exist
+        if (!title || !project) {
+            console.log('❌ Missing title or project');
+            return res.status(400).json({ message: 'title and project required' });
+        }
+
+        // Convert project to ObjectId if it's a string
+        const mongoose = require('mongoose');
+        let projectId = project;
+        if (typeof project === 'string') {
+            projectId = new mongoose.Types.ObjectId(project);
+        }
+
+        // Verify project exists
+        const proj = await Project.findById(projectId);
+        console.log('🔍 Project lookup:', { projectId, found: !!proj, projectName: proj?.name });
+
+        if (!proj) {
+            console.log('❌ Project not found');
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        if (milestone && !proj.milestones.id(milestone)) {
+            return res.status(400).json({ message: 'Milestone does not belong to this project' });
+        }
+
+        // A new task cannot close a cycle, but its predecessors must be in the same project
+        const taskId = new mongoose.Types.ObjectId();
+        const predecessorIds = await taskDependencies.validateDependencies({ _id: taskId, project: projectId, title }, dependencies);
+
+        // Convert assignees to ObjectIds
+        console.log('👥 Processing assignees:', assignees);
+        let assigneeIds = assignees;
+        if (Array.isArray(assignees) && assignees.length > 0) {
+            assigneeIds = assignees.map(a => {
+                try {
+                    return typeof a === 'string' ? new mongoose.Types.ObjectId(a) : a;
+                } catch (e) {
+                    console.error('❌ Failed to convert assignee:', a, e.message);
+                    throw e;
+                }
+            });
+            console.log('👥 Converted assignee IDs:', assigneeIds);
+        }
+
+        // Create task
+        const assignments = (assigneeIds || []).map(a => ({ employee: a, deadline }));
+        console.log('📦 Creating task with:', { title, projectId, assignments: assignments.length, createdBy: req.user._id });
+
+        const planning = {};
+        const planningError = applyPlanningFields(planning, req.body);
+        if (planningError) return res.status(400).json({ message: planningError });
+
+        // optional checklist: [{ title, assignee }] with assignees among the task's
+        const draft = { assignments, checklist: [] };
+        if (req.body.checklist) checklists.addItems(draft, req.body.checklist);
+
+        const t = await Task.create({
+            ...planning,
+            _id: taskId,
+            title,
+            description,
+            project: projectId,
+            milestone: milestone || undefined,
+            dependencies: predecessorIds,
+            createdBy: req.user._id,
+            assignments,
+            checklist: draft.checklist
+        });
+        console.log('✅ Task created:', t._id);
+        console.log('✅ Task assignments stored:');
+        assignments.forEach((a, i) => {
+            console.log(`   Assignment ${i + 1}: employee=${a.employee} (type: ${typeof a.employee}), deadline=${a.deadline}`);
+        });
+
+        const populated = await Task.findById(t._id)
+            .populate('assignments.employee', 'name email')
+            .populate('project', 'name');
+
+        console.log('✅ Task populated:', populated);
+        res.status(201).json(populated);
+
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('❌ Task creation error:', err.message);
+        console.error('❌ Stack:', err.stack);
+        res.status(500).json({ message: 'Failed to create task: ' + err.message });
+    }
+});
+
+// Manager can update task (e.g., change assignments or deadline)
+router.put('/:id', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const t = await Task.findById(req.params.id);
+        if (!t) return res.status(404).json({ message: 'Task not found' });
+
+        const proj = await Project.findById(t.project);
+        if (!proj) return res.status(404).json({ message: 'Project not found' });
+        // Admins can update any task
+        if (req.user.role !== 'admin' && String(proj.manager) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        // allow partial updates: title, description, assignments, milestone, dependencies,
+        // priority, estimatedHours, dueDate, requiredSkills, status (checklist: /:id/checklist)
+        const updates = req.body;
+        if (updates.milestone !== undefined) {
+            if (updates.milestone && !proj.milestones.id(updates.milestone)) {
+                return res.status(400).json({ message: 'Milestone does not belong to this project' });
+            }
+            t.milestone = updates.milestone || undefined;
+        }
+        if (Array.isArray(updates.dependencies)) {
+            t.dependencies = await taskDependencies.validateDependencies(t, updates.dependencies);
+        }
+        const planningError = applyPlanningFields(t, updates);
+        if (planningError) return res.status(400).json({ message: planningError });
+        // only cancelling and reopening are manual; other statuses follow the assignments
+        if (updates.status !== undefined) {
+            if (!['cancelled', 'open'].includes(updates.status)) {
+                return res.status(400).json({ message: 'status can only be set to cancelled or open' });
+            }
+            t.status = updates.status;
+        }
+        if (updates.assignments) {
+            // existing assignments keep their state (status changes go through the
+            // assignment state machine); new ones start as assigned
+            const current = new Map(t.assignments.map(a => [String(a.employee), a]));
+            t.assignments = updates.assignments.map(a => {
+                const empId = String((a.employee && a.employee._id) || a.employee);
+                const existing = current.get(empId);
+                return existing ? existing.toObject() : { employee: empId, deadline: a.deadline, status: 'assigned' };
+            });
+            // items of employees taken off the task become unassigned
+            const kept = new Set(t.assignments.map(a => String(a.employee)));
+            t.checklist.forEach(item => {
+                if (item.assignee && !kept.has(String(item.assignee))) item.assignee = undefined;
+            });
+        }
+        if (updates.title) t.title = updates.title;
+        if (updates.description) t.description = updates.description;
+        await t.save();
+        const populated = await Task.findById(t._id).populate('assignments.employee', 'name email');
+        res.json(populated);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Task update error:', err);
+        res.status(500).json({ message: 'Failed to update task', error: err.message });
+    }
+});
+
+// Employee: get my assigned tasks
+router.get('/mine', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const mongoose = require('mongoose');
+        const userId = req.user && req.user._id ? String(req.user._id) : String(req.user);
+        const userObjectId = new mongoose.Types.ObjectId(userId);
+
+        console.log(`\n📋 [TASKS /mine] Request from user:`, userId);
+        console.log(`📋 [TASKS /mine] Query: { 'assignments.employee': ${userObjectId} }`);
+
+        // Query: find all tasks that have this user in assignments.employee
+        const list = await Task.find({ 'assignments.employee': userObjectId, ...taskQuery.buildTaskFilter(req.query) })
+            .populate('project', 'name')
+            .populate('assignments.employee', 'name email')
+            .sort(taskQuery.buildTaskSort(req.query.sort))
+            .lean();
+        await taskDependencies.annotateBlocked(list);
+        await taskQuery.attachVariance(list);
+
+        console.log(`📋 [TASKS /mine] Found ${list.length} task(s) for user ${userId}`);
+
+        // Log each task for debugging
+        list.forEach((task, idx) => {
+            const assignmentForUser = task.assignments.find(a => String(a.employee) === userId);
+            console.log(`  Task ${idx + 1}: ${task.title}`);
+            console.log(`    - Assignments: ${task.assignments.map(a => String(a.employee)).join(', ')}`);
+            if (assignmentForUser) {
+                console.log(`    - ✅ User assigned with status: ${assignmentForUser.status}, progress: ${assignmentForUser.progress}%`);
+            }
+        });
+
+        res.json(list);
+    } catch (err) {
+        console.error('❌ [TASKS /mine] Error:', err.message, err.stack);
+        res.status(500).json({ message: 'Server error: ' + err.message });
+    }
+});
+
+// Manager board: tasks of the projects I manage (admin: all), grouped by status,
+// with the same filters and sort as the task list
+router.get('/board', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const query = taskQuery.buildTaskFilter(req.query);
+        if (req.user.role !== 'admin') {
+            const projects = await Project.find({ manager: req.user._id }).select('_id');
+            query.project = { $in: projects.map(p => p._id) };
+        }
+        if (req.query.projectId) {
+            if (query.project && !query.project.$in.some(id => String(id) === String(req.query.projectId))) {
+                return res.status(403).json({ message: 'Not allowed' });
+            }
+            query.project = req.query.projectId;
+        }
+
+        const tasks = await Task.find(query)
+            .populate('project', 'name')
+            .populate('assignments.employee', 'name email')
+            .sort(taskQuery.buildTaskSort(req.query.sort, { priority: -1, dueDate: 1 }))
+            .lean();
+        await taskDependencies.annotateBlocked(tasks);
+        await taskQuery.attachVariance(tasks);
+
+        const columns = {};
+        ['open', 'in_progress', 'in_review', 'done', 'cancelled'].forEach(status => {
+            columns[status] = tasks.filter(t => (t.status || 'open') === status);
+        });
+
+        const estimated = tasks.reduce((sum, t) => sum + (t.estimatedHours || 0), 0);
+        const logged = tasks.filter(t => t.estimatedHours).reduce((sum, t) => sum + t.loggedHours, 0);
+        res.json({
+            count: tasks.length,
+            data: tasks,
+            columns,
+            summary: {
+                estimatedHours: Math.round(estimated * 100) / 100,
+                loggedHoursOnEstimated: Math.round(logged * 100) / 100,
+                varianceHours: Math.round((logged - estimated) * 100) / 100,
+                overdue: tasks.filter(t => t.dueDate && new Date(t.dueDate) < new Date() && taskQuery.ACTIVE_STATUSES.includes(t.status || 'open')).length
+            }
+        });
+    } catch (err) {
+        console.error('Task board error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get tasks for a project
+router.get('/project/:projectId', auth, permit('manager', 'admin', 'employee'), async(req, res) => {
+    try {
+        const list = await Task.find({ project: req.params.projectId }).populate('assignments.employee', 'name email').lean();
+        res.json(await taskDependencies.annotateBlocked(list));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Critical path of the project's remaining work
+router.get('/project/:projectId/critical-path', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const list = await Task.find({ project: req.params.projectId }).select('title dependencies assignments status estimatedHours').lean();
+        res.json(taskDependencies.criticalPath(list));
+    } catch (err) {
+        console.error('Critical path error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Predecessors, successors and blocked state of a task
+router.get('/:id/dependencies', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const t = await Task.findById(req.params.id).select('title project dependencies assignments').lean();
+        if (!t) return res.status(404).json({ message: 'Task not found' });
+
+        const [predecessors, successors] = await Promise.all([
+            Task.find({ _id: { $in: t.dependencies || [] } }).select('title status assignments').lean(),
+            Task.find({ dependencies: t._id }).select('title status assignments').lean()
+        ]);
+        await taskDependencies.annotateBlocked([t]);
+
+        const summary = task => ({ _id: task._id, title: task.title, status: task.status, done: taskDependencies.isTaskDone(task) });
+        res.json({
+            taskId: t._id,
+            blocked: t.blocked,
+            blockedBy: t.blockedBy,
+            predecessors: predecessors.map(summary),
+            successors: successors.map(summary)
+        });
+    } catch (err) {
+        console.error('Task dependencies error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== CHECKLIST =====
+
+// Load a task for a checklist change; managers may only change their own projects' tasks
+async function loadChecklistTask(req, res) {
+    const t = await Task.findById(req.params.id);
+    if (!t) {
+        res.status(404).json({ message: 'Task not found' });
+        return null;
+    }
+    if (req.user.role === 'manager') {
+        const proj = await Project.findById(t.project).select('manager');
+        if (!proj || String(proj.manager) !== String(req.user._id)) {
+            res.status(403).json({ message: 'Not allowed' });
+            return null;
+        }
+    }
+    return t;
+}
+
+async function checklistResponse(t) {
+    const populated = await Task.findById(t._id)
+        .select('title checklist assignments.employee assignments.progress assignments.status')
+        .populate('checklist.assignee', 'name email')
+        .populate('assignments.employee', 'name email');
+    return {
+        taskId: populated._id,
+        title: populated.title,
+        checklist: [...populated.checklist].sort((a, b) => a.order - b.order),
+        assignments: populated.assignments
+    };
+}
+
+// Checklist of a task with each assignee's derived progress
+router.get('/:id/checklist', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const t = await Task.findById(req.params.id).select('assignments.employee');
+        if (!t) return res.status(404).json({ message: 'Task not found' });
+        if (req.user.role === 'employee' && !t.assignments.some(a => String(a.employee) === String(req.user._id))) {
+            return res.status(403).json({ message: 'Task not assigned to you' });
+        }
+        res.json(await checklistResponse(t));
+    } catch (err) {
+        console.error('Get checklist error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Add checklist items: body { title, assignee } or { items: [{ title, assignee }] }
+router.post('/:id/checklist', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const t = await loadChecklistTask(req, res);
+        if (!t) return;
+        checklists.addItems(t, req.body.items || req.body);
+        await t.save();
+        res.status(201).json(await checklistResponse(t));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Add checklist item error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Rename, reassign or reorder a checklist item: body { title, assignee, order }
+router.put('/:id/checklist/:itemId', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const t = await loadChecklistTask(req, res);
+        if (!t) return;
+        checklists.updateItem(t, req.params.itemId, req.body);
+        await t.save();
+        res.json(await checklistResponse(t));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Update checklist item error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+router.delete('/:id/checklist/:itemId', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const t = await loadChecklistTask(req, res);
+        if (!t) return;
+        checklists.removeItem(t, req.params.itemId);
+        await t.save();
+        res.json(await checklistResponse(t));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Delete checklist item error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Tick a checklist item off or back on: body { done }. Assignment progress follows.
+router.put('/:id/checklist/:itemId/done', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        let t;
+        if (req.user.role === 'employee') {
+            t = await Task.findById(req.params.id);
+            if (!t) return res.status(404).json({ message: 'Task not found' });
+        } else {
+            t = await loadChecklistTask(req, res);
+            if (!t) return;
+        }
+        checklists.setDone(t, req.params.itemId, req.body.done !== false, req.user);
+
+        // ticking the first item starts work on the assignment
+        const mine = t.assignments.find(a => String(a.employee) === String(req.user._id));
+        if (mine && mine.status === 'assigned' && req.body.done !== false) {
+            await transitions.transition(t, req.user._id, 'in_progress', { actor: req.user });
+        } else {
+            await t.save();
+        }
+        res.json(await checklistResponse(t));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Toggle checklist item error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Employee updates their assignment progress; a status change goes through the
+// assignment state machine (utils/assignment-transitions)
+router.put('/:id/assignment/:empId', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const { id, empId } = req.params;
+        const { progress, status } = req.body; // progress number 0-100, status in enum
+        const t = await Task.findById(id);
+        if (!t) return res.status(404).json({ message: 'Task not found' });
+        const assignment = t.assignments.find(a => String(a.employee) === String(empId));
+        if (!assignment) return res.status(404).json({ message: 'Assignment not found' });
+        // if requester is employee, ensure they update only their assignment
+        if (req.user.role === 'employee' && String(req.user._id) !== String(empId)) return res.status(403).json({ message: 'Not allowed' });
+        if (typeof progress === 'number') {
+            if (checklists.hasChecklist(t)) return res.status(400).json({ message: 'Progress follows the checklist on this task' });
+            assignment.progress = Math.max(0, Math.min(100, progress));
+        }
+        if (status && status !== assignment.status) {
+            // a review decision needs the review checklist ticks (and defects) as on /api/proof/:proofId/review
+            await transitions.transition(t, empId, status, {
+                actor: req.user,
+                comments: req.body.comments,
+                defectDescription: req.body.defectDescription,
+                defects: req.body.defects,
+                reviewChecklist: req.body.checklist
+            });
+        } else {
+            await t.save();
+        }
+        const populated = await Task.findById(t._id).populate('assignments.employee', 'name email');
+        res.json(populated);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error(err);
+        res.status(500).json({ message: 'Failed to update assignment' });
+    }
+});
+
+// Move an assignment card on the project's Kanban board: body { status, position }.
+// A status change must be a legal transition (see utils/assignment-transitions).
+router.post('/:id/assignment/:empId/transition', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const { id, empId } = req.params;
+        const t = await Task.findById(id).select('project');
+        if (!t) return res.status(404).json({ message: 'Task not found' });
+
+        const proj = await Project.findById(t.project);
+        if (!proj) return res.status(404).json({ message: 'Project not found' });
+        if (req.user.role === 'employee' && String(req.user._id) !== String(empId)) {
+            return res.status(403).json({ message: 'You can only move your own cards' });
+        }
+        if (req.user.role === 'manager' && String(proj.manager) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        await kanban.moveCard(proj, id, empId, req.body, req.user);
+        res.json(await kanban.getBoard(proj));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Card move error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Employee submits task completion
+router.post('/:id/complete', auth, permit('employee'), async(req, res) => {
+    try {
+        const { id } = req.params;
+        const { workLogs, remarks } = req.body;
+        const userId = String(req.user._id);
+
+        const t = await Task.findById(id);
+        if (!t) return res.status(404).json({ message: 'Task not found' });
+
+        const assignment = t.assignments.find(a => String(a.employee) === userId);
+        if (!assignment) return res.status(404).json({ message: 'Task not assigned to you' });
+
+        // moves the assignment to submitted and notifies the project manager
+        await transitions.transition(t, userId, 'submitted', {
+            actor: req.user,
+            submittedData: {
+                workLogs: workLogs || '',
+                remarks: remarks || '',
+                attachments: []
+            }
+        });
+
+        const populated = await Task.findById(t._id)
+            .populate('assignments.employee', 'name email')
+            .populate('project', 'name');
+
+        res.status(201).json({ message: 'Task completion submitted', data: populated });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error(err);
+        res.status(500).json({ message: 'Failed to submit task completion: ' + err.message });
+    }
+});
+
+// Manager approves or rejects task completion
+router.put('/:id/assignment/:empId/approve', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const { id, empId } = req.params;
+        const { action, comments } = req.body;
+
+        if (!['approved', 'rejected'].includes(action)) {
+            return res.status(400).json({ message: 'Action must be approved or rejected' });
+        }
+
+        const t = await Task.findById(id);
+        if (!t) return res.status(404).json({ message: 'Task not found' });
+
+        const proj = await Project.findById(t.project);
+        if (!proj) return res.status(404).json({ message: 'Project not found' });
+        if (req.user.role !== 'admin' && String(proj.manager) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not authorized to approve this task' });
+        }
+
+        const assignment = t.assignments.find(a => String(a.employee) === String(empId));
+        if (!assignment) return res.status(404).json({ message: 'Assignment not found' });
+
+        if (assignment.status !== 'submitted') {
+            return res.status(400).json({ message: 'Task is not in submitted state' });
+        }
+
+        // records the TaskApproval and notifies the employee
+        await transitions.transition(t, empId, action === 'approved' ? 'completed' : 'in_progress', {
+            actor: req.user,
+            comments
+        });
+
+        const populated = await Task.findById(t._id)
+            .populate('assignments.employee', 'name email')
+            .populate('project', 'name');
+
+        res.json({
+            message: `Task ${action}`,
+            data: populated
+        });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error(err);
+        res.status(500).json({ message: 'Failed to approve task: ' + err.message });
+    }
+});
+
+// Manager gets pending task completions for review
+router.get('/completed/pending-review', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const { filter = 'all' } = req.query;
+        const managerId = String(req.user._id);
+
+        // Get projects managed by this user (or all if admin)
+        const projectQuery = req.user.role === 'admin' ? {} : { manager: managerId };
+        const projects = await Project.find(projectQuery, '_id');
+        const projectIds = projects.map(p => p._id);
+
+        // Build date filter
+        let dateFilter = {};
+        const now = new Date();
+
+        switch (filter) {
+            case 'today':
+                const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+                dateFilter = { 'assignments.submittedAt': { $gte: startOfToday } };
+                break;
+            case 'week':
+                const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+                dateFilter = { 'assignments.submittedAt': { $gte: weekAgo } };
+                break;
+            case 'all':
+            default:
+                break;
+        }
+
+        // Find tasks with submitted assignments
+        const tasks = await Task.find({
+                project: { $in: projectIds },
+                'assignments.status': 'submitted',
+                ...dateFilter
+            })
+            .populate('assignments.employee', 'name email')
+            .populate('project', 'name manager')
+            .lean();
+
+        // Filter to only include submitted assignments
+        const result = tasks.map(task => ({
+            ...task,
+            assignments: task.assignments.filter(a => a.status === 'submitted')
+        })).filter(task => task.assignments.length > 0);
+
+        res.json({
+            count: result.length,
+            filter,
+            data: result
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Failed to fetch pending reviews: ' + err.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,234 @@
+const express = require('express');
+const PayrollLock = require('../models/PayrollLock');
+const Timesheet = require('../models/Timesheet');
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+const User = require('../models/User');
+const { auth, permit } = require('../middleware/auth');
+const approvalWorkflow = require('../utils/approval-workflow');
+const overtimePolicy = require('../utils/overtime-policy');
+const shiftHours = require('../utils/shift-hours');
+const timesheetHistory = require('../utils/timesheet-history');
+
+const router = express.Router();
+
+// entry statuses payroll pays out; only these are locked with their week
+const APPROVED_ENTRY_STATUSES = ['approved', approvalWorkflow.FINAL_STATUS, 'locked'];
+
+// Can the user see this period? Own periods, their team's for managers, hr, directors and admins
+async function canView(user, period) {
+    if (['admin', 'hr', 'director'].includes(user.role)) return true;
+    const employeeId = period.employee._id || period.employee;
+    if (String(employeeId) === String(user._id)) return true;
+    return user.role === 'manager' && approvalWorkflow.managesTimesheet(user, { manager: period.manager, employee: employeeId });
+}
+
+// Lock a period and its approved entries
+async function lockPeriods(ids, actor) {
+    await TimesheetPeriod.updateMany(
+        { _id: { $in: ids } },
+        { $set: { status: 'locked', lockedAt: new Date(), lockedBy: actor._id } }
+    );
+    await timesheetHistory.updateMany(
+        { period: { $in: ids }, status: { $in: APPROVED_ENTRY_STATUSES } },
+        { status: 'locked' },
+        { action: 'lock', actor }
+    );
+}
+
+// Period with its entries
+async function withEntries(period) {
+    const entries = await Timesheet.find({ period: period._id })
+        .populate('project', 'name')
+        .populate('task', 'title')
+        .sort({ date: 1, startTime: 1 });
+    return { ...period.toObject(), entries };
+}
+
+// ===== EMPLOYEE =====
+
+// current period (created on first access), optionally for ?date=
+router.get('/current', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const date = req.query.date ? new Date(req.query.date) : new Date();
+        if (isNaN(date.getTime())) return res.status(400).json({ message: 'Invalid date' });
+
+        const period = await TimesheetPeriod.findOrCreateFor(req.user._id, date);
+        res.json(await withEntries(period));
+    } catch (err) {
+        console.error('Current period error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// my periods
+router.get('/mine', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const list = await TimesheetPeriod.find({ employee: req.user._id }).sort({ periodStart: -1 });
+        res.json(list);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ===== APPROVERS =====
+
+// submitted periods waiting on a level the requester's role can act on
+router.get('/pending', auth, permit('manager', 'hr', 'director', 'admin'), async(req, res) => {
+    try {
+        const query = { status: { $in: await approvalWorkflow.getStatusesForRole(req.user.role) } };
+
+        if (req.user.role === 'manager') {
+            const team = await User.find({ manager: req.user._id }).select('_id');
+            query.$or = [
+                { manager: req.user._id },
+                { employee: { $in: team.map(u => u._id) } }
+            ];
+        }
+
+        const list = await TimesheetPeriod.find(query)
+            .populate('employee', 'name email department')
+            .sort({ periodStart: -1 });
+        res.json(list);
+    } catch (err) {
+        console.error('Pending periods error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== PAYROLL LOCK =====
+
+// payroll close: lock every period ending on or before body.through, whatever
+// its status, and keep later writes out of those dates. Only approved entries
+// are locked; unapproved ones are counted so they can be followed up.
+router.post('/lock', auth, permit('hr', 'admin'), async(req, res) => {
+    try {
+        const cutoff = req.body.through ? new Date(req.body.through) : new Date();
+        if (isNaN(cutoff.getTime())) return res.status(400).json({ message: 'Invalid through date' });
+        // a period running past the cutoff stays open until the next close
+        const through = TimesheetPeriod.lastEndThrough(cutoff);
+
+        const periods = await TimesheetPeriod.find({
+            status: { $ne: 'locked' },
+            periodEnd: { $lte: through }
+        }).select('_id');
+        const ids = periods.map(p => p._id);
+
+        let unapproved = 0;
+        if (ids.length > 0) {
+            await lockPeriods(ids, req.user);
+            unapproved = await Timesheet.countDocuments({ period: { $in: ids }, status: { $nin: APPROVED_ENTRY_STATUSES } });
+        }
+        await PayrollLock.create({ through, lockedBy: req.user._id });
+
+        res.json({ message: `${ids.length} period(s) locked`, locked: ids.length, unapproved, through });
+    } catch (err) {
+        console.error('Bulk lock error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== SINGLE PERIOD =====
+
+router.get('/:id', auth, permit('employee', 'manager', 'hr', 'director', 'admin'), async(req, res) => {
+    try {
+        const period = await TimesheetPeriod.findById(req.params.id).populate('employee', 'name email department');
+        if (!period) return res.status(404).json({ message: 'Period not found' });
+        if (!(await canView(req.user, period))) return res.status(403).json({ message: 'Not allowed' });
+
+        res.json(await withEntries(period));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// submit the whole week for approval
+router.post('/:id/submit', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const period = await TimesheetPeriod.findById(req.params.id);
+        if (!period) return res.status(404).json({ message: 'Period not found' });
+
+        if (String(period.employee) !== String(req.user._id) && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        if (!period.isEditable()) {
+            return res.status(400).json({ message: `This week cannot be submitted (status: ${period.status})` });
+        }
+
+        const entries = await Timesheet.find({ period: period._id });
+        if (entries.length === 0) {
+            return res.status(400).json({ message: 'Add at least one timesheet entry before submitting the week' });
+        }
+        if (entries.some(ts => ts.timer && ts.timer.state && ts.timer.state !== 'stopped')) {
+            return res.status(400).json({ message: 'Stop the running timer before submitting the week' });
+        }
+
+        // overtime per the employee's overtime policy, entry by entry in the order worked
+        entries.sort((a, b) => a.date - b.date || String(a.startTime).localeCompare(String(b.startTime)));
+        const { totals } = await overtimePolicy.allocateForEmployee(period.employee, entries.map(ts => ({
+            id: ts._id,
+            dailyHours: shiftHours.entryDailyHours(ts)
+        })));
+        const totalHours = entries.reduce((sum, ts) => sum + (ts.totalHours || 0), 0);
+        period.totalHours = Math.round(totalHours * 100) / 100;
+        period.overtimeHours = totals.overtimeHours;
+        period.premiumHours = totals.premiumHours;
+        period.payableHours = totals.payableHours;
+
+        await approvalWorkflow.startApproval(period, req.user);
+        res.json(await withEntries(period));
+    } catch (err) {
+        console.error('Period submit error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// approve/reject the whole week at its current level
+router.put('/:id/approve', auth, permit('manager', 'hr', 'director', 'admin'), async(req, res) => {
+    try {
+        const { approve, remarks } = req.body;
+        const period = await TimesheetPeriod.findById(req.params.id);
+        if (!period) return res.status(404).json({ message: 'Period not found' });
+
+        const result = await approvalWorkflow.recordDecision(period, req.user, !!approve, remarks);
+
+        res.json({
+            ...(await withEntries(result.timesheet)),
+            approvalLevel: result.level.key,
+            nextLevel: result.nextLevel ? result.nextLevel.key : null
+        });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Period approve error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// lock a single period: fully approved as a week, or with every entry approved
+// on its own (entries submitted one at a time leave the week in draft)
+router.post('/:id/lock', auth, permit('hr', 'admin'), async(req, res) => {
+    try {
+        const period = await TimesheetPeriod.findById(req.params.id);
+        if (!period) return res.status(404).json({ message: 'Period not found' });
+        if (period.status === 'locked') return res.status(400).json({ message: 'Period is already locked' });
+
+        if (period.status !== approvalWorkflow.FINAL_STATUS) {
+            const entries = await Timesheet.find({ period: period._id }).select('status');
+            const allApproved = period.isEditable() && entries.length > 0 &&
+                entries.every(ts => APPROVED_ENTRY_STATUSES.includes(ts.status));
+            if (!allApproved) {
+                return res.status(400).json({ message: 'Only periods whose entries are all approved can be locked' });
+            }
+        }
+
+        await lockPeriods([period._id], req.user);
+        res.json(await withEntries(await TimesheetPeriod.findById(period._id)));
+    } catch (err) {
+        console.error('Period lock error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const Timesheet = require('../models/Timesheet');
+const TimesheetTemplate = require('../models/TimesheetTemplate');
+const { auth, permit } = require('../middleware/auth');
+const nonWorkingDays = require('../utils/non-working-days');
+const timesheetEntries = require('../utils/timesheet-entries');
+
+const router = express.Router();
+
+const TEMPLATE_FIELDS = ['name', 'project', 'task', 'startTime', 'endTime', 'breakMinutes', 'description', 'daysOfWeek'];
+const MAX_APPLY_DAYS = 62;
+
+// Load one of the requester's templates
+async function findOwnTemplate(req, res) {
+    const template = await TimesheetTemplate.findById(req.params.id);
+    if (!template) {
+        res.status(404).json({ message: 'Template not found' });
+        return null;
+    }
+    if (String(template.employee) !== String(req.user._id)) {
+        res.status(403).json({ message: 'Not allowed' });
+        return null;
+    }
+    return template;
+}
+
+// my templates
+router.get('/', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const list = await TimesheetTemplate.find({ employee: req.user._id })
+            .populate('project', 'name')
+            .populate('task', 'title')
+            .sort({ name: 1 });
+        res.json(list);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// create template
+router.post('/', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const { name, startTime, endTime } = req.body;
+        if (!name || !startTime || !endTime) return res.status(400).json({ message: 'name/startTime/endTime required' });
+
+        const template = new TimesheetTemplate({ employee: req.user._id });
+        TEMPLATE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) template[field] = req.body[field];
+        });
+        await template.save();
+        res.status(201).json(template);
+    } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ message: 'You already have a template with this name' });
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        console.error('Template create error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// update template
+router.put('/:id', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const template = await findOwnTemplate(req, res);
+        if (!template) return;
+
+        TEMPLATE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) template[field] = req.body[field];
+        });
+        await template.save();
+        res.json(template);
+    } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ message: 'You already have a template with this name' });
+        if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+        console.error('Template update error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// delete template
+router.delete('/:id', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const template = await findOwnTemplate(req, res);
+        if (!template) return;
+
+        await template.deleteOne();
+        res.json({ message: 'Template deleted' });
+    } catch (err) {
+        console.error('Template delete error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// apply template to a date range: body { from, to } (YYYY-MM-DD)
+// creates one draft entry per matching weekday, skipping holidays and approved leave
+router.post('/:id/apply', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const template = await findOwnTemplate(req, res);
+        if (!template) return;
+
+        const { from, to } = req.body;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to || '') || from > to) {
+            return res.status(400).json({ message: 'from/to must be YYYY-MM-DD dates with from <= to' });
+        }
+
+        const days = nonWorkingDays.eachDay(from, to);
+        if (days.length > MAX_APPLY_DAYS) {
+            return res.status(400).json({ message: `A template can be applied to at most ${MAX_APPLY_DAYS} days at once` });
+        }
+
+        const offDays = await nonWorkingDays.getNonWorkingDays(req.user._id, from, to);
+
+        const entries = [];
+        const skipped = [];
+        days.forEach(day => {
+            if (!template.daysOfWeek.includes(new Date(`${day}T00:00:00Z`).getUTCDay())) return;
+
+            const off = offDays[day];
+            if (off) {
+                skipped.push({ date: day, startTime: template.startTime, reason: nonWorkingDays.describeNonWorkingDay(off) });
+                return;
+            }
+
+            entries.push({
+                date: day,
+                startTime: template.startTime,
+                endTime: template.endTime,
+                breakMinutes: template.breakMinutes,
+                project: template.project,
+                task: template.task,
+                description: template.description || template.name
+            });
+        });
+
+        const result = await timesheetEntries.createDraftEntries(req.user._id, entries);
+        const created = await Timesheet.find({ _id: { $in: result.created.map(ts => ts._id) } }).sort({ date: 1 });
+
+        res.status(201).json({
+            message: `${created.length} draft entr${created.length === 1 ? 'y' : 'ies'} created from "${template.name}"`,
+            created,
+            skipped: skipped.concat(result.skipped)
+        });
+    } catch (err) {
+        console.error('Template apply error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
@@ -1,362 +1,675 @@
-const express = require('express');
-const Timesheet = require('../models/Timesheet');
-const User = require('../models/User');
-const { auth, permit } = require('../middleware/auth');
-
-const router = express.Router();
-
-// Get all timesheets (with optional filters)
-router.get('/', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
-    try {
-        const mongoose = require('mongoose');
-        let query = {};
-
-        // If employee, show only their timesheets
-        if (req.user.role === 'employee') {
-            query.employee = req.user._id;
-        }
-
-        // If manager, show timesheets for their team members
-        if (req.user.role === 'manager') {
-            const Project = mongoose.model('Project');
-            const Task = mongoose.model('Task');
-
-            // Get projects managed by this manager
-            const managerProjects = await Project.find({ manager: req.user._id });
-            const projectIds = managerProjects.map(p => p._id);
-
-            // Get tasks from these projects to find assigned employees
-            const tasks = await Task.find({ project: { $in: projectIds } })
-                .select('assignments.employee');
-
-            // Extract unique employee IDs
-            const employeeIds = new Set();
-            tasks.forEach(task => {
-                if (task.assignments && Array.isArray(task.assignments)) {
-                    task.assignments.forEach(assignment => {
-                        if (assignment.employee) {
-                            employeeIds.add(assignment.employee.toString());
-                        }
-                    });
-                }
-            });
-
-            // Show timesheets from these employees OR timesheets with manager's projects
-            query.$or = [
-                { employee: { $in: Array.from(employeeIds).map(id => new mongoose.Types.ObjectId(id)) } },
-                { project: { $in: projectIds } }
-            ];
-        }
-
-        // Filter by date range
-        if (req.query.from || req.query.to) {
-            query.date = {};
-            if (req.query.from) query.date.$gte = new Date(req.query.from);
-            if (req.query.to) query.date.$lte = new Date(req.query.to);
-        }
-
-        // Filter by project
-        if (req.query.projectId) {
-            if (!query.$or) {
-                query.project = new mongoose.Types.ObjectId(req.query.projectId);
-            } else {
-                // If $or exists, add project filter to it
-                query.$or = query.$or.map(condition => ({
-                    ...condition,
-                    project: new mongoose.Types.ObjectId(req.query.projectId)
-                }));
-            }
-        }
-
-        // Filter by status
-        if (req.query.status) {
-            query.status = req.query.status;
-        }
-
-        const timesheets = await Timesheet.find(query)
-            .populate('employee', 'name email')
-            .populate('project', 'name')
-            .populate('task', 'title')
-            .sort({ date: -1 })
-            .lean();
-
-        res.json({ count: timesheets.length, data: timesheets });
-    } catch (err) {
-        console.error('Get timesheets error:', err);
-        res.status(500).json({ message: 'Failed to fetch timesheets', error: err.message });
-    }
-});
-
-// submit timesheet
-router.post('/', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
-    try {
-        const { date, startTime, endTime, breakMinutes = 0, description, project, task, isDraft = false } = req.body;
-        if (!date || !startTime || !endTime) return res.status(400).json({ message: 'date/startTime/endTime required' });
-
-        // Parse time strings properly
-        const s = new Date(`${date}T${startTime}:00`);
-        const e = new Date(`${date}T${endTime}:00`);
-
-        // Validate dates
-        if (isNaN(s.getTime()) || isNaN(e.getTime())) {
-            return res.status(400).json({ message: 'Invalid date or time format' });
-        }
-
-        const diffMs = Math.max(0, e - s);
-        const bm = Number(breakMinutes) || 0;
-        const totalHours = Math.max(0, Math.round((diffMs / (1000 * 60 * 60) - (bm / 60)) * 100) / 100);
-
-        // Validate: Single timesheet cannot exceed 24 hours
-        if (totalHours > 24) {
-            return res.status(400).json({ message: 'A single timesheet cannot exceed 24 hours. Please check start time, end time, and break duration.' });
-        }
-
-        // Validate: Total hours for the day cannot exceed 24
-        const dayStart = new Date(date);
-        dayStart.setHours(0, 0, 0, 0);
-        const dayEnd = new Date(date);
-        dayEnd.setHours(23, 59, 59, 999);
-
-        const existingTimesheets = await Timesheet.find({
-            employee: req.user._id,
-            date: { $gte: dayStart, $lte: dayEnd },
-            status: { $ne: 'rejected' } // Don't count rejected timesheets
-        });
-
-        const existingDayTotal = existingTimesheets.reduce((sum, ts) => sum + (ts.totalHours || 0), 0);
-        const newDayTotal = existingDayTotal + totalHours;
-
-        if (newDayTotal > 24) {
-            return res.status(400).json({
-                message: `Total hours for ${new Date(date).toLocaleDateString()} would be ${newDayTotal.toFixed(1)}h, exceeding 24 hours. Existing: ${existingDayTotal.toFixed(1)}h, New: ${totalHours.toFixed(1)}h.`
-            });
-        }
-
-        const status = isDraft ? 'draft' : 'pending';
-        const overtimeHours = Math.max(0, totalHours - 8);
-
-        const ts = await Timesheet.create({
-            employee: req.user._id,
-            date: new Date(date),
-            startTime,
-            endTime,
-            breakMinutes: bm,
-            totalHours,
-            description,
-            project,
-            task,
-            status,
-            overtimeHours
-        });
-
-        res.status(201).json(ts);
-    } catch (err) {
-        console.error('Timesheet POST error:', err);
-        res.status(500).json({ message: 'Server error', error: err.message });
-    }
-});
-
-// UPDATE timesheet (save as draft)
-router.put('/:id', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
-    try {
-        const { date, startTime, endTime, breakMinutes = 0, description, project, isDraft = false } = req.body;
-        const ts = await Timesheet.findById(req.params.id);
-
-        if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
-        if (String(ts.employee) !== String(req.user._id) && req.user.role !== 'admin') {
-            return res.status(403).json({ message: 'Not allowed' });
-        }
-
-        if (date && startTime && endTime) {
-            const s = new Date(`${date}T${startTime}`);
-            let e = new Date(`${date}T${endTime}`);
-            if (e < s) e = new Date(e.getTime() + 24 * 60 * 60 * 1000);
-
-            let diffMs = e - s;
-            if (diffMs < 0) diffMs = 0;
-
-            const bm = Number(breakMinutes) || 0;
-            const hours = diffMs / (1000 * 60 * 60) - (bm / 60);
-            const totalHours = Math.max(0, Math.round(hours * 100) / 100);
-
-            // Validate: Single timesheet cannot exceed 24 hours
-            if (totalHours > 24) {
-                return res.status(400).json({ message: 'A single timesheet cannot exceed 24 hours. Please check start time, end time, and break duration.' });
-            }
-
-            // Validate: Total hours for the day cannot exceed 24
-            const dayStart = new Date(date);
-            dayStart.setHours(0, 0, 0, 0);
-            const dayEnd = new Date(date);
-            dayEnd.setHours(23, 59, 59, 999);
-
-            const existingTimesheets = await Timesheet.find({
-                employee: ts.employee,
-                date: { $gte: dayStart, $lte: dayEnd },
-                status: { $ne: 'rejected' },
-                _id: { $ne: ts._id } // Exclude current timesheet
-            });
-
-            const existingDayTotal = existingTimesheets.reduce((sum, t) => sum + (t.totalHours || 0), 0);
-            const newDayTotal = existingDayTotal + totalHours;
-
-            if (newDayTotal > 24) {
-                return res.status(400).json({
-                    message: `Total hours for ${new Date(date).toLocaleDateString()} would be ${newDayTotal.toFixed(1)}h, exceeding 24 hours. Other timesheets: ${existingDayTotal.toFixed(1)}h, This entry: ${totalHours.toFixed(1)}h.`
-                });
-            }
-
-            ts.date = date;
-            ts.startTime = startTime;
-            ts.endTime = endTime;
-            ts.breakMinutes = bm;
-            ts.totalHours = totalHours;
-            ts.overtimeHours = Math.max(0, Math.round(Math.max(0, totalHours - 8) * 100) / 100);
-        }
-
-        if (description) ts.description = description;
-        if (project) ts.project = project;
-        if (isDraft !== undefined) ts.status = isDraft ? 'draft' : ts.status;
-
-        await ts.save();
-        res.json(ts);
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// SUBMIT draft timesheet (change status from draft to pending)
-router.post('/:id/submit', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
-    try {
-        const ts = await Timesheet.findById(req.params.id);
-        if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
-
-        if (String(ts.employee) !== String(req.user._id) && req.user.role !== 'admin') {
-            return res.status(403).json({ message: 'Not allowed' });
-        }
-
-        if (ts.status !== 'draft') {
-            return res.status(400).json({ message: 'Only draft timesheets can be submitted' });
-        }
-
-        ts.status = 'pending';
-        await ts.save();
-        res.json(ts);
-    } catch (err) {
-        console.error('Submit error:', err);
-        res.status(500).json({ message: 'Server error', error: err.message });
-    }
-});
-// get my timesheets
-router.get('/me', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
-    try {
-        const list = await Timesheet.find({ employee: req.user._id }).sort({ date: -1 });
-        res.json(list);
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// get team timesheets (manager/admin)
-router.get('/team/all', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        const Project = require('../models/Project');
-        // get all employees under this manager
-        let team = await User.find({ manager: req.user._id });
-        let teamIds = team.map(t => t._id);
-
-        // fallback: if no direct manager relationship, get employees from projects
-        if (!teamIds || teamIds.length === 0) {
-            const projects = await Project.find({ manager: req.user._id }).populate('employees', '_id');
-            const empMap = {};
-            projects.forEach(p => {
-                if (p.employees && Array.isArray(p.employees)) {
-                    p.employees.forEach(e => {
-                        if (e && e._id) empMap[String(e._id)] = e._id;
-                    });
-                }
-            });
-            teamIds = Object.values(empMap);
-        }
-
-        // get all their timesheets
-        const list = await Timesheet.find({ employee: { $in: teamIds } }).populate('employee', 'name email').sort({ date: -1 });
-        res.json(list);
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
-
-// pending (manager/admin)
-router.get('/pending', auth, permit('manager', 'admin'), async(req, res) => {
-    try {
-        let query = { status: 'pending' };
-
-        // If manager, show timesheets for employees in their projects
-        if (req.user.role === 'manager') {
-            const mongoose = require('mongoose');
-            const Project = mongoose.model('Project');
-            const Task = mongoose.model('Task');
-
-            // Get projects managed by this manager
-            const managerProjects = await Project.find({ manager: req.user._id });
-            const projectIds = managerProjects.map(p => p._id);
-
-            // Get tasks from these projects to find assigned employees
-            const tasks = await Task.find({ project: { $in: projectIds } })
-                .select('assignments.employee');
-
-            // Extract unique employee IDs
-            const employeeIds = new Set();
-            tasks.forEach(task => {
-                if (task.assignments && Array.isArray(task.assignments)) {
-                    task.assignments.forEach(assignment => {
-                        if (assignment.employee) {
-                            employeeIds.add(assignment.employee.toString());
-                        }
-                    });
-                }
-            });
-
-            // Show timesheets from these employees OR timesheets with manager's projects
-            query.$or = [
-                { employee: { $in: Array.from(employeeIds).map(id => new mongoose.Types.ObjectId(id)) } },
-                { project: { $in: projectIds } }
-            ];
-        }
-
-        const list = await Timesheet.find(query)
-            .populate('employee', 'name email')
-            .populate('project', 'name')
-            .populate('task', 'title')
-            .sort({ date: -1 });
-        res.json(list);
-    } catch (err) {
-        console.error('Get pending timesheets error:', err);
-        res.status(500).json({ message: 'Server error', error: err.message });
-    }
-});
-
-// approve/reject with multi-level workflow
-router.put('/:id/approve', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
-    try {
-        const { id } = req.params;
-        const { approve, remarks } = req.body;
-        const ts = await Timesheet.findById(id);
-        if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
-
-        // Simple approval: just change status
-        ts.status = approve ? 'approved' : 'rejected';
-        if (remarks) ts.managerRemarks = remarks;
-        await ts.save();
-        res.json(ts);
-    } catch (err) {
-        console.error('Approve error:', err);
-        res.status(500).json({ message: 'Server error', error: err.message });
-    }
-});
-
-module.exports = router;
+const express = require('express');
+const { isValidObjectId } = require('mongoose');
+const Timesheet = require('../models/Timesheet');
+const TimesheetHistory = require('../models/TimesheetHistory');
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+const User = require('../models/User');
+const { auth, permit } = require('../middleware/auth');
+const approvalWorkflow = require('../utils/approval-workflow');
+const nonWorkingDays = require('../utils/non-working-days');
+const overtimePolicy = require('../utils/overtime-policy');
+const projectBudget = require('../utils/project-budget');
+const shiftHours = require('../utils/shift-hours');
+const { getTeamMemberIds } = require('../utils/team');
+const timesheetEntries = require('../utils/timesheet-entries');
+const timesheetHistory = require('../utils/timesheet-history');
+const timesheetTimer = require('../utils/timesheet-timer');
+
+const { dailyLimitError, periodClosedMessage } = timesheetEntries;
+
+const router = express.Router();
+
+// Get all timesheets (with optional filters)
+router.get('/', auth, permit('employee', 'manager', 'hr', 'director', 'admin'), async(req, res) => {
+    try {
+        const mongoose = require('mongoose');
+        let query = {};
+
+        // If employee, show only their timesheets
+        if (req.user.role === 'employee') {
+            query.employee = req.user._id;
+        }
+
+        // If manager, show timesheets for their team members
+        if (req.user.role === 'manager') {
+            const Project = mongoose.model('Project');
+            const Task = mongoose.model('Task');
+
+            // Get projects managed by this manager
+            const managerProjects = await Project.find({ manager: req.user._id });
+            const projectIds = managerProjects.map(p => p._id);
+
+            // Get tasks from these projects to find assigned employees
+            const tasks = await Task.find({ project: { $in: projectIds } })
+                .select('assignments.employee');
+
+            // Extract unique employee IDs
+            const employeeIds = new Set();
+            tasks.forEach(task => {
+                if (task.assignments && Array.isArray(task.assignments)) {
+                    task.assignments.forEach(assignment => {
+                        if (assignment.employee) {
+                            employeeIds.add(assignment.employee.toString());
+                        }
+                    });
+                }
+            });
+
+            // Show timesheets from these employees OR timesheets with manager's projects
+            query.$or = [
+                { employee: { $in: Array.from(employeeIds).map(id => new mongoose.Types.ObjectId(id)) } },
+                { project: { $in: projectIds } }
+            ];
+        }
+
+        // Filter by date range
+        if (req.query.from || req.query.to) {
+            query.date = {};
+            if (req.query.from) query.date.$gte = new Date(req.query.from);
+            if (req.query.to) query.date.$lte = new Date(req.query.to);
+        }
+
+        // Filter by project
+        if (req.query.projectId) {
+            if (!query.$or) {
+                query.project = new mongoose.Types.ObjectId(req.query.projectId);
+            } else {
+                // If $or exists, add project filter to it
+                query.$or = query.$or.map(condition => ({
+                    ...condition,
+                    project: new mongoose.Types.ObjectId(req.query.projectId)
+                }));
+            }
+        }
+
+        // Filter by status
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+
+        const timesheets = await Timesheet.find(query)
+            .populate('employee', 'name email')
+            .populate('project', 'name')
+            .populate('task', 'title')
+            .sort({ date: -1 })
+            .lean();
+
+        res.json({ count: timesheets.length, data: timesheets });
+    } catch (err) {
+        console.error('Get timesheets error:', err);
+        res.status(500).json({ message: 'Failed to fetch timesheets', error: err.message });
+    }
+});
+
+// submit timesheet
+router.post('/', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const { date, endDate, startTime, endTime, breakMinutes = 0, description, project, task, billable, isDraft = false } = req.body;
+        if (!date || !startTime || !endTime) return res.status(400).json({ message: 'date/startTime/endTime required' });
+
+        // Overnight entries wrap past midnight; endDate allows multi-day shifts
+        const entry = shiftHours.calculateEntry({ date, endDate, startTime, endTime, breakMinutes });
+        if (!entry) {
+            return res.status(400).json({ message: 'Invalid date or time format' });
+        }
+        if (entry.end <= entry.start) {
+            return res.status(400).json({ message: 'End date/time must be after start date/time' });
+        }
+
+        // Validate: no calendar day may exceed 24 hours across all entries
+        const limitError = await dailyLimitError(req.user._id, entry.dailyHours);
+        if (limitError) return res.status(400).json({ message: limitError });
+
+        const period = await TimesheetPeriod.findOrCreateFor(req.user._id, date);
+        const closed = periodClosedMessage(period);
+        if (closed) return res.status(403).json({ message: closed });
+
+        const ts = new Timesheet({
+            employee: req.user._id,
+            date: new Date(date),
+            endDate: entry.endDate,
+            startTime,
+            endTime,
+            breakMinutes: Number(breakMinutes) || 0,
+            totalHours: entry.totalHours,
+            description,
+            project,
+            task,
+            billable: typeof billable === 'boolean' ? billable : undefined,
+            period: period._id,
+            status: 'draft'
+        });
+
+        await ts.save();
+        await overtimePolicy.recalculateTimesheetWeek(ts.employee, ts.date);
+        const saved = await Timesheet.findById(ts._id);
+        await timesheetHistory.record(saved, { action: 'create', actor: req.user });
+        await projectBudget.checkBudgetAlerts(saved.project);
+
+        // Drafts stay with the employee; everything else enters the approval chain
+        if (!isDraft) {
+            await approvalWorkflow.startApproval(saved, req.user);
+        }
+
+        res.status(201).json(saved);
+    } catch (err) {
+        console.error('Timesheet POST error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== COPY PREVIOUS WEEK =====
+
+// copy last week's entries as drafts into this week (or the week containing body.week);
+// holidays and approved leave in the target week are skipped
+router.post('/copy-previous-week', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const target = req.body.week ? new Date(req.body.week) : new Date();
+        if (isNaN(target.getTime())) return res.status(400).json({ message: 'Invalid week date' });
+
+        const { start, end } = overtimePolicy.getWeekBounds(shiftHours.dayKey(target));
+        const weekMs = 7 * 24 * 60 * 60 * 1000;
+
+        const source = await Timesheet.find({
+            employee: req.user._id,
+            date: { $gte: new Date(start.getTime() - weekMs), $lte: new Date(end.getTime() - weekMs) },
+            status: { $ne: 'rejected' },
+            'timer.state': { $nin: timesheetTimer.ACTIVE_STATES }
+        }).sort({ date: 1, startTime: 1 });
+
+        if (source.length === 0) {
+            return res.status(404).json({ message: 'No timesheet entries found in the previous week' });
+        }
+
+        const nonWorking = await nonWorkingDays.getNonWorkingDays(
+            req.user._id,
+            shiftHours.dateOnly(start),
+            shiftHours.dateOnly(end)
+        );
+
+        const entries = [];
+        const skipped = [];
+        source.forEach(ts => {
+            const day = shiftHours.dateOnly(new Date(ts.date.getTime() + weekMs));
+            const off = nonWorking[day];
+            if (off) {
+                skipped.push({ date: day, startTime: ts.startTime, reason: nonWorkingDays.describeNonWorkingDay(off) });
+                return;
+            }
+            // keep multi-day entries the same length
+            const endDate = ts.endDate ? shiftHours.dateOnly(new Date(ts.endDate.getTime() + weekMs)) : undefined;
+            entries.push({
+                date: day,
+                endDate,
+                startTime: ts.startTime,
+                endTime: ts.endTime,
+                breakMinutes: ts.breakMinutes,
+                project: ts.project,
+                task: ts.task,
+                description: ts.description
+            });
+        });
+
+        const result = await timesheetEntries.createDraftEntries(req.user._id, entries);
+        const created = await Timesheet.find({ _id: { $in: result.created.map(ts => ts._id) } }).sort({ date: 1, startTime: 1 });
+
+        res.status(201).json({
+            message: `${created.length} entr${created.length === 1 ? 'y' : 'ies'} copied as drafts`,
+            created,
+            skipped: skipped.concat(result.skipped)
+        });
+    } catch (err) {
+        console.error('Copy previous week error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// ===== TIMER =====
+
+// Send the timer entry with its worked time so far
+function timerResponse(ts) {
+    if (!ts) return { active: false, data: null };
+    return {
+        active: timesheetTimer.ACTIVE_STATES.includes(ts.timer.state),
+        data: ts,
+        elapsedSeconds: Math.floor(timesheetTimer.elapsedMs(ts) / 1000)
+    };
+}
+
+// current running/paused timer (used to restore the timer after a reload)
+router.get('/timer', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        res.json(timerResponse(await timesheetTimer.getActiveTimer(req.user._id)));
+    } catch (err) {
+        console.error('Timer fetch error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// start a timer; body { project, task, description }
+router.post('/timer/start', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const { project, task, description } = req.body;
+        const ts = await timesheetTimer.startTimer(req.user._id, { project, task, description });
+        res.status(201).json(timerResponse(ts));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Timer start error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+router.post('/timer/pause', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        res.json(timerResponse(await timesheetTimer.pauseTimer(req.user._id)));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Timer pause error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+router.post('/timer/resume', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        res.json(timerResponse(await timesheetTimer.resumeTimer(req.user._id)));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Timer resume error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// stop the timer; the entry stays a draft until the employee submits it.
+// body { discard: true } deletes the entry instead (e.g. its week has closed)
+router.post('/timer/stop', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const discard = !!req.body.discard;
+        const result = await timesheetTimer.stopTimer(req.user._id, 'employee', { discard });
+        if (!result) return res.status(404).json({ message: 'No running timer' });
+        if (result.discarded) {
+            const message = discard ? 'Timer entry discarded' : 'Timer ran for less than a minute; entry discarded';
+            return res.json({ message, discarded: true, data: null });
+        }
+        res.json({ message: 'Timer stopped', discarded: false, data: result.timesheet });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Timer stop error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// statuses an entry can still be changed in
+const EDITABLE_STATUSES = ['draft', 'rejected'];
+
+// UPDATE timesheet (save as draft)
+router.put('/:id', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const { date, endDate, startTime, endTime, breakMinutes = 0, description, project, billable, isDraft = false } = req.body;
+        const ts = await Timesheet.findById(req.params.id);
+
+        if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
+        if (String(ts.employee) !== String(req.user._id) && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        if (ts.status === 'locked') {
+            return res.status(403).json({ message: 'This timesheet has been locked for payroll and can no longer be changed' });
+        }
+        // entries in approval or approved (and invoiced) keep the hours that were signed off
+        if (!EDITABLE_STATUSES.includes(ts.status)) {
+            return res.status(403).json({ message: 'Only draft or rejected timesheets can be edited' });
+        }
+        const closed = periodClosedMessage(ts.period && await TimesheetPeriod.findById(ts.period));
+        if (closed) return res.status(403).json({ message: closed });
+
+        if (ts.timer && timesheetTimer.ACTIVE_STATES.includes(ts.timer.state)) {
+            return res.status(400).json({ message: 'Stop the timer before editing this entry' });
+        }
+
+        const previousDate = ts.date;
+        const previousProject = ts.project;
+        const before = timesheetHistory.snapshot(ts);
+
+        if (date && startTime && endTime) {
+            const entry = shiftHours.calculateEntry({ date, endDate, startTime, endTime, breakMinutes });
+            if (!entry) {
+                return res.status(400).json({ message: 'Invalid date or time format' });
+            }
+            if (entry.end <= entry.start) {
+                return res.status(400).json({ message: 'End date/time must be after start date/time' });
+            }
+
+            // Validate: no calendar day may exceed 24 hours across all entries
+            const limitError = await dailyLimitError(ts.employee, entry.dailyHours, ts._id);
+            if (limitError) return res.status(400).json({ message: limitError });
+
+            // moving the entry into another week must not reopen a closed one
+            const period = await TimesheetPeriod.findOrCreateFor(ts.employee, date);
+            const targetClosed = periodClosedMessage(period);
+            if (targetClosed) return res.status(403).json({ message: targetClosed });
+
+            ts.period = period._id;
+            ts.date = date;
+            ts.endDate = entry.endDate;
+            ts.startTime = startTime;
+            ts.endTime = endTime;
+            ts.breakMinutes = Number(breakMinutes) || 0;
+            ts.totalHours = entry.totalHours;
+        }
+
+        if (description) ts.description = description;
+        if (project) ts.project = project;
+        // null goes back to the project's setting
+        if (billable !== undefined) ts.billable = billable === null ? undefined : !!billable;
+        if (isDraft !== undefined) ts.status = isDraft ? 'draft' : ts.status;
+
+        await ts.save();
+
+        // overtime depends on the rest of the week, including the week it left
+        await overtimePolicy.recalculateTimesheetWeek(ts.employee, ts.date);
+        if (shiftHours.dateOnly(previousDate) !== shiftHours.dateOnly(ts.date)) {
+            await overtimePolicy.recalculateTimesheetWeek(ts.employee, previousDate);
+        }
+
+        const updated = await Timesheet.findById(ts._id);
+        await timesheetHistory.record(updated, { action: 'update', actor: req.user, before });
+        await projectBudget.checkBudgetAlerts(updated.project);
+        if (String(previousProject) !== String(updated.project)) {
+            await projectBudget.checkBudgetAlerts(previousProject);
+        }
+        res.json(updated);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// SUBMIT draft timesheet (moves it to the first approval level)
+router.post('/:id/submit', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const ts = await Timesheet.findById(req.params.id);
+        if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
+
+        if (String(ts.employee) !== String(req.user._id) && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        if (ts.status !== 'draft') {
+            return res.status(400).json({ message: 'Only draft timesheets can be submitted' });
+        }
+
+        if (ts.timer && timesheetTimer.ACTIVE_STATES.includes(ts.timer.state)) {
+            return res.status(400).json({ message: 'Stop the timer before submitting this entry' });
+        }
+
+        const closed = periodClosedMessage(ts.period && await TimesheetPeriod.findById(ts.period));
+        if (closed) return res.status(403).json({ message: closed });
+
+        await approvalWorkflow.startApproval(ts, req.user);
+        res.json(ts);
+    } catch (err) {
+        console.error('Submit error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+// get my timesheets
+router.get('/me', auth, permit('employee', 'manager', 'admin'), async(req, res) => {
+    try {
+        const list = await Timesheet.find({ employee: req.user._id }).sort({ date: -1 });
+        res.json(list);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// get team timesheets (manager/admin)
+router.get('/team/all', auth, permit('manager', 'admin'), async(req, res) => {
+    try {
+        const Project = require('../models/Project');
+        // get all employees under this manager
+        let team = await User.find({ manager: req.user._id });
+        let teamIds = team.map(t => t._id);
+
+        // fallback: if no direct manager relationship, get employees from projects
+        if (!teamIds || teamIds.length === 0) {
+            const projects = await Project.find({ manager: req.user._id }).populate('employees', '_id');
+            const empMap = {};
+            projects.forEach(p => {
+                if (p.employees && Array.isArray(p.employees)) {
+                    p.employees.forEach(e => {
+                        if (e && e._id) empMap[String(e._id)] = e._id;
+                    });
+                }
+            });
+            teamIds = Object.values(empMap);
+        }
+
+        // get all their timesheets
+        const list = await Timesheet.find({ employee: { $in: teamIds } }).populate('employee', 'name email').sort({ date: -1 });
+        res.json(list);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// pending (approvers) - only the levels the requester's role can act on
+router.get('/pending', auth, permit('manager', 'hr', 'director', 'admin'), async(req, res) => {
+    try {
+        let query = { status: { $in: await approvalWorkflow.getStatusesForRole(req.user.role) } };
+
+        // If manager, show timesheets for employees in their projects
+        if (req.user.role === 'manager') {
+            const mongoose = require('mongoose');
+            const Project = mongoose.model('Project');
+            const Task = mongoose.model('Task');
+
+            // Get projects managed by this manager
+            const managerProjects = await Project.find({ manager: req.user._id });
+            const projectIds = managerProjects.map(p => p._id);
+
+            // Get tasks from these projects to find assigned employees
+            const tasks = await Task.find({ project: { $in: projectIds } })
+                .select('assignments.employee');
+
+            // Extract unique employee IDs
+            const employeeIds = new Set();
+            tasks.forEach(task => {
+                if (task.assignments && Array.isArray(task.assignments)) {
+                    task.assignments.forEach(assignment => {
+                        if (assignment.employee) {
+                            employeeIds.add(assignment.employee.toString());
+                        }
+                    });
+                }
+            });
+
+            // Show timesheets from these employees OR timesheets with manager's projects
+            query.$or = [
+                { employee: { $in: Array.from(employeeIds).map(id => new mongoose.Types.ObjectId(id)) } },
+                { project: { $in: projectIds } }
+            ];
+        }
+
+        const list = await Timesheet.find(query)
+            .populate('employee', 'name email')
+            .populate('project', 'name')
+            .populate('task', 'title')
+            .sort({ date: -1 });
+        res.json(list);
+    } catch (err) {
+        console.error('Get pending timesheets error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// Whether an entry's week has been submitted as a whole (then the week is approved instead)
+async function submittedWithPeriod(ts) {
+    const period = ts.period && await TimesheetPeriod.findById(ts.period);
+    return period && period.submittedAt && !period.isEditable() ? period : null;
+}
+
+const BULK_LIMIT = 500;
+
+// bulk approve/reject
+// body: { ids: [...] } or { filter: { employeeId, week, projectId } }, approve, remarks
+// Every item is checked on its own; the response reports the outcome per item.
+router.post('/bulk-approve', auth, permit('manager', 'hr', 'director', 'admin'), async(req, res) => {
+    try {
+        const { ids, filter, approve, remarks } = req.body;
+        if (approve === undefined) return res.status(400).json({ message: 'approve (true/false) is required' });
+        if ((!Array.isArray(ids) || ids.length === 0) && !filter) {
+            return res.status(400).json({ message: 'Provide ids or a filter' });
+        }
+
+        let timesheets;
+        if (Array.isArray(ids) && ids.length > 0) {
+            if (ids.length > BULK_LIMIT) return res.status(400).json({ message: `At most ${BULK_LIMIT} timesheets per request` });
+            timesheets = await Timesheet.find({ _id: { $in: ids.filter(id => isValidObjectId(id)) } });
+        } else {
+            const query = { status: { $in: await approvalWorkflow.getStatusesForRole(req.user.role) } };
+            if (filter.employeeId) query.employee = filter.employeeId;
+            if (filter.projectId) query.project = filter.projectId;
+            if (filter.week) {
+                const week = new Date(filter.week);
+                if (isNaN(week.getTime())) return res.status(400).json({ message: 'Invalid week date' });
+                const { periodStart, periodEnd } = TimesheetPeriod.getBounds(week);
+                query.date = { $gte: periodStart, $lte: periodEnd };
+            }
+            timesheets = await Timesheet.find(query).sort({ date: 1 }).limit(BULK_LIMIT);
+        }
+
+        // managers may only act on their own team's entries
+        let teamIds = null;
+        if (req.user.role === 'manager') {
+            teamIds = (await getTeamMemberIds(req.user._id)).map(String);
+        }
+
+        const found = new Set(timesheets.map(ts => String(ts._id)));
+        const results = (Array.isArray(ids) ? ids : [])
+            .filter(id => !found.has(String(id)))
+            .map(id => (isValidObjectId(id) ?
+                { id, ok: false, status: 404, message: 'Timesheet not found' } :
+                { id, ok: false, status: 400, message: 'Invalid timesheet id' }));
+
+        for (const ts of timesheets) {
+            const result = { id: ts._id, employee: ts.employee, date: ts.date };
+            try {
+                if (teamIds && !teamIds.includes(String(ts.employee)) && String(ts.manager) !== String(req.user._id)) {
+                    Object.assign(result, { ok: false, status: 403, message: 'Timesheet is not from your team' });
+                } else if (await submittedWithPeriod(ts)) {
+                    Object.assign(result, { ok: false, status: 400, message: 'Submitted as part of a week; approve the week instead' });
+                } else {
+                    const decision = await approvalWorkflow.recordDecision(ts, req.user, !!approve, remarks);
+                    Object.assign(result, {
+                        ok: true,
+                        newStatus: decision.timesheet.status,
+                        approvalLevel: decision.level.key,
+                        nextLevel: decision.nextLevel ? decision.nextLevel.key : null
+                    });
+                }
+            } catch (err) {
+                if (!err.status) console.error('Bulk approve item error:', ts._id, err);
+                Object.assign(result, { ok: false, status: err.status || 500, message: err.message });
+            }
+            results.push(result);
+        }
+
+        const succeeded = results.filter(r => r.ok).length;
+        res.json({
+            message: `${succeeded} of ${results.length} timesheet(s) ${approve ? 'approved' : 'rejected'}`,
+            approve: !!approve,
+            total: results.length,
+            succeeded,
+            failed: results.length - succeeded,
+            results
+        });
+    } catch (err) {
+        // a malformed employeeId or projectId in the filter
+        if (err.name === 'CastError') return res.status(400).json({ message: err.message });
+        console.error('Bulk approve error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// approve/reject with multi-level workflow
+router.put('/:id/approve', auth, permit('manager', 'hr', 'director', 'admin'), async(req, res) => {
+    try {
+        const { id } = req.params;
+        const { approve, remarks } = req.body;
+        const ts = await Timesheet.findById(id);
+        if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
+
+        // entries of a submitted week are decided together with the week
+        const period = await submittedWithPeriod(ts);
+        if (period) {
+            return res.status(400).json({
+                message: 'This timesheet was submitted as part of a week; approve the week instead',
+                periodId: period._id
+            });
+        }
+
+        const result = await approvalWorkflow.recordDecision(ts, req.user, !!approve, remarks);
+
+        res.json({
+            ...result.timesheet.toObject(),
+            approvalLevel: result.level.key,
+            nextLevel: result.nextLevel ? result.nextLevel.key : null
+        });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ message: err.message });
+        console.error('Approve error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// approval trail for a timesheet
+router.get('/:id/approvals', auth, permit('employee', 'manager', 'hr', 'director', 'admin'), async(req, res) => {
+    try {
+        const ts = await Timesheet.findById(req.params.id);
+        if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
+        if (req.user.role === 'employee' && String(ts.employee) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        const Approval = require('../models/Approval');
+        const approvals = await Approval.find({ timesheet: ts._id })
+            .populate('approver', 'name email role')
+            .sort({ createdAt: 1 });
+
+        const chain = await approvalWorkflow.getChainForTimesheet(ts);
+        const currentLevel = approvalWorkflow.getCurrentLevel(chain, ts.status);
+        res.json({
+            status: ts.status,
+            chain,
+            currentLevel: currentLevel ? currentLevel.key : null,
+            data: approvals
+        });
+    } catch (err) {
+        console.error('Get approvals error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// change history for a timesheet, newest version first
+router.get('/:id/history', auth, permit('employee', 'manager', 'hr', 'director', 'admin'), async(req, res) => {
+    try {
+        const ts = await Timesheet.findById(req.params.id).select('employee');
+        if (!ts) return res.status(404).json({ message: 'Timesheet not found' });
+        if (req.user.role === 'employee' && String(ts.employee) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Not allowed' });
+        }
+
+        const history = await TimesheetHistory.find({ timesheet: ts._id })
+            .populate('actor', 'name email role')
+            .sort({ version: -1 });
+
+        res.json({ count: history.length, data: history });
+    } catch (err) {
+        console.error('Get history error:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+module.exports = router;
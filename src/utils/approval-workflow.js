@@ -0,0 +1,378 @@
+/**
+ * Timesheet Approval Workflow
+ * Moves a timesheet (or a whole TimesheetPeriod) through the levels stored in
+ * the ApprovalLevel collection, recording an Approval document and notifying
+ * the next approver at each step
+ */
+
+const defaultLevels = require('../config/approvalLevels');
+const Approval = require('../models/Approval');
+const ApprovalLevel = require('../models/ApprovalLevel');
+const Notification = require('../models/Notification');
+const Project = require('../models/Project');
+const Timesheet = require('../models/Timesheet');
+const User = require('../models/User');
+const httpError = require('./http-error');
+const { getTeamMemberIds } = require('./team');
+const timesheetHistory = require('./timesheet-history');
+
+const FINAL_STATUS = defaultLevels.defaultFinalStatus;
+
+/**
+ * Whether the document being approved is a whole period rather than one entry
+ */
+function isPeriod(doc) {
+    return !!doc.constructor && doc.constructor.modelName === 'TimesheetPeriod';
+}
+
+/**
+ * Human readable label for notifications
+ */
+function describe(doc) {
+    return isPeriod(doc) ?
+        `the week of ${new Date(doc.periodStart).toDateString()}` :
+        new Date(doc.date).toDateString();
+}
+
+/**
+ * Notification meta identifying the approved document
+ */
+function subjectMeta(doc) {
+    return isPeriod(doc) ? { periodId: doc._id } : { timesheetId: doc._id };
+}
+
+/**
+ * Move a period's entries to the period's status and record the change in
+ * each entry's history ({ action, actor, level, remarks }).
+ * Only entries still in one of fromStatuses follow; entries already
+ * approved or locked on their own are left alone.
+ */
+async function syncPeriodEntries(period, fromStatuses, history) {
+    await timesheetHistory.updateMany(
+        { period: period._id, status: { $in: fromStatuses } },
+        { status: period.status, approvalChain: period.approvalChain, manager: period.manager },
+        history
+    );
+}
+
+/**
+ * Normalize a department name the way ApprovalLevel stores it
+ */
+function normalizeDepartment(department) {
+    return department && department.trim() ? department.trim().toLowerCase() : null;
+}
+
+/**
+ * Seed the default chain from config/approvalLevels if the collection has none
+ */
+async function seedDefaultLevels() {
+    const existing = await ApprovalLevel.countDocuments({ department: null });
+    if (existing > 0) return;
+
+    try {
+        await ApprovalLevel.insertMany(defaultLevels.map((level, index) => ({
+            key: level.key,
+            display: level.display,
+            role: level.role,
+            status: level.status,
+            order: index,
+            department: null
+        })));
+        console.log('✅ Seeded default approval levels');
+    } catch (err) {
+        // another request seeded concurrently
+        if (err.code !== 11000) throw err;
+    }
+}
+
+/**
+ * Bring the approval level indexes in line with the schema. Deployments from
+ * before department chains still have a unique index on key alone, which
+ * rejects a department level that reuses a default key.
+ */
+async function syncLevelIndexes() {
+    await ApprovalLevel.syncIndexes();
+}
+
+/**
+ * Ordered approval chain for a department.
+ * Departments without their own levels use the default chain.
+ */
+async function getChain(department) {
+    await seedDefaultLevels();
+
+    const dept = normalizeDepartment(department);
+    let levels = [];
+    if (dept) {
+        levels = await ApprovalLevel.find({ department: dept }).sort({ order: 1 }).lean();
+    }
+    if (levels.length === 0) {
+        levels = await ApprovalLevel.find({ department: null }).sort({ order: 1 }).lean();
+    }
+
+    return levels.map(level => ({
+        key: level.key,
+        display: level.display,
+        role: level.role,
+        status: level.status
+    }));
+}
+
+/**
+ * Chain for a timesheet: the one captured at submit time, or (for timesheets
+ * submitted before chains were captured) the employee's current chain
+ */
+async function getChainForTimesheet(timesheet) {
+    if (timesheet.approvalChain && timesheet.approvalChain.length > 0) {
+        return timesheet.approvalChain;
+    }
+    const employee = await User.findById(timesheet.employee).select('department');
+    return getChain(employee && employee.department);
+}
+
+/**
+ * Level a timesheet is currently waiting on (null if none).
+ * 'pending' is the legacy submit status and counts as the first level.
+ */
+function getCurrentLevel(chain, status) {
+    if (status === 'pending') return chain[0] || null;
+    return chain.find(level => level.status === status) || null;
+}
+
+/**
+ * Level that follows the given one (null when it is the last)
+ */
+function getNextLevel(chain, level) {
+    const index = chain.findIndex(l => l.key === level.key);
+    return index === -1 ? null : chain[index + 1] || null;
+}
+
+/**
+ * Admins may act at any level, everyone else only at levels for their role
+ */
+function canActOnLevel(user, level) {
+    return user.role === 'admin' || user.role === level.role;
+}
+
+/**
+ * Whether a manager is responsible for the timesheet: it names them as its
+ * manager, or its employee is on their team
+ */
+async function managesTimesheet(manager, timesheet) {
+    if (timesheet.manager && String(timesheet.manager) === String(manager._id)) return true;
+    const teamIds = await getTeamMemberIds(manager._id);
+    return teamIds.some(id => String(id) === String(timesheet.employee));
+}
+
+/**
+ * Pending statuses the given role is allowed to act on, across all chains
+ */
+async function getStatusesForRole(role) {
+    await seedDefaultLevels();
+
+    const query = role === 'admin' ? {} : { role };
+    const statuses = await ApprovalLevel.distinct('status', query);
+
+    // legacy 'pending' timesheets wait on the first level of the default chain
+    const [firstDefault] = await ApprovalLevel.find({ department: null }).sort({ order: 1 }).limit(1);
+    if (firstDefault && canActOnLevel({ role }, firstDefault)) statuses.push('pending');
+
+    return statuses;
+}
+
+/**
+ * Resolve the manager responsible for a timesheet:
+ * the employee's direct manager, falling back to the project manager
+ */
+async function resolveManager(timesheet) {
+    const employee = await User.findById(timesheet.employee).select('manager');
+    if (employee && employee.manager) return employee.manager;
+
+    if (timesheet.project) {
+        const project = await Project.findById(timesheet.project).select('manager');
+        if (project && project.manager) return project.manager;
+    }
+
+    return null;
+}
+
+/**
+ * Users who can act on a level for this timesheet.
+ * Falls back to admins so the chain never stalls for lack of an approver.
+ */
+async function findApprovers(level, timesheet) {
+    if (level.role === 'manager' && timesheet.manager) {
+        return [timesheet.manager];
+    }
+
+    let approvers = await User.find({ role: level.role, isActive: true }).select('_id');
+    if (approvers.length === 0) {
+        approvers = await User.find({ role: 'admin', isActive: true }).select('_id');
+    }
+    return approvers.map(u => u._id);
+}
+
+/**
+ * Notify everyone who can act on the level the timesheet now waits on
+ */
+async function notifyApprovers(level, timesheet, employeeName) {
+    const approvers = await findApprovers(level, timesheet);
+    if (approvers.length === 0) return;
+
+    await Notification.insertMany(approvers.map(userId => ({
+        user: userId,
+        type: 'timesheet_approval_required',
+        title: `Timesheet awaiting ${level.display} approval`,
+        body: `${employeeName || 'An employee'} has a timesheet for ${describe(timesheet)} waiting for ${level.display} approval`,
+        meta: {
+            ...subjectMeta(timesheet),
+            employeeId: timesheet.employee,
+            level: level.key,
+            totalHours: timesheet.totalHours
+        }
+    })));
+}
+
+/**
+ * Capture the employee's approval chain on a submitted timesheet or period,
+ * put it at the first level, save it and notify the first approver.
+ * A period carries its unapproved entries along with it.
+ * actor is the user submitting, recorded in the entries' history.
+ */
+async function startApproval(timesheet, actor) {
+    const before = isPeriod(timesheet) ? null : timesheetHistory.snapshot(timesheet);
+    const employee = await User.findById(timesheet.employee).select('name department');
+    const chain = await getChain(employee && employee.department);
+    timesheet.approvalChain = chain;
+    timesheet.submittedAt = new Date();
+
+    if (!timesheet.manager) {
+        timesheet.manager = await resolveManager(timesheet);
+    }
+    timesheet.status = chain.length === 0 ? FINAL_STATUS : chain[0].status;
+    await timesheet.save();
+
+    const history = { action: 'submit', actor: actor || timesheet.employee };
+    if (isPeriod(timesheet)) {
+        const openStatuses = await Timesheet.distinct('status', {
+            period: timesheet._id,
+            status: { $nin: ['approved', FINAL_STATUS, 'locked'] }
+        });
+        await syncPeriodEntries(timesheet, openStatuses, history);
+        await Timesheet.updateMany({ period: timesheet._id, submittedAt: null }, { $set: { submittedAt: timesheet.submittedAt } });
+    } else {
+        await timesheetHistory.record(timesheet, { ...history, before });
+    }
+
+    if (chain.length > 0) {
+        await notifyApprovers(chain[0], timesheet, employee && employee.name);
+    }
+    return timesheet;
+}
+
+/**
+ * Record an approve/reject decision at the timesheet's current level and
+ * advance it to the next level, the final status, or 'rejected'.
+ * Throws an httpError when the timesheet is not pending or the
+ * approver may not act on the current level; at a manager level a manager
+ * may only act on their own team's timesheets.
+ */
+async function recordDecision(timesheet, approver, approve, remarks) {
+    const chain = await getChainForTimesheet(timesheet);
+    const level = getCurrentLevel(chain, timesheet.status);
+    if (!level) {
+        throw httpError(400, `Timesheet is not awaiting approval (status: ${timesheet.status})`);
+    }
+
+    if (!canActOnLevel(approver, level)) {
+        throw httpError(403, `This timesheet is awaiting ${level.display} approval`);
+    }
+
+    if (approver.role !== 'admin' && String(timesheet.employee) === String(approver._id)) {
+        throw httpError(403, 'You cannot approve your own timesheet');
+    }
+
+    if (level.role === 'manager' && approver.role === 'manager' && !(await managesTimesheet(approver, timesheet))) {
+        throw httpError(403, 'Timesheet is not from your team');
+    }
+
+    const approval = await Approval.create({
+        [isPeriod(timesheet) ? 'period' : 'timesheet']: timesheet._id,
+        approver: approver._id,
+        level: level.key,
+        action: approve ? 'approve' : 'reject',
+        comments: remarks
+    });
+
+    const before = isPeriod(timesheet) ? null : timesheetHistory.snapshot(timesheet);
+    if (!timesheet.approvalChain || timesheet.approvalChain.length === 0) {
+        timesheet.approvalChain = chain;
+    }
+    timesheet.approvals.push(approval._id);
+    if (remarks) timesheet.managerRemarks = remarks;
+
+    const previousStatus = timesheet.status;
+    const nextLevel = approve ? getNextLevel(chain, level) : null;
+    if (!approve) {
+        timesheet.status = 'rejected';
+    } else if (nextLevel) {
+        timesheet.status = nextLevel.status;
+    } else {
+        timesheet.status = FINAL_STATUS;
+    }
+
+    try {
+        await timesheet.save();
+    } catch (err) {
+        // keep the trail free of decisions that never took effect
+        await Approval.deleteOne({ _id: approval._id });
+        throw err;
+    }
+
+    const history = { action: approve ? 'approve' : 'reject', actor: approver, level: level.key, remarks };
+    if (isPeriod(timesheet)) {
+        await syncPeriodEntries(timesheet, [previousStatus], history);
+    } else {
+        await timesheetHistory.record(timesheet, { ...history, before });
+    }
+
+    if (nextLevel) {
+        const employee = await User.findById(timesheet.employee).select('name');
+        await notifyApprovers(nextLevel, timesheet, employee && employee.name);
+    } else {
+        await Notification.create({
+            user: timesheet.employee,
+            type: approve ? 'timesheet_approved' : 'timesheet_rejected',
+            title: approve ? '✅ Timesheet Approved' : '❌ Timesheet Rejected',
+            body: approve ?
+                `Your timesheet for ${describe(timesheet)} has been fully approved` : `Your timesheet for ${describe(timesheet)} was rejected at ${level.display} level${remarks ? `: ${remarks}` : ''}`,
+            meta: {
+                ...subjectMeta(timesheet),
+                level: level.key,
+                approverId: approver._id,
+                approverName: approver.name,
+                remarks
+            }
+        });
+    }
+
+    return { timesheet, approval, level, nextLevel };
+}
+
+module.exports = {
+    FINAL_STATUS,
+    normalizeDepartment,
+    seedDefaultLevels,
+    syncLevelIndexes,
+    getChain,
+    getChainForTimesheet,
+    getCurrentLevel,
+    getNextLevel,
+    canActOnLevel,
+    managesTimesheet,
+    getStatusesForRole,
+    resolveManager,
+    isPeriod,
+    startApproval,
+    recordDecision
+};
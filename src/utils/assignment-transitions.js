@@ -0,0 +1,390 @@
+/**
+ * Assignment Transitions
+ * The state machine of a task assignment: which status can follow which and
+ * who may make the move, the guards a move must pass, the fields it sets and
+ * its side effects (proof and review records, notifications). Every route that
+ * changes Task.assignments[].status goes through transition().
+ */
+
+const Notification = require('../models/Notification');
+const Project = require('../models/Project');
+const ProofSubmission = require('../models/ProofSubmission');
+const Review = require('../models/Review');
+const TaskApproval = require('../models/TaskApproval');
+const User = require('../models/User');
+const httpError = require('./http-error');
+const proofVersions = require('./proof-versions');
+const reviewQuality = require('./review-quality');
+const reworkEscalation = require('./rework-escalation');
+const taskDependencies = require('./task-dependencies');
+
+// in board order
+const ASSIGNMENT_STATUSES = ['assigned', 'in_progress', 'submitted', 'pending_review', 'approved', 'defect_found', 'rework_required', 'completed'];
+
+const STATUS_LABELS = {
+    assigned: 'Assigned',
+    in_progress: 'In Progress',
+    submitted: 'Submitted',
+    pending_review: 'Pending Review',
+    approved: 'Approved',
+    defect_found: 'Defect Found',
+    rework_required: 'Rework Required',
+    completed: 'Completed'
+};
+
+const EVERYONE = ['employee', 'manager', 'admin'];
+const ASSIGNEE = ['employee'];
+const REVIEWERS = ['manager', 'admin'];
+
+// from -> { to: roles that may make the move }
+const TRANSITIONS = {
+    assigned: { in_progress: EVERYONE },
+    in_progress: { submitted: ASSIGNEE, pending_review: ASSIGNEE },
+    // legacy completion flow (POST /api/tasks/:id/complete)
+    submitted: { completed: REVIEWERS, in_progress: REVIEWERS },
+    pending_review: { approved: REVIEWERS, defect_found: REVIEWERS, rework_required: REVIEWERS, completed: REVIEWERS },
+    defect_found: { rework_required: REVIEWERS, in_progress: EVERYONE },
+    rework_required: { in_progress: EVERYONE, submitted: ASSIGNEE, pending_review: ASSIGNEE },
+    // a defect can still be found after approval
+    approved: { completed: REVIEWERS, rework_required: REVIEWERS },
+    completed: { rework_required: REVIEWERS }
+};
+
+const APPROVED_STATUSES = ['approved', 'completed'];
+const DEFECT_STATUSES = ['defect_found', 'rework_required'];
+
+/**
+ * Statuses an assignment in `from` can move to, optionally only those the role may make
+ */
+function allowedTransitions(from, role) {
+    const moves = TRANSITIONS[from] || {};
+    return Object.keys(moves).filter(to => !role || moves[to].includes(role));
+}
+
+function canTransition(from, to, role) {
+    return allowedTransitions(from, role).includes(to);
+}
+
+/**
+ * Throw a 400 error for an illegal move and a 403 error for a move the role may not make
+ */
+function assertTransition(from, to, role) {
+    if (!ASSIGNMENT_STATUSES.includes(to)) throw httpError(400, `Unknown status "${to}"`);
+    if (!canTransition(from, to)) {
+        throw httpError(400, `Cannot move an assignment from ${STATUS_LABELS[from] || from} to ${STATUS_LABELS[to]}`);
+    }
+    if (role && !canTransition(from, to, role)) {
+        throw httpError(403, `Only ${TRANSITIONS[from][to].join('/')} can move an assignment from ${STATUS_LABELS[from]} to ${STATUS_LABELS[to]}`);
+    }
+}
+
+// ===== GUARDS: checks beyond the transition table, by target status =====
+
+// an escalated assignment waits for the reviewer's decision
+function assertNotEscalated(assignment) {
+    if (assignment.escalation) {
+        throw httpError(409, `Rework limit of ${assignment.maxReworkAttempts} reached - waiting for the project manager's decision`);
+    }
+}
+
+// a review decision on proof (one that records Reviews): approving needs the
+// project's required checklist items ticked and defects are filed under the
+// defect taxonomy, however the move is made (review routes, board, assignment
+// update). Leaves the evaluated checklist and defects on options for the Review.
+async function settleReview(task, assignment, to, options) {
+    const from = assignment.status;
+    if (from !== 'pending_review' && !(APPROVED_STATUSES.includes(from) && DEFECT_STATUSES.includes(to))) return;
+
+    const decision = APPROVED_STATUSES.includes(to) ? 'approved' : 'defect_found';
+    const project = await Project.findById(task.project._id || task.project).select('reviewChecklist');
+    options.reviewChecklist = reviewQuality.evaluateChecklist(reviewQuality.checklistFor(project), options.reviewChecklist, decision);
+    if (decision === 'defect_found') {
+        options.defects = reviewQuality.normalizeDefects(options.defects, options.defectDescription, options.defectSeverity);
+        if (!options.defectDescription && options.defects.length > 0) {
+            options.defectDescription = reviewQuality.describeDefects(options.defects);
+        }
+    }
+}
+
+const GUARDS = {
+    async in_progress(task, assignment) {
+        assertNotEscalated(assignment);
+        if (assignment.status === 'assigned') await taskDependencies.assertNotBlocked(task);
+    },
+    async submitted(task, assignment, options) {
+        assertNotEscalated(assignment);
+        if (!options.submittedData) throw httpError(400, 'Submit the completion form to mark the task submitted');
+        await taskDependencies.assertNotBlocked(task);
+    },
+    async pending_review(task, assignment, options) {
+        assertNotEscalated(assignment);
+        if (!options.proofSubmission && !options.proof) throw httpError(400, 'Submit proof of work to send the task for review');
+        await taskDependencies.assertNotBlocked(task);
+    },
+    async approved(task, assignment, options) {
+        await settleReview(task, assignment, 'approved', options);
+    },
+    async completed(task, assignment, options) {
+        await settleReview(task, assignment, 'completed', options);
+    },
+    async defect_found(task, assignment, options) {
+        await settleReview(task, assignment, 'defect_found', options);
+        if (!options.defectDescription) throw httpError(400, 'Defect description is required');
+    },
+    async rework_required(task, assignment, options) {
+        await settleReview(task, assignment, 'rework_required', options);
+        if (!options.defectDescription && assignment.status !== 'defect_found') {
+            throw httpError(400, 'Defect description is required');
+        }
+    }
+};
+
+// ===== FIELDS: what a move sets on the assignment besides its status =====
+
+function applyFields(assignment, from, to, options) {
+    const now = new Date();
+    const previous = assignment.reviewCycle || {};
+    const reviewer = options.actor ? options.actor._id : undefined;
+
+    if (to === 'submitted') {
+        assignment.submittedAt = now;
+        assignment.submittedData = options.submittedData;
+    }
+
+    if (to === 'pending_review') {
+        assignment.submittedAt = now;
+        if (options.proofSubmission) assignment.proofSubmission = options.proofSubmission;
+        assignment.reviewCycle = {
+            reviewStatus: 'pending_review',
+            defectCount: previous.defectCount || 0,
+            reworkRequired: false
+        };
+    }
+
+    if (APPROVED_STATUSES.includes(to)) {
+        assignment.progress = 100;
+        assignment.finalApprovedAt = assignment.finalApprovedAt || now;
+        assignment.reviewCycle = {
+            reviewedBy: reviewer,
+            reviewStatus: 'approved',
+            managerComments: options.comments || 'Approved',
+            reviewedAt: now,
+            defectCount: previous.defectCount || 0,
+            reworkRequired: false
+        };
+    }
+
+    // a defect counts once, even when it goes defect_found -> rework_required
+    if (DEFECT_STATUSES.includes(to) && from !== 'defect_found') {
+        assignment.reworkAttempts = (assignment.reworkAttempts || 0) + 1;
+        assignment.finalApprovedAt = undefined;
+        assignment.reviewCycle = {
+            reviewedBy: reviewer,
+            reviewStatus: 'defect_found',
+            managerComments: options.comments || 'Defects found - rework required',
+            defectDescription: options.defectDescription,
+            reviewedAt: now,
+            defectCount: (previous.defectCount || 0) + 1,
+            reworkRequired: true
+        };
+        // the employee submits fresh proof
+        assignment.proofSubmission = null;
+    }
+}
+
+// ===== SIDE EFFECTS =====
+
+/**
+ * Close the employee's pending proof submissions for the task with the review
+ * decision and record a Review for each. A defect found after approval reopens
+ * the latest approved proof instead. Returns the reviews created.
+ */
+async function resolveProofs(task, assignment, from, to, options) {
+    const decision = APPROVED_STATUSES.includes(to) ? 'approved' : 'defect_found';
+    const proofs = await ProofSubmission.find({ task: task._id, employee: assignment.employee, reviewDecision: 'pending' });
+    if (options.proof && !proofs.some(p => String(p._id) === String(options.proof._id))) proofs.push(options.proof);
+    if (proofs.length === 0 && APPROVED_STATUSES.includes(from) && decision === 'defect_found') {
+        const approved = await ProofSubmission.findOne({ task: task._id, employee: assignment.employee, reviewDecision: 'approved' })
+            .sort({ version: -1, submittedAt: -1 });
+        if (approved) proofs.push(approved);
+    }
+
+    const now = new Date();
+    const reviews = [];
+    for (const proof of proofs) {
+        proof.reviewDecision = decision;
+        proof.submissionStatus = decision === 'approved' ? 'approved' : 'rejected';
+        proof.reviewedBy = options.actor._id;
+        proof.reviewedAt = now;
+        proof.managerComments = options.comments;
+        if (decision === 'approved') {
+            proof.isApproved = true;
+            proof.finalApprovedAt = now;
+        } else {
+            proof.isApproved = false;
+            proof.finalApprovedAt = null;
+            proof.defectDescription = options.defectDescription;
+            proof.defectCount += 1;
+            proof.reworkRequired = true;
+            proof.reworkAttempts += 1;
+        }
+        const review = await Review.create({
+            proof: proof._id,
+            task: task._id,
+            employee: assignment.employee,
+            project: task.project._id || task.project,
+            reviewedBy: options.actor._id,
+            reviewerRole: options.actor.role,
+            decision,
+            comments: options.comments && options.comments.length >= 5 ? options.comments :
+                (decision === 'approved' ? 'Approved' : 'Defects found - rework required'),
+            defectDescription: decision === 'defect_found' ? options.defectDescription : null,
+            defects: decision === 'defect_found' ? options.defects || [] : [],
+            defectSeverity: decision === 'defect_found' && options.defects && options.defects.length ?
+                reviewQuality.worstSeverity(options.defects) : undefined,
+            checklist: options.reviewChecklist || [],
+            requiresRework: decision === 'defect_found',
+            taskStatusAfterReview: decision === 'approved' ? 'completed' : 'rework_required'
+        });
+        proof.review = review._id;
+        await proof.save({ validateBeforeSave: false });
+        reviews.push(review);
+    }
+    return reviews;
+}
+
+/**
+ * Notifications for a move: the reviewers hear about submissions, the
+ * employee hears about review outcomes
+ */
+async function notify(task, assignment, from, to, options) {
+    const actorName = options.actor ? options.actor.name : 'Someone';
+    const meta = {
+        taskId: task._id,
+        taskTitle: task.title,
+        employeeId: assignment.employee,
+        actorId: options.actor ? options.actor._id : null,
+        from,
+        to,
+        comments: options.comments,
+        defectDescription: options.defectDescription
+    };
+
+    if (to === 'submitted' || to === 'pending_review') {
+        const project = await Project.findById(task.project._id || task.project).select('manager');
+        const admins = to === 'pending_review' ? await User.find({ role: 'admin' }).select('_id') : [];
+        const recipients = [...new Set([project && project.manager, ...admins.map(a => a._id)].filter(Boolean).map(String))];
+        const resubmitted = from === 'rework_required';
+        await Notification.insertMany(recipients.map(user => ({
+            user,
+            type: to === 'submitted' ? 'task_completed' : (resubmitted ? 'proof_resubmitted' : 'task_proof_submitted'),
+            title: to === 'submitted' ? 'Task Completion Submitted' : (resubmitted ? 'Rework Completed - Resubmitted' : 'Task Proof Submitted for Review'),
+            body: `${actorName} ${resubmitted ? 'resubmitted' : 'submitted'} "${task.title}" for review`,
+            meta
+        })));
+        return;
+    }
+
+    // the proof review page lists proof_* notifications
+    const viaProof = !!options.proof;
+    if (APPROVED_STATUSES.includes(to) && !APPROVED_STATUSES.includes(from)) {
+        await Notification.create({
+            user: assignment.employee,
+            type: viaProof ? 'proof_approved' : 'task_approved',
+            title: '✅ Task Approved!',
+            body: `Your task "${task.title}" has been approved by ${actorName}`,
+            meta
+        });
+    } else if (DEFECT_STATUSES.includes(to) && from !== 'defect_found') {
+        await Notification.create({
+            user: assignment.employee,
+            type: viaProof ? 'proof_rejected' : 'task_rework_requested',
+            title: '🔧 Defect Found - Rework Required',
+            body: `Your task "${task.title}" requires rework. Defect count: ${assignment.reviewCycle.defectCount}. Reason: ${options.defectDescription}`,
+            meta: { ...meta, defectCount: assignment.reviewCycle.defectCount }
+        });
+    } else if (to === 'in_progress' && from === 'submitted') {
+        await Notification.create({
+            user: assignment.employee,
+            type: 'task_rejected',
+            title: 'Task Rejected',
+            body: `Your task "${task.title}" was rejected. Please review and resubmit.`,
+            meta
+        });
+    }
+}
+
+/**
+ * Move the employee's assignment on a task to a new status.
+ * Checks the move against the table and the actor's role, runs the guards,
+ * sets the fields that go with the new status, saves the task, then records
+ * the review (Review records for proofs, TaskApproval for the legacy flow)
+ * and sends notifications. A move to pending_review numbers the proof as the
+ * assignment's next version; a defect that reaches the rework limit escalates
+ * the assignment (utils/rework-escalation).
+ * options: { actor (user), comments, defectDescription, submittedData,
+ *   proofSubmission (embedded proof), proof (ProofSubmission document),
+ *   defects, defectSeverity and reviewChecklist (the reviewer's ticks; see
+ *   utils/review-quality, kept on the Review) }
+ * Returns { task, assignment, from, to, reviews, escalation }.
+ */
+async function transition(task, employeeId, to, options = {}) {
+    const assignment = task.assignments.find(a => String(a.employee._id || a.employee) === String(employeeId));
+    if (!assignment) throw httpError(404, 'Assignment not found');
+
+    const from = assignment.status;
+    assertTransition(from, to, options.actor && options.actor.role);
+    if (GUARDS[to]) await GUARDS[to](task, assignment, options);
+
+    applyFields(assignment, from, to, options);
+    assignment.status = to;
+
+    // each submitted proof becomes the next numbered version; proof.js saves
+    // its own ProofSubmission, an embedded proof gets one here
+    let versionToSave = null;
+    if (to === 'pending_review') {
+        if (options.proof) {
+            await proofVersions.stampVersion(options.proof);
+        } else if (options.proofSubmission) {
+            versionToSave = await proofVersions.buildEmbeddedProof(task, assignment, options.proofSubmission);
+        }
+        assignment.proofVersion = (options.proof || versionToSave).version;
+    }
+    await task.save();
+    // links and notes were checked by the submitting route
+    if (versionToSave) await versionToSave.save({ validateBeforeSave: false });
+
+    let reviews = [];
+    if (from === 'submitted') {
+        // legacy completion flow keeps its own approval records
+        await TaskApproval.create({
+            task: task._id,
+            employee: assignment.employee,
+            approver: options.actor._id,
+            action: to === 'completed' ? 'approved' : 'rejected',
+            comments: options.comments || '',
+            approvalDate: new Date()
+        });
+    } else if (from === 'pending_review' || (APPROVED_STATUSES.includes(from) && DEFECT_STATUSES.includes(to))) {
+        reviews = await resolveProofs(task, assignment, from, to, options);
+    }
+    await notify(task, assignment, from, to, options);
+
+    // a defect that brings the assignment to its rework limit escalates it
+    let escalation = null;
+    if (DEFECT_STATUSES.includes(to) && from !== 'defect_found') {
+        escalation = await reworkEscalation.checkReworkLimit(task, assignment, options.actor);
+    }
+
+    return { task, assignment, from, to, reviews, escalation };
+}
+
+module.exports = {
+    ASSIGNMENT_STATUSES,
+    STATUS_LABELS,
+    TRANSITIONS,
+    allowedTransitions,
+    canTransition,
+    assertTransition,
+    transition
+};
@@ -0,0 +1,190 @@
+/**
+ * Billing
+ * Resolves the hourly rate for a timesheet entry (effective-dated rates per
+ * project, designation or employee) and turns approved billable hours into
+ * per-client invoice data with line items per project and task
+ */
+
+const config = require('../config/billing');
+const BillingRate = require('../models/BillingRate');
+const Project = require('../models/Project');
+const Timesheet = require('../models/Timesheet');
+const shiftHours = require('./shift-hours');
+
+// a rate for the employee beats one for the project, which beats one for the designation
+const SPECIFICITY = { employee: 4, project: 2, designation: 1 };
+const NO_CLIENT = 'No client';
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function specificity(rate) {
+    return Object.keys(SPECIFICITY).reduce((sum, field) => sum + (rate[field] ? SPECIFICITY[field] : 0), 0);
+}
+
+/**
+ * Whether a rate covers work by an employee on a project on a YYYY-MM-DD day
+ */
+function rateApplies(rate, { employeeId, projectId, designation, day }) {
+    if (rate.employee && String(rate.employee) !== String(employeeId)) return false;
+    if (rate.project && String(rate.project) !== String(projectId)) return false;
+    if (rate.designation && (!designation || rate.designation.toLowerCase() !== designation.trim().toLowerCase())) return false;
+
+    const from = shiftHours.dateOnly(rate.effectiveFrom);
+    const to = rate.effectiveTo ? shiftHours.dateOnly(rate.effectiveTo) : null;
+    return from <= day && (!to || day <= to);
+}
+
+/**
+ * The rate that applies, or null: most specific first, then the most recent effectiveFrom
+ */
+function resolveRate(rates, context) {
+    const matching = rates.filter(rate => rateApplies(rate, context));
+    matching.sort((a, b) => specificity(b) - specificity(a) || new Date(b.effectiveFrom) - new Date(a.effectiveFrom));
+    return matching[0] || null;
+}
+
+/**
+ * Rates in effect at any time between two dates
+ */
+function loadRates(fromDate, toDate) {
+    return BillingRate.find({
+        effectiveFrom: { $lte: toDate },
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gte: fromDate } }]
+    }).lean();
+}
+
+/**
+ * Entry setting first, then the project's, billable by default
+ */
+function isBillable(timesheet) {
+    if (typeof timesheet.billable === 'boolean') return timesheet.billable;
+    if (timesheet.project && typeof timesheet.project.billable === 'boolean') return timesheet.project.billable;
+    return true;
+}
+
+/**
+ * Invoice data for approved hours between two YYYY-MM-DD days (inclusive),
+ * optionally for one client (Project.client.name) or one project, and only
+ * for the projects of managerId when given.
+ * Hours with no matching rate are listed with rate null so they can be fixed
+ * before invoicing.
+ */
+async function buildInvoices({ from, to, client, projectId, managerId }) {
+    const fromDate = new Date(`${from}T00:00:00Z`);
+    const toDate = new Date(`${to}T23:59:59.999Z`);
+
+    const query = {
+        status: { $in: config.billableStatuses },
+        date: { $gte: fromDate, $lte: toDate },
+        project: { $ne: null }
+    };
+    const scope = managerId ? { manager: managerId } : {};
+    if (projectId) {
+        scope._id = projectId;
+    } else if (client) {
+        scope['client.name'] = client;
+    }
+    if (Object.keys(scope).length > 0) {
+        const projects = await Project.find(scope).select('_id');
+        query.project = { $in: projects.map(p => p._id) };
+    }
+
+    const [timesheets, rates] = await Promise.all([
+        Timesheet.find(query)
+            .populate('project', 'name client billable')
+            .populate('task', 'title')
+            .populate('employee', 'name designation')
+            .lean(),
+        loadRates(fromDate, toDate)
+    ]);
+
+    const invoices = {};
+    timesheets.forEach(ts => {
+        if (!ts.project) return;
+        const clientInfo = ts.project.client || {};
+        const clientName = clientInfo.name || NO_CLIENT;
+        if (client && clientName !== client) return;
+
+        const invoice = invoices[clientName] = invoices[clientName] || {
+            client: { name: clientName, email: clientInfo.email, address: clientInfo.address },
+            currency: config.currency,
+            from,
+            to,
+            lines: {},
+            totalHours: 0,
+            totalAmount: 0,
+            nonBillableHours: 0,
+            unratedHours: 0
+        };
+
+        const hours = ts.totalHours || 0;
+        if (!isBillable(ts)) {
+            invoice.nonBillableHours += hours;
+            return;
+        }
+
+        const rate = resolveRate(rates, {
+            employeeId: ts.employee && ts.employee._id,
+            projectId: ts.project._id,
+            designation: ts.employee && ts.employee.designation,
+            day: shiftHours.dateOnly(ts.date)
+        });
+        const hourlyRate = rate ? rate.rate : null;
+
+        // one line per project, task and rate
+        const key = `${ts.project._id}|${ts.task ? ts.task._id : ''}|${hourlyRate}`;
+        const line = invoice.lines[key] = invoice.lines[key] || {
+            projectId: ts.project._id,
+            project: ts.project.name,
+            taskId: ts.task ? ts.task._id : null,
+            task: ts.task ? ts.task.title : 'General',
+            rate: hourlyRate,
+            hours: 0,
+            amount: 0
+        };
+        line.hours += hours;
+        line.amount += hours * (hourlyRate || 0);
+
+        invoice.totalHours += hours;
+        invoice.totalAmount += hours * (hourlyRate || 0);
+        if (hourlyRate === null) invoice.unratedHours += hours;
+    });
+
+    const result = Object.values(invoices).map(invoice => {
+        const lineItems = Object.values(invoice.lines)
+            .map(line => ({ ...line, hours: round(line.hours), amount: round(line.amount) }))
+            .sort((a, b) => a.project.localeCompare(b.project) || a.task.localeCompare(b.task));
+
+        const projects = {};
+        lineItems.forEach(line => {
+            const key = String(line.projectId);
+            projects[key] = projects[key] || { projectId: line.projectId, project: line.project, hours: 0, amount: 0 };
+            projects[key].hours = round(projects[key].hours + line.hours);
+            projects[key].amount = round(projects[key].amount + line.amount);
+        });
+
+        return {
+            client: invoice.client,
+            currency: invoice.currency,
+            from: invoice.from,
+            to: invoice.to,
+            lineItems,
+            projects: Object.values(projects),
+            totalHours: round(invoice.totalHours),
+            totalAmount: round(invoice.totalAmount),
+            nonBillableHours: round(invoice.nonBillableHours),
+            unratedHours: round(invoice.unratedHours)
+        };
+    }).sort((a, b) => a.client.name.localeCompare(b.client.name));
+
+    return { currency: config.currency, from, to, invoices: result };
+}
+
+module.exports = {
+    loadRates,
+    resolveRate,
+    isBillable,
+    buildInvoices
+};
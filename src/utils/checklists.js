@@ -0,0 +1,143 @@
+/**
+ * Checklists
+ * Checklist items (subtasks) inside a task, each with an optional assignee and
+ * a done flag. An assignment's progress is the share of done items among the
+ * items of that employee plus the unassigned ones.
+ */
+
+const httpError = require('./http-error');
+
+// reviewed or finished assignments keep 100%
+const FINISHED_STATUSES = ['approved', 'completed'];
+
+function idOf(ref) {
+    return ref ? String(ref._id || ref) : null;
+}
+
+/**
+ * Items an employee works on: theirs and the unassigned ones
+ */
+function itemsFor(checklist, employeeId) {
+    return (checklist || []).filter(item => !item.assignee || idOf(item.assignee) === String(employeeId));
+}
+
+/**
+ * Percent of an employee's items that are done, or null when they have none
+ */
+function progressFor(checklist, employeeId) {
+    const items = itemsFor(checklist, employeeId);
+    if (items.length === 0) return null;
+    return Math.round((items.filter(item => item.done).length / items.length) * 100);
+}
+
+/**
+ * Set each assignment's progress from the checklist (tasks without one keep
+ * the progress typed in)
+ */
+function applyProgress(task) {
+    if (!task.checklist || task.checklist.length === 0) return;
+    (task.assignments || []).forEach(assignment => {
+        if (FINISHED_STATUSES.includes(assignment.status)) return;
+        const progress = progressFor(task.checklist, idOf(assignment.employee));
+        if (progress !== null) assignment.progress = progress;
+    });
+}
+
+function hasChecklist(task) {
+    return !!task.checklist && task.checklist.length > 0;
+}
+
+/**
+ * The assignee of an item must be one of the task's assignees.
+ * Returns the id or null for an unassigned item.
+ */
+function resolveAssignee(task, assignee) {
+    if (!assignee) return null;
+    const id = idOf(assignee);
+    if (!task.assignments.some(a => idOf(a.employee) === id)) {
+        throw httpError(400, 'Checklist items can only be assigned to employees on the task');
+    }
+    return id;
+}
+
+function findItem(task, itemId) {
+    const item = task.checklist.id(itemId);
+    if (!item) throw httpError(404, 'Checklist item not found');
+    return item;
+}
+
+/**
+ * Add items from { title, assignee } or a list of them (strings are titles)
+ */
+function addItems(task, input) {
+    const list = Array.isArray(input) ? input : [input];
+    const added = list.map(entry => {
+        const { title, assignee } = typeof entry === 'string' ? { title: entry } : (entry || {});
+        if (!title || !String(title).trim()) throw httpError(400, 'Checklist item title is required');
+        return {
+            title: String(title).trim(),
+            assignee: resolveAssignee(task, assignee),
+            order: task.checklist.length
+        };
+    });
+    added.forEach(item => task.checklist.push(item));
+    return task.checklist.slice(-added.length);
+}
+
+/**
+ * Change an item's title, assignee or position
+ */
+function updateItem(task, itemId, { title, assignee, order } = {}) {
+    const item = findItem(task, itemId);
+    if (title !== undefined) {
+        if (!String(title).trim()) throw httpError(400, 'Checklist item title is required');
+        item.title = String(title).trim();
+    }
+    if (assignee !== undefined) item.assignee = resolveAssignee(task, assignee);
+    if (order !== undefined) {
+        const others = [...task.checklist].filter(i => i !== item).sort((a, b) => a.order - b.order);
+        const index = Math.max(0, Math.min(Number(order) || 0, others.length));
+        others.splice(index, 0, item);
+        others.forEach((i, n) => { i.order = n; });
+    }
+    return item;
+}
+
+function removeItem(task, itemId) {
+    const item = findItem(task, itemId);
+    task.checklist.pull(item._id);
+    [...task.checklist].sort((a, b) => a.order - b.order).forEach((i, n) => { i.order = n; });
+}
+
+/**
+ * Tick an item off (or back on). Employees may only tick their own items or
+ * unassigned ones, and only while their assignment is still being worked on.
+ */
+function setDone(task, itemId, done, user) {
+    const item = findItem(task, itemId);
+    if (user.role === 'employee') {
+        const assignment = task.assignments.find(a => idOf(a.employee) === String(user._id));
+        if (!assignment) throw httpError(403, 'Task not assigned to you');
+        if (item.assignee && idOf(item.assignee) !== String(user._id)) {
+            throw httpError(403, 'This item is assigned to someone else');
+        }
+        if (!['assigned', 'in_progress', 'defect_found', 'rework_required'].includes(assignment.status)) {
+            throw httpError(400, 'The checklist is locked while the task is under review or done');
+        }
+    }
+    item.done = !!done;
+    item.doneAt = item.done ? new Date() : undefined;
+    item.doneBy = item.done ? user._id : undefined;
+    return item;
+}
+
+module.exports = {
+    itemsFor,
+    progressFor,
+    applyProgress,
+    hasChecklist,
+    addItems,
+    updateItem,
+    removeItem,
+    setDone
+};
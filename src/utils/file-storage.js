@@ -0,0 +1,294 @@
+/**
+ * File Storage
+ * Upload handling for attachments on proofs, leave requests and feedback
+ * messages: content-type and size checks, checksum de-duplication, a
+ * pluggable storage backend (local disk by default, see config/uploads) and
+ * the access rule for downloads, which follows the parent record.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const FileUpload = require('../models/FileUpload');
+const uploadConfig = require('../config/uploads');
+const httpError = require('./http-error');
+const multipart = require('./multipart');
+
+// ===== BACKENDS =====
+
+/**
+ * Local disk backend: files live under dir at their storage key
+ */
+function localDriver(dir) {
+    const fullPath = key => {
+        const resolved = path.resolve(dir, key);
+        if (!resolved.startsWith(path.resolve(dir) + path.sep)) throw httpError(400, 'Invalid storage key');
+        return resolved;
+    };
+    return {
+        async save(key, buffer) {
+            const file = fullPath(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, buffer);
+        },
+        async exists(key) {
+            return fs.promises.access(fullPath(key)).then(() => true, () => false);
+        },
+        createReadStream(key) {
+            return fs.createReadStream(fullPath(key));
+        },
+        async remove(key) {
+            await fs.promises.rm(fullPath(key), { force: true });
+        }
+    };
+}
+
+// name -> () => backend with save/exists/createReadStream/remove
+const driverFactories = {
+    local: () => localDriver(uploadConfig.localDir)
+};
+const driverCache = {};
+
+/**
+ * Add a storage backend (e.g. object storage); select it with UPLOAD_DRIVER
+ */
+function registerDriver(name, factory) {
+    driverFactories[name] = factory;
+    delete driverCache[name];
+}
+
+function getDriver(name = uploadConfig.driver) {
+    if (!driverFactories[name]) throw httpError(500, `Unknown upload driver "${name}"`);
+    if (!driverCache[name]) driverCache[name] = driverFactories[name]();
+    return driverCache[name];
+}
+
+// ===== VALIDATION =====
+
+const SIGNATURES = [
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+    { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] }
+];
+
+/**
+ * MIME type of a file from its first bytes; plain text is anything without
+ * NUL bytes that decodes as UTF-8. Returns null when unknown.
+ */
+function sniffMimeType(buffer) {
+    const match = SIGNATURES.find(sig => sig.bytes.every((b, i) => buffer[i] === b));
+    if (match) return match.mimeType;
+    if (buffer.slice(0, 4).toString('latin1') === 'RIFF' && buffer.slice(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+    const head = buffer.slice(0, 4096);
+    if (buffer.length > 0 && !head.includes(0) && Buffer.from(head.toString('utf8'), 'utf8').equals(head)) return 'text/plain';
+    return null;
+}
+
+/**
+ * Check a parsed file against the size limit and the types allowed for the kind.
+ * Returns the MIME type read from the content.
+ */
+function validateFile(file, kind) {
+    const allowed = uploadConfig.allowedTypes[kind];
+    if (!allowed) throw httpError(400, `Unknown upload kind "${kind}"`);
+    if (file.buffer.length === 0) throw httpError(400, `${file.fileName} is empty`);
+    if (file.buffer.length > uploadConfig.maxFileSize) {
+        throw httpError(413, `${file.fileName} is larger than ${Math.round(uploadConfig.maxFileSize / 1024 / 1024)} MB`);
+    }
+    const mimeType = sniffMimeType(file.buffer);
+    if (!mimeType || !allowed.includes(mimeType)) {
+        throw httpError(415, `${file.fileName}: file type not allowed (allowed: ${allowed.join(', ')})`);
+    }
+    return mimeType;
+}
+
+/**
+ * Attachment category used by the proof models (image, pdf, document, code, other)
+ */
+function fileCategory(mimeType) {
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType === 'application/pdf') return 'pdf';
+    if (mimeType === 'text/plain') return 'document';
+    if (mimeType === 'application/zip') return 'code';
+    return 'other';
+}
+
+// ===== UPLOAD =====
+
+/**
+ * Validate and store parsed files for a kind of record. Identical content is
+ * written once; re-uploading a file the user has not attached yet returns
+ * the existing upload.
+ */
+async function storeFiles(files, kind, user) {
+    if (files.length === 0) throw httpError(400, 'No file uploaded');
+    if (files.length > uploadConfig.maxFiles) throw httpError(400, `At most ${uploadConfig.maxFiles} files per upload`);
+    const checked = files.map(file => ({ ...file, mimeType: validateFile(file, kind) }));
+
+    const driver = getDriver();
+    const uploads = [];
+    for (const file of checked) {
+        const checksum = crypto.createHash('sha256').update(file.buffer).digest('hex');
+        const pending = await FileUpload.findOne({ checksum, kind, uploadedBy: user._id, parent: null });
+        if (pending) {
+            uploads.push(pending);
+            continue;
+        }
+
+        const storageKey = `${checksum.slice(0, 2)}/${checksum}`;
+        const stored = await FileUpload.exists({ checksum, driver: uploadConfig.driver });
+        if (!stored || !(await driver.exists(storageKey))) await driver.save(storageKey, file.buffer);
+
+        uploads.push(await FileUpload.create({
+            originalName: file.fileName,
+            mimeType: file.mimeType,
+            size: file.buffer.length,
+            checksum,
+            storageKey,
+            driver: uploadConfig.driver,
+            kind,
+            uploadedBy: user._id
+        }));
+    }
+    return uploads;
+}
+
+/**
+ * Read a multipart request and store its files (any field name).
+ * Returns { fields, uploads }.
+ */
+async function receiveUploads(req, kind) {
+    const { fields, files } = await multipart.parseMultipart(req, {
+        maxBytes: uploadConfig.maxFileSize * uploadConfig.maxFiles + 1024 * 1024
+    });
+    const uploads = await storeFiles(files, kind, req.user);
+    return { fields, uploads };
+}
+
+/**
+ * Attachment entry stored on a parent record
+ */
+function toAttachment(upload) {
+    return {
+        file: upload._id,
+        fileName: upload.originalName,
+        fileUrl: `/api/files/${upload._id}`,
+        fileType: fileCategory(upload.mimeType),
+        mimeType: upload.mimeType,
+        size: upload.size,
+        uploadedAt: upload.createdAt
+    };
+}
+
+/**
+ * Look up the user's unattached uploads for a kind by id (from a request body)
+ * and their attachment entries. Throws 400 for unknown or foreign ids.
+ */
+async function prepareAttachments(ids, kind, user) {
+    const list = (Array.isArray(ids) ? ids : [ids]).filter(Boolean).map(String);
+    if (list.length === 0) return { uploads: [], attachments: [] };
+    if (list.some(id => !mongoose.Types.ObjectId.isValid(id))) throw httpError(400, 'Invalid attachment id');
+
+    const uploads = await FileUpload.find({ _id: { $in: list }, kind, uploadedBy: user._id, parent: null });
+    if (uploads.length !== new Set(list).size) {
+        throw httpError(400, 'Attachments must be your own unattached uploads of this kind');
+    }
+    return { uploads, attachments: uploads.map(toAttachment) };
+}
+
+/**
+ * Mark uploads as attached to their parent record
+ */
+async function linkAttachments(uploads, parentModel, parentId) {
+    if (uploads.length === 0) return;
+    await FileUpload.updateMany({ _id: { $in: uploads.map(u => u._id) } }, { parentModel, parent: parentId });
+}
+
+/**
+ * Fresh unattached copies of uploads for another parent record (the same
+ * file sent to several recipients); the stored content is shared
+ */
+async function copyUploads(uploads) {
+    return FileUpload.insertMany(uploads.map(u => {
+        const { _id, parent, parentModel, ...copy } = u.toObject();
+        return copy;
+    }));
+}
+
+// ===== DOWNLOAD =====
+
+function sameId(a, b) {
+    return !!a && !!b && String(a._id || a) === String(b._id || b);
+}
+
+async function isProjectManager(projectId, user) {
+    if (user.role !== 'manager') return false;
+    const project = await mongoose.model('Project').findById(projectId).select('manager');
+    return !!project && sameId(project.manager, user._id);
+}
+
+// who may see a parent record, by model; admins see everything
+const PARENT_ACCESS = {
+    async ProofSubmission(id, user) {
+        const proof = await mongoose.model('ProofSubmission').findById(id).select('employee project');
+        return !!proof && (sameId(proof.employee, user._id) || isProjectManager(proof.project, user));
+    },
+    async Task(id, user) {
+        const task = await mongoose.model('Task').findById(id).select('assignments.employee project');
+        return !!task && (task.assignments.some(a => sameId(a.employee, user._id)) || isProjectManager(task.project, user));
+    },
+    // managers review every leave request (GET /api/leave/all)
+    async LeaveRequest(id, user) {
+        const leave = await mongoose.model('LeaveRequest').findById(id).select('employee');
+        return !!leave && (sameId(leave.employee, user._id) || user.role === 'manager');
+    },
+    // managers may read any thread (GET /api/feedback-threads/thread/:id/messages)
+    async FeedbackMessage(id, user) {
+        const message = await mongoose.model('FeedbackMessage').findById(id).populate('thread', 'sender receiver');
+        if (!message || !message.thread) return false;
+        return sameId(message.thread.sender, user._id) || sameId(message.thread.receiver, user._id) || user.role === 'manager';
+    }
+};
+
+/**
+ * Whether the user may download an upload: its uploader, admins, and anyone
+ * who can see the record it is attached to
+ */
+async function canAccess(upload, user) {
+    if (user.role === 'admin' || sameId(upload.uploadedBy, user._id)) return true;
+    if (!upload.parent || !PARENT_ACCESS[upload.parentModel]) return false;
+    return PARENT_ACCESS[upload.parentModel](upload.parent, user);
+}
+
+function openStream(upload) {
+    return getDriver(upload.driver).createReadStream(upload.storageKey);
+}
+
+/**
+ * Delete an upload; its content goes when no other upload shares it
+ */
+async function removeUpload(upload) {
+    await FileUpload.deleteOne({ _id: upload._id });
+    const shared = await FileUpload.exists({ checksum: upload.checksum, driver: upload.driver });
+    if (!shared) await getDriver(upload.driver).remove(upload.storageKey);
+}
+
+module.exports = {
+    registerDriver,
+    getDriver,
+    sniffMimeType,
+    validateFile,
+    fileCategory,
+    storeFiles,
+    receiveUploads,
+    toAttachment,
+    prepareAttachments,
+    linkAttachments,
+    copyUploads,
+    canAccess,
+    openStream,
+    removeUpload
+};
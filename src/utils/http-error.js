@@ -0,0 +1,16 @@
+/**
+ * HTTP Error
+ * Errors thrown by the utils carry the HTTP status the route should respond
+ * with; routes answer `if (err.status) return res.status(err.status).json({ message: err.message })`
+ */
+
+/**
+ * Build an error carrying the HTTP status the route should respond with
+ */
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+module.exports = httpError;
@@ -0,0 +1,131 @@
+/**
+ * Kanban
+ * Per-project board of task assignments with one column per assignment
+ * status, persisted card order (Task.assignments[].boardOrder) and optional
+ * WIP limits per column (Project.wipLimits)
+ */
+
+const Task = require('../models/Task');
+const transitions = require('./assignment-transitions');
+const httpError = require('./http-error');
+const taskDependencies = require('./task-dependencies');
+
+/**
+ * WIP limits of a project as a plain object (the field is a Map on documents)
+ */
+function wipLimitsOf(project) {
+    const limits = project.wipLimits || {};
+    return limits instanceof Map ? Object.fromEntries(limits) : limits;
+}
+
+function cardOrder(a, b) {
+    return (a.assignment.boardOrder || 0) - (b.assignment.boardOrder || 0) ||
+        new Date(a.task.createdAt) - new Date(b.task.createdAt);
+}
+
+/**
+ * Board of a project: { columns: [{ status, label, wipLimit, count, overLimit, cards }] }.
+ * Cancelled tasks are left out.
+ */
+async function getBoard(project) {
+    const tasks = await Task.find({ project: project._id, status: { $ne: 'cancelled' } })
+        .populate('assignments.employee', 'name email')
+        .lean();
+    await taskDependencies.annotateBlocked(tasks);
+
+    const limits = wipLimitsOf(project);
+    const columns = transitions.ASSIGNMENT_STATUSES.map(status => ({
+        status,
+        label: transitions.STATUS_LABELS[status],
+        wipLimit: limits[status] || null,
+        cards: []
+    }));
+    const byStatus = new Map(columns.map(c => [c.status, c]));
+
+    tasks.forEach(task => {
+        (task.assignments || []).forEach(assignment => {
+            const column = byStatus.get(assignment.status);
+            if (column) column.cards.push({ task, assignment });
+        });
+    });
+
+    columns.forEach(column => {
+        column.cards = column.cards.sort(cardOrder).map(({ task, assignment }) => ({
+            taskId: task._id,
+            title: task.title,
+            employee: assignment.employee,
+            status: assignment.status,
+            progress: assignment.progress || 0,
+            deadline: assignment.deadline,
+            priority: task.priority,
+            dueDate: task.dueDate,
+            blocked: task.blocked,
+            boardOrder: assignment.boardOrder || 0
+        }));
+        column.count = column.cards.length;
+        column.overLimit = !!column.wipLimit && column.count > column.wipLimit;
+    });
+
+    return { project: { _id: project._id, name: project.name }, columns };
+}
+
+/**
+ * Move an assignment card to a column (status) and/or position.
+ * A status change goes through the assignment state machine and must not
+ * exceed the target column's WIP limit; comments, defectDescription, defects
+ * and checklist (review checklist ticks) are passed on for review moves.
+ * position is the 0-based index in the target column (default: the end).
+ * Returns the task with the moved assignment.
+ */
+async function moveCard(project, taskId, employeeId, { status, position, comments, defectDescription, defects, checklist } = {}, user) {
+    const tasks = await Task.find({ project: project._id, status: { $ne: 'cancelled' } });
+    const task = tasks.find(t => String(t._id) === String(taskId));
+    if (!task) throw httpError(404, 'Task not found on this board');
+
+    const assignment = task.assignments.find(a => String(a.employee) === String(employeeId));
+    if (!assignment) throw httpError(404, 'Assignment not found');
+
+    const target = status || assignment.status;
+    if (target !== assignment.status) {
+        transitions.assertTransition(assignment.status, target, user.role);
+
+        const limit = wipLimitsOf(project)[target];
+        const inColumn = tasks.reduce((n, t) => n + t.assignments.filter(a => a.status === target).length, 0);
+        if (limit && inColumn >= limit) {
+            throw httpError(409, `WIP limit of ${limit} reached for ${transitions.STATUS_LABELS[target]}`);
+        }
+        await transitions.transition(task, employeeId, target, {
+            actor: user,
+            comments,
+            defectDescription,
+            defects,
+            reviewChecklist: checklist
+        });
+    }
+
+    // renumber the target column with the card at its new position
+    const column = [];
+    tasks.forEach(t => t.assignments.forEach(a => {
+        if (a.status === target && a !== assignment) column.push({ task: t, assignment: a });
+    }));
+    column.sort(cardOrder);
+    const index = Number.isInteger(Number(position)) ? Math.max(0, Math.min(Number(position), column.length)) : column.length;
+    column.splice(index, 0, { task, assignment });
+
+    const changed = new Set([task]);
+    column.forEach((card, i) => {
+        if (card.assignment.boardOrder !== i) {
+            card.assignment.boardOrder = i;
+            changed.add(card.task);
+        }
+    });
+    await Promise.all([...changed].map(t => t.save()));
+
+    return task;
+}
+
+module.exports = {
+    wipLimitsOf,
+    getBoard,
+    moveCard
+};
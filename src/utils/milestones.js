@@ -0,0 +1,73 @@
+/**
+ * Milestones
+ * Works out each project milestone's progress and status from the
+ * assignments of the tasks attached to it
+ */
+
+const Task = require('../models/Task');
+
+// assignment statuses that count as delivered
+const DONE_STATUSES = ['approved', 'completed'];
+
+/**
+ * Progress of one milestone given the tasks attached to it. An open task
+ * nobody is assigned to yet counts as work not started. A milestone with no
+ * tasks other than cancelled ones is 'empty' and does not hold up the project.
+ */
+function milestoneProgress(milestone, tasks, now = new Date()) {
+    const open = tasks.filter(t => t.status !== 'cancelled');
+    const assignments = open.flatMap(t => t.assignments || []);
+    const unassigned = open.filter(t => !(t.assignments || []).length).length;
+    const total = assignments.length + unassigned;
+    const done = assignments.filter(a => DONE_STATUSES.includes(a.status));
+    const started = assignments.some(a => a.status !== 'assigned' || (a.progress || 0) > 0);
+
+    let status = 'pending';
+    if (open.length === 0) status = 'empty';
+    else if (done.length === total) status = 'completed';
+    else if (done.length > 0 || started) status = 'in_progress';
+
+    const finishedAt = done.map(a => a.finalApprovedAt).filter(Boolean).sort((a, b) => b - a)[0];
+
+    return {
+        _id: milestone._id,
+        name: milestone.name,
+        description: milestone.description,
+        dueDate: milestone.dueDate,
+        order: milestone.order,
+        status,
+        taskCount: tasks.length,
+        assignmentCount: assignments.length,
+        tasksWithoutAssignee: unassigned,
+        completedAssignments: done.length,
+        percent: total ? Math.round((done.length / total) * 100) : 0,
+        completedAt: status === 'completed' ? finishedAt || null : null,
+        overdue: status !== 'completed' && status !== 'empty' && !!milestone.dueDate && new Date(milestone.dueDate) < now,
+        tasks: tasks.map(t => ({ _id: t._id, title: t.title }))
+    };
+}
+
+/**
+ * Every milestone of a project with its progress, in delivery order.
+ * allComplete is true when every milestone is completed or has no open tasks.
+ */
+async function getProjectMilestones(project) {
+    const tasks = await Task.find({ project: project._id }).select('title status milestone assignments').lean();
+
+    const milestones = [...(project.milestones || [])]
+        .sort((a, b) => (a.order || 0) - (b.order || 0) || new Date(a.dueDate || 0) - new Date(b.dueDate || 0))
+        .map(m => milestoneProgress(m, tasks.filter(t => t.milestone && String(t.milestone) === String(m._id))));
+
+    const milestoneIds = new Set(milestones.map(m => String(m._id)));
+    return {
+        milestones,
+        unassignedTasks: tasks.filter(t => !t.milestone || !milestoneIds.has(String(t.milestone))).length,
+        allComplete: milestones.every(m => ['completed', 'empty'].includes(m.status))
+    };
+}
+
+module.exports = {
+    DONE_STATUSES,
+    milestoneProgress,
+    getProjectMilestones
+};
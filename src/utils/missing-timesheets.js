@@ -0,0 +1,201 @@
+/**
+ * Missing Timesheets
+ * Daily job that finds working days without a submitted timesheet, reminds
+ * the employee once per day and sends the employee's manager a digest of the
+ * days still missing after config.escalateAfterDays
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/timesheetReminders');
+const Notification = require('../models/Notification');
+const Timesheet = require('../models/Timesheet');
+const TimesheetReminder = require('../models/TimesheetReminder');
+const User = require('../models/User');
+const nonWorkingDays = require('./non-working-days');
+const shiftHours = require('./shift-hours');
+
+// roles expected to log time
+const TIMESHEET_ROLES = ['employee', 'manager'];
+// entries in these states have not been submitted
+const UNSUBMITTED_STATUSES = ['draft', 'rejected'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let schedulerTimer = null;
+let lastRunDay = null;
+
+function addDays(day, days) {
+    return new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Short list of days for notification text, e.g. "Mon Oct 12 2026, Tue Oct 13 2026"
+ */
+function formatDays(days) {
+    return days.map(day => new Date(`${day}T00:00:00`).toDateString()).join(', ');
+}
+
+/**
+ * Days covered by submitted entries, per employee: { employeeId: Set('YYYY-MM-DD') }
+ */
+async function coveredDays(employeeIds, fromDay, toDay) {
+    const timesheets = await Timesheet.find({
+        employee: { $in: employeeIds },
+        status: { $nin: UNSUBMITTED_STATUSES },
+        // a day earlier to catch overnight shifts that run into the range
+        date: { $gte: new Date(`${addDays(fromDay, -1)}T00:00:00Z`), $lte: new Date(`${toDay}T23:59:59.999Z`) }
+    }).select('employee date endDate startTime endTime breakMinutes totalHours').lean();
+
+    const covered = {};
+    timesheets.forEach(ts => {
+        const empId = String(ts.employee);
+        covered[empId] = covered[empId] || new Set();
+        shiftHours.entryDailyHours(ts).forEach(({ date }) => covered[empId].add(date));
+    });
+    return covered;
+}
+
+/**
+ * Working days between two days (inclusive) with no submitted timesheet.
+ * Weekends, holidays and approved leave are not working days.
+ */
+async function findMissingDays(employeeId, fromDay, toDay, covered = new Set()) {
+    if (fromDay > toDay) return [];
+    const offDays = await nonWorkingDays.getNonWorkingDays(employeeId, fromDay, toDay);
+    return nonWorkingDays.eachDay(fromDay, toDay)
+        .filter(day => !nonWorkingDays.isWeekend(day) && !offDays[day] && !covered.has(day));
+}
+
+/**
+ * Create reminder records for the days not reminded about yet; returns those days
+ */
+async function claimNewDays(employeeId, days, now) {
+    const claimed = [];
+    for (const day of days) {
+        try {
+            const result = await TimesheetReminder.updateOne(
+                { employee: employeeId, date: day },
+                { $setOnInsert: { remindedAt: now } },
+                { upsert: true }
+            );
+            if (result.upsertedCount > 0) claimed.push(day);
+        } catch (err) {
+            // another run inserted the same day first
+            if (err.code !== 11000) throw err;
+        }
+    }
+    return claimed;
+}
+
+/**
+ * Run the check for every active employee over the last config.lookbackDays
+ * (today is left out, the day is not over yet).
+ * Returns a summary of what was found and sent.
+ */
+async function runMissingTimesheetCheck(now = new Date()) {
+    const today = shiftHours.dayKey(now);
+    const toDay = addDays(today, -1);
+    const fromDay = addDays(today, -config.lookbackDays);
+    const escalateThrough = addDays(today, -config.escalateAfterDays);
+
+    const summary = { from: fromDay, to: toDay, employees: 0, missingDays: 0, reminders: 0, escalations: 0 };
+
+    const employees = await User.find({ role: { $in: TIMESHEET_ROLES }, isActive: { $ne: false } })
+        .select('name manager createdAt')
+        .lean();
+    if (employees.length === 0) return summary;
+
+    const covered = await coveredDays(employees.map(e => e._id), fromDay, toDay);
+    const digests = {};
+
+    for (const employee of employees) {
+        // nothing is expected before the account existed
+        const joined = shiftHours.dayKey(employee.createdAt || now);
+        const missing = await findMissingDays(employee._id, joined > fromDay ? joined : fromDay, toDay, covered[String(employee._id)]);
+        if (missing.length === 0) continue;
+
+        summary.employees++;
+        summary.missingDays += missing.length;
+
+        const newDays = await claimNewDays(employee._id, missing, now);
+        if (newDays.length > 0) {
+            await Notification.create({
+                user: employee._id,
+                type: 'timesheet_missing',
+                title: '⏰ Timesheet Missing',
+                body: `No submitted timesheet for ${formatDays(newDays)}. Please log and submit your hours.`,
+                meta: { dates: newDays }
+            });
+            summary.reminders++;
+        }
+
+        if (!employee.manager) continue;
+        const overdue = await TimesheetReminder.find({
+            employee: employee._id,
+            date: { $in: missing.filter(day => day <= escalateThrough) },
+            escalatedAt: null
+        }).select('date').lean();
+        if (overdue.length === 0) continue;
+
+        const managerId = String(employee.manager);
+        digests[managerId] = digests[managerId] || [];
+        digests[managerId].push({
+            employeeId: employee._id,
+            name: employee.name,
+            dates: overdue.map(r => r.date).sort()
+        });
+    }
+
+    for (const [managerId, items] of Object.entries(digests)) {
+        const lines = items.map(item => `${item.name} (${item.dates.length} day${item.dates.length === 1 ? '' : 's'})`);
+        await Notification.create({
+            user: managerId,
+            type: 'timesheet_missing_escalation',
+            title: '📋 Missing Timesheets',
+            body: `${items.length} team member${items.length === 1 ? ' has' : 's have'} working days without a submitted timesheet for more than ${config.escalateAfterDays} days: ${lines.join(', ')}`,
+            meta: { employees: items }
+        });
+        for (const item of items) {
+            await TimesheetReminder.updateMany(
+                { employee: item.employeeId, date: { $in: item.dates } },
+                { $set: { escalatedAt: now, escalatedTo: managerId } }
+            );
+        }
+        summary.escalations++;
+    }
+
+    return summary;
+}
+
+/**
+ * Start the in-process scheduler: wakes up every config.checkIntervalMinutes
+ * and runs the check once a day after config.runAtHour
+ */
+function startScheduler() {
+    if (!config.enabled || schedulerTimer) return;
+
+    const tick = async() => {
+        const now = new Date();
+        const today = shiftHours.dayKey(now);
+        if (now.getHours() < config.runAtHour || lastRunDay === today) return;
+        if (mongoose.connection.readyState !== 1) return;
+
+        lastRunDay = today;
+        try {
+            const summary = await runMissingTimesheetCheck(now);
+            console.log(`⏰ Missing-timesheet check: ${summary.missingDays} missing day(s) for ${summary.employees} employee(s), ${summary.reminders} reminder(s), ${summary.escalations} escalation(s)`);
+        } catch (err) {
+            console.error('Missing-timesheet check error:', err);
+            lastRunDay = null;
+        }
+    };
+
+    schedulerTimer = setInterval(tick, config.checkIntervalMinutes * 60 * 1000);
+    schedulerTimer.unref();
+    tick();
+}
+
+module.exports = {
+    findMissingDays,
+    runMissingTimesheetCheck,
+    startScheduler
+};
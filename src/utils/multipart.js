@@ -0,0 +1,115 @@
+/**
+ * Multipart
+ * Minimal multipart/form-data reader for file uploads: buffers the request
+ * body (up to a byte limit) and splits it into text fields and files.
+ */
+
+const httpError = require('./http-error');
+
+function boundaryOf(contentType) {
+    const match = /^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    return match ? match[1] || match[2] : null;
+}
+
+function isMultipart(req) {
+    return !!boundaryOf(req.headers['content-type']);
+}
+
+/**
+ * Read the raw body; rejects with 413 once it grows past maxBytes
+ */
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) tooLarge = true;
+            if (!tooLarge) chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (tooLarge) return reject(httpError(413, `Upload is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`));
+            resolve(Buffer.concat(chunks));
+        });
+        req.on('error', reject);
+    });
+}
+
+function parseHeaders(text) {
+    const headers = {};
+    text.split('\r\n').forEach(line => {
+        const i = line.indexOf(':');
+        if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+    });
+    return headers;
+}
+
+function dispositionParam(disposition, name) {
+    const match = new RegExp(`(?:^|;)\\s*${name}="([^"]*)"`, 'i').exec(disposition || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Split a multipart body into { fields, files }; each file is
+ * { fieldName, fileName, mimeType, buffer }
+ */
+function parseBody(body, boundary) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const fields = {};
+    const files = [];
+
+    let start = body.indexOf(delimiter);
+    if (start === -1) throw httpError(400, 'Malformed multipart body');
+
+    while (start !== -1) {
+        const partStart = start + delimiter.length;
+        // "--" after a delimiter closes the body
+        if (body.slice(partStart, partStart + 2).toString() === '--') break;
+        const next = body.indexOf(delimiter, partStart);
+        if (next === -1) throw httpError(400, 'Malformed multipart body');
+
+        // each part: CRLF, headers, blank line, content, CRLF before the next delimiter
+        const part = body.slice(partStart + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) throw httpError(400, 'Malformed multipart body');
+
+        const headers = parseHeaders(part.slice(0, headerEnd).toString('utf8'));
+        const content = part.slice(headerEnd + 4);
+        const name = dispositionParam(headers['content-disposition'], 'name');
+        const fileName = dispositionParam(headers['content-disposition'], 'filename');
+
+        if (fileName !== null) {
+            if (fileName) {
+                files.push({
+                    fieldName: name,
+                    fileName: fileName.split(/[\\/]/).pop(),
+                    mimeType: (headers['content-type'] || 'application/octet-stream').toLowerCase(),
+                    buffer: content
+                });
+            }
+        } else if (name) {
+            fields[name] = content.toString('utf8');
+        }
+        start = next;
+    }
+
+    return { fields, files };
+}
+
+/**
+ * Read a multipart/form-data request. Throws a 400 error for other bodies
+ * and a 413 error past maxBytes.
+ */
+async function parseMultipart(req, { maxBytes }) {
+    const boundary = boundaryOf(req.headers['content-type']);
+    if (!boundary) throw httpError(400, 'Expected a multipart/form-data upload');
+    const body = await readBody(req, maxBytes);
+    return parseBody(body, boundary);
+}
+
+module.exports = {
+    isMultipart,
+    parseMultipart,
+    parseBody
+};
@@ -0,0 +1,79 @@
+/**
+ * Non-working Days
+ * Days an employee is not expected to log time: weekends, company holidays
+ * (Holiday) and approved full-day leave (LeaveRequest)
+ */
+
+const Holiday = require('../models/Holiday');
+const LeaveRequest = require('../models/LeaveRequest');
+const shiftHours = require('./shift-hours');
+
+const WEEKEND_DAYS = [0, 6];
+// leave types that still mean a working day (remote work, a few hours off)
+const WORKING_LEAVE_TYPES = ['WFH', 'PERMISSION'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * YYYY-MM-DD days from one day to another (inclusive)
+ */
+function eachDay(fromDay, toDay) {
+    const days = [];
+    for (let d = new Date(`${fromDay}T00:00:00Z`); d <= new Date(`${toDay}T00:00:00Z`); d = new Date(d.getTime() + DAY_MS)) {
+        days.push(d.toISOString().split('T')[0]);
+    }
+    return days;
+}
+
+function isWeekend(day) {
+    return WEEKEND_DAYS.includes(new Date(`${day}T00:00:00Z`).getUTCDay());
+}
+
+/**
+ * Holidays and approved leave between two days, keyed by YYYY-MM-DD:
+ * { '2024-12-25': { type: 'holiday', description }, '2024-12-27': { type: 'leave', leaveType } }.
+ * Pass employeeId null to get holidays only.
+ */
+async function getNonWorkingDays(employeeId, fromDay, toDay) {
+    const from = new Date(`${fromDay}T00:00:00Z`);
+    const to = new Date(`${toDay}T23:59:59.999Z`);
+
+    const [holidays, leaves] = await Promise.all([
+        Holiday.find({ date: { $gte: from, $lte: to } }).lean(),
+        employeeId ? LeaveRequest.find({
+            employee: employeeId,
+            status: 'approved',
+            leaveType: { $nin: WORKING_LEAVE_TYPES },
+            fromDate: { $lte: to },
+            toDate: { $gte: from }
+        }).lean() : []
+    ]);
+
+    const days = {};
+    leaves.forEach(leave => {
+        eachDay(shiftHours.dateOnly(leave.fromDate), shiftHours.dateOnly(leave.toDate)).forEach(day => {
+            if (day >= fromDay && day <= toDay) days[day] = { type: 'leave', leaveType: leave.leaveType, leaveId: leave._id };
+        });
+    });
+    // a holiday wins over leave taken on the same day
+    holidays.forEach(h => {
+        days[shiftHours.dateOnly(h.date)] = { type: 'holiday', description: h.description };
+    });
+
+    return days;
+}
+
+/**
+ * Short reason for a non-working day entry, e.g. "Holiday: Christmas" or "On leave (CL)"
+ */
+function describeNonWorkingDay(off) {
+    if (off.type === 'holiday') return off.description ? `Holiday: ${off.description}` : 'Holiday';
+    return `On leave (${off.leaveType})`;
+}
+
+module.exports = {
+    WEEKEND_DAYS,
+    eachDay,
+    isWeekend,
+    getNonWorkingDays,
+    describeNonWorkingDay
+};
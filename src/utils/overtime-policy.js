@@ -0,0 +1,210 @@
+/**
+ * Overtime Policy
+ * Resolves the overtime rules that apply to an employee (default policy,
+ * department override, employee override) and splits worked hours into
+ * regular, overtime and weekend/holiday premium hours with their pay multipliers
+ */
+
+const defaultPolicy = require('../config/overtimePolicy');
+const periodConfig = require('../config/timesheetPeriod');
+const Holiday = require('../models/Holiday');
+const OvertimePolicy = require('../models/OvertimePolicy');
+const Timesheet = require('../models/Timesheet');
+const User = require('../models/User');
+const shiftHours = require('./shift-hours');
+
+const POLICY_FIELDS = ['dailyThreshold', 'weeklyThreshold', 'overtimeMultiplier', 'weekendMultiplier', 'holidayMultiplier', 'weekendDays'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Copy the fields an override sets on top of a policy
+ */
+function applyOverride(policy, override) {
+    if (!override) return policy;
+    const merged = { ...policy };
+    POLICY_FIELDS.forEach(field => {
+        if (override[field] !== undefined && override[field] !== null) merged[field] = override[field];
+    });
+    return merged;
+}
+
+/**
+ * Effective policy for an employee: default, then department, then employee override
+ */
+async function getPolicy(employeeId) {
+    const employee = await User.findById(employeeId).select('department');
+    const department = employee && employee.department && employee.department.trim() ?
+        employee.department.trim().toLowerCase() : null;
+
+    const [departmentOverride, employeeOverride] = await Promise.all([
+        department ? OvertimePolicy.findOne({ department }).lean() : null,
+        OvertimePolicy.findOne({ employee: employeeId }).lean()
+    ]);
+
+    return applyOverride(applyOverride({ ...defaultPolicy }, departmentOverride), employeeOverride);
+}
+
+/**
+ * Holiday dates between two YYYY-MM-DD days (inclusive) as a Set of YYYY-MM-DD
+ */
+async function getHolidayDates(fromDay, toDay) {
+    const holidays = await Holiday.find({
+        date: { $gte: new Date(`${fromDay}T00:00:00Z`), $lte: new Date(`${toDay}T23:59:59.999Z`) }
+    }).select('date').lean();
+    return new Set(holidays.map(h => shiftHours.dateOnly(h.date)));
+}
+
+/**
+ * First day (YYYY-MM-DD) of the overtime week containing a YYYY-MM-DD day
+ */
+function weekKey(day) {
+    const d = new Date(`${day}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() - periodConfig.weekStartsOn + 7) % 7));
+    return d.toISOString().split('T')[0];
+}
+
+/**
+ * UTC bounds of the overtime week containing a date
+ */
+function getWeekBounds(date) {
+    const start = new Date(`${weekKey(shiftHours.dateOnly(date))}T00:00:00Z`);
+    const end = new Date(start.getTime() + 7 * DAY_MS - 1);
+    return { start, end };
+}
+
+function round(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+/**
+ * Split worked hours into regular, overtime and premium hours.
+ * records: [{ id, dailyHours: [{ date: 'YYYY-MM-DD', hours }] }] in the order
+ * the work happened; earlier work uses up the daily/weekly thresholds first.
+ * Hours on a holiday or weekend day with a multiplier above 1 are premium
+ * hours: paid at that multiplier, not overtime and not counted towards the
+ * thresholds.
+ * Returns { records: [{ id, regularHours, overtimeHours, premiumHours, payableHours }], totals }
+ */
+function allocateOvertime(records, policy, holidays = new Set()) {
+    const dayRegular = {};
+    const weekRegular = {};
+    const totals = { regularHours: 0, overtimeHours: 0, premiumHours: 0, payableHours: 0 };
+
+    const results = records.map(record => {
+        const result = { id: record.id, regularHours: 0, overtimeHours: 0, premiumHours: 0, payableHours: 0 };
+
+        record.dailyHours.forEach(({ date, hours }) => {
+            const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+            let premiumMultiplier = null;
+            if (holidays.has(date) && policy.holidayMultiplier > 1) {
+                premiumMultiplier = policy.holidayMultiplier;
+            } else if (policy.weekendMultiplier > 1 && (policy.weekendDays || []).includes(weekday)) {
+                premiumMultiplier = policy.weekendMultiplier;
+            }
+
+            if (premiumMultiplier) {
+                result.premiumHours += hours;
+                result.payableHours += hours * premiumMultiplier;
+                return;
+            }
+
+            const week = weekKey(date);
+            const dailyRoom = policy.dailyThreshold == null ? Infinity : policy.dailyThreshold - (dayRegular[date] || 0);
+            const weeklyRoom = policy.weeklyThreshold == null ? Infinity : policy.weeklyThreshold - (weekRegular[week] || 0);
+            const regular = Math.max(0, Math.min(hours, dailyRoom, weeklyRoom));
+            dayRegular[date] = (dayRegular[date] || 0) + regular;
+            weekRegular[week] = (weekRegular[week] || 0) + regular;
+
+            const overtime = hours - regular;
+            result.regularHours += regular;
+            result.overtimeHours += overtime;
+            result.payableHours += regular + overtime * policy.overtimeMultiplier;
+        });
+
+        Object.keys(totals).forEach(field => {
+            result[field] = round(result[field]);
+            totals[field] += result[field];
+        });
+        return result;
+    });
+
+    Object.keys(totals).forEach(field => { totals[field] = round(totals[field]); });
+    return { records: results, totals };
+}
+
+/**
+ * Load the employee's policy and the holidays the records touch, then allocate
+ */
+async function allocateForEmployee(employeeId, records) {
+    const days = records.flatMap(r => r.dailyHours.map(d => d.date)).sort();
+    const [policy, holidays] = await Promise.all([
+        getPolicy(employeeId),
+        days.length ? getHolidayDates(days[0], days[days.length - 1]) : new Set()
+    ]);
+    return { policy, ...allocateOvertime(records, policy, holidays) };
+}
+
+/**
+ * Recompute overtime for every non-rejected timesheet the employee logged in
+ * the week containing date (entries belong to the week they start in) and
+ * store it on each entry
+ */
+async function recalculateTimesheetWeek(employeeId, date) {
+    const { start, end } = getWeekBounds(date);
+    const entries = await Timesheet.find({
+        employee: employeeId,
+        date: { $gte: start, $lte: end },
+        status: { $ne: 'rejected' }
+    }).sort({ date: 1, startTime: 1 });
+
+    const { records, totals } = await allocateForEmployee(employeeId, entries.map(ts => ({
+        id: ts._id,
+        dailyHours: shiftHours.entryDailyHours(ts)
+    })));
+
+    if (records.length > 0) {
+        await Timesheet.bulkWrite(records.map(r => ({
+            updateOne: {
+                filter: { _id: r.id },
+                update: { $set: { overtimeHours: r.overtimeHours, premiumHours: r.premiumHours, payableHours: r.payableHours } }
+            }
+        })));
+    }
+
+    return totals;
+}
+
+/**
+ * Overtime of an attendance record, counting the employee's other checked-out
+ * records of the same week (candidates may include neighbouring days)
+ */
+async function calculateAttendanceOvertime(record, candidates) {
+    const week = weekKey(shiftHours.dayKey(record.checkInTime));
+    const weekRecords = candidates.filter(a => weekKey(shiftHours.dayKey(a.checkInTime)) === week);
+
+    const toAllocation = a => ({
+        id: String(a._id),
+        start: a.checkInTime,
+        dailyHours: shiftHours.splitByDay(a.checkInTime, a.checkOutTime)
+    });
+
+    const records = weekRecords
+        .filter(a => a.checkOutTime && String(a._id) !== String(record._id))
+        .map(toAllocation)
+        .concat(toAllocation(record))
+        .sort((a, b) => a.start - b.start);
+
+    const { records: results } = await allocateForEmployee(record.employee, records);
+    return results.find(r => r.id === String(record._id));
+}
+
+module.exports = {
+    getPolicy,
+    getHolidayDates,
+    getWeekBounds,
+    weekKey,
+    allocateOvertime,
+    allocateForEmployee,
+    recalculateTimesheetWeek,
+    calculateAttendanceOvertime
+};
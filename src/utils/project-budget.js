@@ -0,0 +1,207 @@
+/**
+ * Project Budget
+ * Compares the hours (or billed cost) logged against a project with its
+ * budget: consumption over time, burn rate, forecast, and Notification alerts
+ * when the project crosses 50/80/100% of its budget
+ */
+
+const config = require('../config/billing');
+const Notification = require('../models/Notification');
+const Project = require('../models/Project');
+const Timesheet = require('../models/Timesheet');
+const billing = require('./billing');
+const shiftHours = require('./shift-hours');
+
+const ALERT_THRESHOLDS = [50, 80, 100];
+// burn rate is the average spend per calendar day over this many recent days
+const BURN_WINDOW_DAYS = 28;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function addDays(day, days) {
+    return new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+function daysBetween(fromDay, toDay) {
+    return Math.round((new Date(`${toDay}T00:00:00Z`) - new Date(`${fromDay}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Budget amount as text, e.g. "120h" or "4500 USD"
+ */
+function formatAmount(project, value) {
+    return project.budgetUnit === 'cost' ? `${round(value)} ${config.currency}` : `${round(value)}h`;
+}
+
+/**
+ * Hours (or cost, for cost budgets) logged per day on a project:
+ * { byDay: { 'YYYY-MM-DD': value }, unratedHours }.
+ * Rejected entries do not count; drafts do, the work has been done.
+ */
+async function consumptionByDay(project) {
+    const entries = await Timesheet.find({ project: project._id, status: { $ne: 'rejected' } })
+        .select('employee date totalHours')
+        .populate('employee', 'designation')
+        .lean();
+
+    let rates = [];
+    if (project.budgetUnit === 'cost' && entries.length > 0) {
+        const dates = entries.map(ts => ts.date).sort((a, b) => a - b);
+        rates = await billing.loadRates(dates[0], dates[dates.length - 1]);
+    }
+
+    const byDay = {};
+    let unratedHours = 0;
+    entries.forEach(ts => {
+        const day = shiftHours.dateOnly(ts.date);
+        const hours = ts.totalHours || 0;
+        let value = hours;
+
+        if (project.budgetUnit === 'cost') {
+            const rate = billing.resolveRate(rates, {
+                employeeId: ts.employee && ts.employee._id,
+                projectId: project._id,
+                designation: ts.employee && ts.employee.designation,
+                day
+            });
+            value = rate ? hours * rate.rate : 0;
+            if (!rate) unratedHours += hours;
+        }
+
+        byDay[day] = (byDay[day] || 0) + value;
+    });
+
+    return { byDay, unratedHours: round(unratedHours) };
+}
+
+/**
+ * Budget consumption, burn rate and forecast for a project
+ */
+async function getBudgetStatus(project, now = new Date()) {
+    const today = shiftHours.dayKey(now);
+    const budget = project.budget || 0;
+    const { byDay, unratedHours } = await consumptionByDay(project);
+    const days = Object.keys(byDay).sort();
+
+    const startDay = project.startDate ? shiftHours.dateOnly(project.startDate) : null;
+    const endDay = project.endDate ? shiftHours.dateOnly(project.endDate) : null;
+
+    // straight-line plan from start to end date
+    const plannedAt = day => {
+        if (!budget || !startDay || !endDay || endDay <= startDay) return null;
+        const fraction = Math.min(1, Math.max(0, daysBetween(startDay, day) / daysBetween(startDay, endDay)));
+        return round(budget * fraction);
+    };
+
+    let cumulative = 0;
+    const series = days.map(date => {
+        cumulative += byDay[date];
+        return {
+            date,
+            consumed: round(byDay[date]),
+            cumulative: round(cumulative),
+            planned: plannedAt(date),
+            percent: budget ? round((cumulative / budget) * 100) : null
+        };
+    });
+    const consumed = round(cumulative);
+
+    // burn rate over the recent window (or since the first entry, if later)
+    let burnRate = 0;
+    let windowDays = 0;
+    if (days.length > 0) {
+        const windowStart = [addDays(today, -(BURN_WINDOW_DAYS - 1)), days[0]].sort()[1];
+        windowDays = Math.max(1, daysBetween(windowStart, today) + 1);
+        const windowConsumed = days.filter(day => day >= windowStart).reduce((sum, day) => sum + byDay[day], 0);
+        burnRate = round(windowConsumed / windowDays);
+    }
+
+    const remaining = round(budget - consumed);
+    let projectedExhaustionDate = null;
+    if (budget && remaining <= 0) {
+        const crossing = series.find(point => point.cumulative >= budget);
+        projectedExhaustionDate = crossing ? crossing.date : today;
+    } else if (budget && burnRate > 0) {
+        projectedExhaustionDate = addDays(today, Math.ceil(remaining / burnRate));
+    }
+
+    // spend by the end date if the current burn rate holds
+    const daysLeft = endDay && endDay > today ? daysBetween(today, endDay) : 0;
+    const projectedAtEnd = round(consumed + burnRate * daysLeft);
+    const projectedOverrun = budget ? round(Math.max(0, projectedAtEnd - budget)) : null;
+
+    let status = 'on_track';
+    if (!budget) status = 'no_budget';
+    else if (consumed >= budget) status = 'over_budget';
+    else if (projectedAtEnd > budget) status = 'at_risk';
+
+    return {
+        projectId: project._id,
+        name: project.name,
+        unit: project.budgetUnit || 'hours',
+        currency: project.budgetUnit === 'cost' ? config.currency : null,
+        budget,
+        consumed,
+        remaining,
+        percentUsed: budget ? round((consumed / budget) * 100) : null,
+        plannedToDate: plannedAt(today),
+        burnRate,
+        burnRateWindowDays: windowDays,
+        projectedExhaustionDate,
+        projectedAtEnd,
+        projectedOverrun,
+        status,
+        startDate: startDay,
+        endDate: endDay,
+        unratedHours: project.budgetUnit === 'cost' ? unratedHours : undefined,
+        series
+    };
+}
+
+/**
+ * Notify the project manager when a project has crossed a budget threshold
+ * it has not been alerted about. Thresholds it has dropped back under (budget
+ * raised, hours removed) are re-armed. Failures are logged, not thrown, so
+ * they never fail the timesheet change that triggered the check.
+ */
+async function checkBudgetAlerts(projectId) {
+    try {
+        if (!projectId) return null;
+        const project = await Project.findById(projectId).select('name manager budget budgetUnit budgetAlertsSent');
+        if (!project || !project.budget) return null;
+
+        const { byDay } = await consumptionByDay(project);
+        const consumed = Object.values(byDay).reduce((sum, value) => sum + value, 0);
+        const percent = (consumed / project.budget) * 100;
+
+        const sent = project.budgetAlertsSent || [];
+        const kept = sent.filter(threshold => percent >= threshold);
+        const crossed = ALERT_THRESHOLDS.filter(threshold => percent >= threshold && !sent.includes(threshold));
+        if (crossed.length === 0 && kept.length === sent.length) return null;
+
+        await Project.updateOne({ _id: project._id }, { $set: { budgetAlertsSent: kept.concat(crossed) } });
+        if (crossed.length === 0 || !project.manager) return null;
+
+        // several thresholds crossed at once get a single alert for the highest
+        const threshold = Math.max(...crossed);
+        return await Notification.create({
+            user: project.manager,
+            type: 'project_budget_alert',
+            title: threshold >= 100 ? '🚨 Project Over Budget' : `⚠️ Project at ${threshold}% of Budget`,
+            body: `"${project.name}" has used ${formatAmount(project, consumed)} of its ${formatAmount(project, project.budget)} budget (${round(percent)}%)`,
+            meta: { projectId: project._id, threshold, percent: round(percent), consumed: round(consumed), budget: project.budget }
+        });
+    } catch (err) {
+        console.error('Budget alert check error:', err);
+        return null;
+    }
+}
+
+module.exports = {
+    ALERT_THRESHOLDS,
+    getBudgetStatus,
+    checkBudgetAlerts
+};
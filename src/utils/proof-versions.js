@@ -0,0 +1,160 @@
+/**
+ * Proof Versions
+ * Every proof an employee submits for an assignment is kept as a numbered
+ * ProofSubmission (version 1, 2, ...) linked to the version before it and to
+ * the Review that decided it, so reviewers can compare attempt N with N+1.
+ */
+
+const ProofSubmission = require('../models/ProofSubmission');
+
+/**
+ * Newest proof version of an employee on a task (optionally ignoring one proof)
+ */
+function latestVersion(taskId, employeeId, exceptId) {
+    const query = { task: taskId, employee: employeeId };
+    if (exceptId) query._id = { $ne: exceptId };
+    return ProofSubmission.findOne(query).sort({ version: -1, submittedAt: -1 });
+}
+
+/**
+ * Give a new proof the next version number and link it to the previous one
+ */
+async function stampVersion(proof) {
+    const previous = await latestVersion(proof.task, proof.employee, proof._id);
+    proof.version = previous ? (previous.version || 1) + 1 : 1;
+    proof.previousVersion = previous ? previous._id : null;
+    return proof;
+}
+
+/**
+ * A ProofSubmission version (not saved yet) for a proof embedded in a task
+ * assignment (task-completion flow), carrying over the assignment's rework counters
+ */
+async function buildEmbeddedProof(task, assignment, proofSubmission) {
+    const proof = new ProofSubmission({
+        task: task._id,
+        employee: assignment.employee._id || assignment.employee,
+        project: task.project._id || task.project,
+        githubLink: proofSubmission.githubLink,
+        demoVideoLink: proofSubmission.demoVideoLink,
+        completionNotes: proofSubmission.completionNotes,
+        attachments: proofSubmission.attachments || [],
+        submittedAt: proofSubmission.submittedAt || new Date(),
+        defectCount: (assignment.reviewCycle && assignment.reviewCycle.defectCount) || 0,
+        reworkAttempts: assignment.reworkAttempts || 0,
+        maxReworkAttempts: assignment.maxReworkAttempts
+    });
+    return stampVersion(proof);
+}
+
+/**
+ * All versions of an employee's proof on a task, oldest first, with the review of each
+ */
+function listVersions(taskId, employeeId) {
+    return ProofSubmission.find({ task: taskId, employee: employeeId })
+        .populate({ path: 'review', select: 'decision comments defectDescription reviewedBy reviewedAt', populate: { path: 'reviewedBy', select: 'name role' } })
+        .sort({ version: 1, submittedAt: 1 })
+        .lean();
+}
+
+// largest LCS table lineDiff builds; bigger changes are shown as replaced wholesale
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Line diff of two texts: [{ op: 'same' | 'added' | 'removed', line }]
+ */
+function lineDiff(before, after) {
+    const a = String(before || '').split(/\r?\n/);
+    const b = String(after || '').split(/\r?\n/);
+
+    // unchanged leading and trailing lines stay out of the table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    const head = a.slice(0, start).map(line => ({ op: 'same', line }));
+    const tail = a.slice(endA).map(line => ({ op: 'same', line }));
+    const x = a.slice(start, endA);
+    const y = b.slice(start, endB);
+
+    if ((x.length + 1) * (y.length + 1) > MAX_DIFF_CELLS) {
+        return head
+            .concat(x.map(line => ({ op: 'removed', line })), y.map(line => ({ op: 'added', line })))
+            .concat(tail);
+    }
+
+    // longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: x.length + 1 }, () => new Array(y.length + 1).fill(0));
+    for (let i = x.length - 1; i >= 0; i--) {
+        for (let j = y.length - 1; j >= 0; j--) {
+            lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const diff = head;
+    let i = 0;
+    let j = 0;
+    while (i < x.length && j < y.length) {
+        if (x[i] === y[j]) {
+            diff.push({ op: 'same', line: x[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            diff.push({ op: 'removed', line: x[i++] });
+        } else {
+            diff.push({ op: 'added', line: y[j++] });
+        }
+    }
+    while (i < x.length) diff.push({ op: 'removed', line: x[i++] });
+    while (j < y.length) diff.push({ op: 'added', line: y[j++] });
+    return diff.concat(tail);
+}
+
+function attachmentKey(attachment) {
+    return String(attachment.file || attachment.fileUrl || attachment.fileName);
+}
+
+/**
+ * What changed between two versions: links, notes (line diff) and attachments,
+ * together with the review that sent the older version back
+ */
+function compareVersions(older, newer) {
+    const field = name => (older[name] === newer[name] ? null : { from: older[name], to: newer[name] });
+    const before = new Map((older.attachments || []).map(a => [attachmentKey(a), a]));
+    const after = new Map((newer.attachments || []).map(a => [attachmentKey(a), a]));
+    const summary = proof => ({
+        _id: proof._id,
+        version: proof.version || 1,
+        submittedAt: proof.submittedAt,
+        reviewDecision: proof.reviewDecision
+    });
+
+    return {
+        from: summary(older),
+        to: summary(newer),
+        review: older.review || null,
+        changes: {
+            githubLink: field('githubLink'),
+            demoVideoLink: field('demoVideoLink'),
+            completionNotes: older.completionNotes === newer.completionNotes ? null : lineDiff(older.completionNotes, newer.completionNotes),
+            attachments: {
+                added: [...after].filter(([key]) => !before.has(key)).map(([, a]) => a),
+                removed: [...before].filter(([key]) => !after.has(key)).map(([, a]) => a),
+                kept: [...after].filter(([key]) => before.has(key)).map(([, a]) => a)
+            }
+        }
+    };
+}
+
+module.exports = {
+    latestVersion,
+    stampVersion,
+    buildEmbeddedProof,
+    listVersions,
+    lineDiff,
+    compareVersions
+};
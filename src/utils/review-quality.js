@@ -0,0 +1,163 @@
+/**
+ * Review Quality
+ * Per-project review checklists that reviewers tick when deciding on a proof,
+ * the defect taxonomy (type and severity) and the quality figures built on
+ * them for /api/proof/analytics/metrics
+ */
+
+const config = require('../config/reviewQuality');
+const httpError = require('./http-error');
+
+function itemKey(label) {
+    return String(label || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Review checklist of a project: its own items or the default list
+ */
+function checklistFor(project) {
+    const items = project && project.reviewChecklist && project.reviewChecklist.length ? project.reviewChecklist : config.defaultChecklist;
+    return items.map(i => ({ key: i.key, label: i.label, required: !!i.required }));
+}
+
+/**
+ * Clean checklist items from a request body: [{ label, required }] or labels.
+ * Keys come from the labels and must be unique.
+ */
+function normalizeChecklist(input) {
+    if (!Array.isArray(input)) throw httpError(400, 'checklist must be a list of items');
+    const items = input.map(entry => {
+        const { label, required = false } = typeof entry === 'string' ? { label: entry } : (entry || {});
+        const key = itemKey(label);
+        if (!key) throw httpError(400, 'Checklist items need a label');
+        return { key, label: String(label).trim(), required: !!required };
+    });
+    const keys = new Set(items.map(i => i.key));
+    if (keys.size !== items.length) throw httpError(400, 'Checklist items must have different labels');
+    return items;
+}
+
+/**
+ * Reviewer's ticks against the project checklist. ticks is a list of ticked
+ * keys, [{ key, checked }] or { key: true }. Approving needs every required
+ * item ticked. Returns [{ key, label, required, checked }].
+ */
+function evaluateChecklist(template, ticks, decision) {
+    let ticked;
+    if (Array.isArray(ticks)) {
+        ticked = new Set(ticks.filter(t => typeof t === 'string' || (t && t.checked)).map(t => (typeof t === 'string' ? t : t.key)));
+    } else {
+        ticked = new Set(Object.keys(ticks || {}).filter(key => ticks[key]));
+    }
+    const unknown = [...ticked].filter(key => !template.some(i => i.key === key));
+    if (unknown.length) throw httpError(400, `Unknown checklist item: ${unknown.join(', ')}`);
+
+    const results = template.map(item => ({ ...item, checked: ticked.has(item.key) }));
+    const missing = results.filter(i => i.required && !i.checked);
+    if (decision === 'approved' && missing.length) {
+        throw httpError(400, `Tick the required checklist items before approving: ${missing.map(i => i.label).join(', ')}`);
+    }
+    return results;
+}
+
+/**
+ * Categorized defects from a request body: [{ type, severity, description }].
+ * Free-text defectDescription alone becomes one defect of type 'other'
+ * (severity: fallbackSeverity or medium).
+ */
+function normalizeDefects(defects, defectDescription, fallbackSeverity) {
+    const list = Array.isArray(defects) && defects.length ? defects :
+        (defectDescription ? [{ type: 'other', severity: fallbackSeverity, description: defectDescription }] : []);
+
+    return list.map(d => {
+        const type = d.type || 'other';
+        const severity = d.severity || 'medium';
+        if (!config.defectTypes.includes(type)) throw httpError(400, `Defect type must be one of: ${config.defectTypes.join(', ')}`);
+        if (!config.severities.includes(severity)) throw httpError(400, `Defect severity must be one of: ${config.severities.join(', ')}`);
+        const description = String(d.description || defectDescription || '').trim();
+        if (!description) throw httpError(400, 'Each defect needs a description');
+        return { type, severity, description };
+    });
+}
+
+/**
+ * Most severe severity among defects, or null
+ */
+function worstSeverity(defects) {
+    return (defects || []).reduce((worst, d) =>
+        (worst === null || config.severities.indexOf(d.severity) > config.severities.indexOf(worst) ? d.severity : worst), null);
+}
+
+/**
+ * Text for the free-form defectDescription fields, built from the defects
+ */
+function describeDefects(defects) {
+    return defects.map(d => (defects.length > 1 ? `[${d.severity} ${d.type}] ${d.description}` : d.description)).join('\n');
+}
+
+function countBy(list, key) {
+    const counts = {};
+    list.forEach(item => { counts[item[key]] = (counts[item[key]] || 0) + 1; });
+    return counts;
+}
+
+function groupSummary(reviews) {
+    const defects = reviews.flatMap(r => r.defects || []);
+    const approved = reviews.filter(r => r.decision === 'approved').length;
+    return {
+        reviews: reviews.length,
+        approved,
+        defectReviews: reviews.length - approved,
+        approvalRate: reviews.length ? Math.round((approved / reviews.length) * 100) : 0,
+        defects: defects.length,
+        byType: countBy(defects, 'type'),
+        bySeverity: countBy(defects, 'severity')
+    };
+}
+
+/**
+ * Quality figures from reviews (lean, with employee and project populated):
+ * defects by type and severity overall, per employee and per project, and how
+ * often each checklist item was ticked
+ */
+function qualityMetrics(reviews) {
+    const groups = (keyOf, nameOf) => {
+        const map = new Map();
+        reviews.forEach(r => {
+            const key = keyOf(r);
+            if (!key) return;
+            if (!map.has(key)) map.set(key, { id: key, name: nameOf(r), reviews: [] });
+            map.get(key).reviews.push(r);
+        });
+        return [...map.values()]
+            .map(g => ({ _id: g.id, name: g.name, ...groupSummary(g.reviews) }))
+            .sort((a, b) => b.defects - a.defects);
+    };
+
+    const items = new Map();
+    reviews.forEach(r => (r.checklist || []).forEach(i => {
+        if (!items.has(i.key)) items.set(i.key, { key: i.key, label: i.label, reviews: 0, checked: 0 });
+        const item = items.get(i.key);
+        item.reviews += 1;
+        if (i.checked) item.checked += 1;
+    }));
+
+    return {
+        ...groupSummary(reviews),
+        perEmployee: groups(r => r.employee && String(r.employee._id || r.employee), r => r.employee && r.employee.name),
+        perProject: groups(r => r.project && String(r.project._id || r.project), r => r.project && r.project.name),
+        checklist: [...items.values()].map(i => ({ ...i, passRate: Math.round((i.checked / i.reviews) * 100) }))
+    };
+}
+
+module.exports = {
+    DEFECT_TYPES: config.defectTypes,
+    SEVERITIES: config.severities,
+    checklistFor,
+    normalizeChecklist,
+    evaluateChecklist,
+    normalizeDefects,
+    worstSeverity,
+    describeDefects,
+    qualityMetrics
+};
@@ -0,0 +1,194 @@
+/**
+ * Rework Escalation
+ * When a defect brings an assignment to its rework limit
+ * (reworkAttempts >= maxReworkAttempts) the assignment is escalated: an
+ * Escalation with the Review defect history goes to the project manager's and
+ * admins' queue, and the assignment is held or handed to another employee
+ * (config/reworkEscalation). A reviewer then resolves it.
+ */
+
+const config = require('../config/reworkEscalation');
+const Escalation = require('../models/Escalation');
+const Notification = require('../models/Notification');
+const Project = require('../models/Project');
+const Review = require('../models/Review');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const httpError = require('./http-error');
+const taskAssignment = require('./task-assignment');
+
+const RESOLUTIONS = ['grant_attempt', 'reassign', 'cancel_task', 'acknowledge'];
+
+function idOf(ref) {
+    return ref ? String(ref._id || ref) : null;
+}
+
+function limitReached(assignment) {
+    return (assignment.reworkAttempts || 0) >= (assignment.maxReworkAttempts || 0);
+}
+
+/**
+ * Defects found on an employee's proofs for a task, oldest first
+ */
+async function defectHistory(taskId, employeeId) {
+    const reviews = await Review.find({ task: taskId, employee: employeeId, decision: 'defect_found' })
+        .populate('proof', 'version')
+        .sort({ createdAt: 1 })
+        .lean();
+    return reviews.map(r => ({
+        review: r._id,
+        proof: r.proof ? r.proof._id : null,
+        version: r.proof ? r.proof.version : null,
+        reviewedBy: r.reviewedBy,
+        reviewedAt: r.reviewedAt || r.createdAt,
+        comments: r.comments,
+        defectDescription: r.defectDescription,
+        defectSeverity: r.defectSeverity,
+        defects: r.defects || []
+    }));
+}
+
+async function notifyReviewers(task, meta, title, body) {
+    const project = await Project.findById(task.project._id || task.project).select('manager');
+    const admins = await User.find({ role: 'admin' }).select('_id');
+    const recipients = [...new Set([project && project.manager, ...admins.map(a => a._id)].filter(Boolean).map(String))];
+    await Notification.insertMany(recipients.map(user => ({ user, type: 'rework_escalated', title, body, meta })));
+}
+
+/**
+ * Take the task off one employee and assign it to another; checklist items
+ * follow. Saves the task and notifies the new assignee.
+ */
+async function handOver(task, fromId, toId, deadline) {
+    if (task.assignments.some(a => idOf(a.employee) === String(toId))) {
+        throw httpError(400, 'That employee is already assigned to the task');
+    }
+    task.assignments = task.assignments.filter(a => idOf(a.employee) !== String(fromId));
+    (task.checklist || []).forEach(item => {
+        if (idOf(item.assignee) === String(fromId)) item.assignee = toId;
+    });
+    await taskAssignment.assignTask(task, toId, deadline);
+}
+
+/**
+ * Best eligible employee not yet on the task, or null
+ */
+async function bestReplacement(task) {
+    const ranked = await taskAssignment.suggestEmployeesForTask(task._id, { limit: 5 });
+    return ranked ? ranked.candidates.find(c => c.eligible) || null : null;
+}
+
+/**
+ * Raise an escalation for an assignment that reached its rework limit.
+ * Called by the assignment state machine after the defect is recorded.
+ */
+async function escalate(task, assignment, actor) {
+    const employeeId = idOf(assignment.employee);
+    const escalation = new Escalation({
+        task: task._id,
+        employee: employeeId,
+        project: task.project._id || task.project,
+        reworkAttempts: assignment.reworkAttempts,
+        maxReworkAttempts: assignment.maxReworkAttempts,
+        defectHistory: await defectHistory(task._id, employeeId),
+        raisedBy: actor ? actor._id : undefined
+    });
+
+    const replacement = config.action === 'reassign' ? await bestReplacement(task) : null;
+    if (replacement) {
+        escalation.autoAction = 'reassigned';
+        escalation.reassignedTo = replacement.employee._id;
+        await handOver(task, employeeId, replacement.employee._id, replacement.deadline);
+    } else {
+        assignment.escalation = escalation._id;
+        await task.save();
+    }
+    await escalation.save();
+
+    const meta = { escalationId: escalation._id, taskId: task._id, taskTitle: task.title, employeeId };
+    await notifyReviewers(task, meta, '🚨 Rework Limit Reached',
+        `"${task.title}" needed rework ${assignment.reworkAttempts} times` +
+        (replacement ? ` and was reassigned to ${replacement.employee.name}` : ' and is waiting for your decision'));
+    await Notification.create({
+        user: employeeId,
+        type: 'rework_escalated',
+        title: '🚨 Task Escalated',
+        body: replacement ?
+            `"${task.title}" reached its rework limit and was reassigned` : `"${task.title}" reached its rework limit and was escalated to your manager`,
+        meta
+    });
+    return escalation;
+}
+
+/**
+ * Escalate after a defect when the assignment reached its limit and has no
+ * open escalation yet. Returns the escalation or null.
+ */
+async function checkReworkLimit(task, assignment, actor) {
+    if (assignment.escalation || !limitReached(assignment)) return null;
+    return escalate(task, assignment, actor);
+}
+
+/**
+ * Close an open escalation:
+ *  grant_attempt - the employee gets extraAttempts more tries
+ *  reassign      - the task goes to employeeId (default: the best-suited employee)
+ *  cancel_task   - the task is cancelled
+ *  acknowledge   - nothing changes (e.g. after an automatic reassignment)
+ */
+async function resolve(escalation, { action, employeeId, extraAttempts, notes } = {}, user) {
+    if (!RESOLUTIONS.includes(action)) throw httpError(400, `action must be one of: ${RESOLUTIONS.join(', ')}`);
+    if (escalation.status !== 'open') throw httpError(400, 'Escalation is already resolved');
+
+    const task = await Task.findById(escalation.task);
+    if (!task) throw httpError(404, 'Task not found');
+    const assignment = task.assignments.find(a => idOf(a.employee) === idOf(escalation.employee));
+    if (['grant_attempt', 'reassign'].includes(action) && !assignment) {
+        throw httpError(400, 'The employee is no longer assigned to this task');
+    }
+
+    if (action === 'grant_attempt') {
+        const extra = Number(extraAttempts) || config.extraAttempts;
+        if (extra < 1) throw httpError(400, 'extraAttempts must be at least 1');
+        assignment.maxReworkAttempts = Math.max(assignment.maxReworkAttempts, assignment.reworkAttempts) + extra;
+        assignment.escalation = undefined;
+        await task.save();
+        await Notification.create({
+            user: escalation.employee,
+            type: 'rework_attempt_granted',
+            title: '🔄 Another Attempt Granted',
+            body: `You can resubmit "${task.title}" (${extra} more attempt${extra === 1 ? '' : 's'})`,
+            meta: { escalationId: escalation._id, taskId: task._id }
+        });
+    } else if (action === 'reassign') {
+        let target = employeeId;
+        let deadline = assignment.deadline;
+        if (!target) {
+            const best = await bestReplacement(task);
+            if (!best) throw httpError(409, 'No eligible employee to reassign to; pass employeeId');
+            target = best.employee._id;
+            deadline = best.deadline;
+        }
+        const employee = await User.findOne({ _id: target, role: 'employee' }).select('_id');
+        if (!employee) throw httpError(400, 'employeeId must be an employee');
+        await handOver(task, escalation.employee, target, deadline);
+        escalation.reassignedTo = target;
+    } else {
+        if (action === 'cancel_task') task.status = 'cancelled';
+        if (assignment) assignment.escalation = undefined;
+        await task.save();
+    }
+
+    escalation.status = 'resolved';
+    escalation.resolution = { action, resolvedBy: user._id, resolvedAt: new Date(), notes };
+    await escalation.save();
+    return escalation;
+}
+
+module.exports = {
+    RESOLUTIONS,
+    limitReached,
+    defectHistory,
+    checkReworkLimit,
+    resolve
+};
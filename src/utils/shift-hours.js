@@ -0,0 +1,141 @@
+/**
+ * Shift Hours
+ * Works out the real start/end of a timesheet entry (including shifts that run
+ * past midnight or over several days) and splits its hours across calendar days
+ */
+
+const HOUR_MS = 1000 * 60 * 60;
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ */
+function dayKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Calendar day of a stored or submitted date. Timesheet dates are saved from
+ * YYYY-MM-DD strings, i.e. as UTC midnight, so read them back in UTC.
+ */
+function dateOnly(date) {
+    return date instanceof Date ? date.toISOString().split('T')[0] : String(date).split('T')[0];
+}
+
+/**
+ * Combine a date (Date or YYYY-MM-DD) with an HH:MM time
+ */
+function atTime(date, time) {
+    return new Date(`${dateOnly(date)}T${time}:00`);
+}
+
+/**
+ * Resolve the start and end instants of a shift.
+ * Without an explicit endDate (or with endDate equal to date) an end time at
+ * or before the start time is taken to be on the next day.
+ */
+function resolveShift({ date, endDate, startTime, endTime }) {
+    const start = atTime(date, startTime);
+    let end = atTime(endDate || date, endTime);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return null;
+    }
+
+    const sameDay = !endDate || dateOnly(endDate) === dateOnly(date);
+    if (sameDay && end <= start) {
+        end = new Date(end.getTime() + 24 * HOUR_MS);
+    }
+
+    return { start, end };
+}
+
+/**
+ * Split the time between start and end across calendar days.
+ * The break is taken off each day in proportion to the time worked that day.
+ * Returns [{ date: 'YYYY-MM-DD', hours }] in date order.
+ */
+function splitByDay(start, end, breakMinutes = 0) {
+    const totalMs = Math.max(0, end - start);
+    if (totalMs === 0) return [];
+
+    const segments = [];
+    let cursor = new Date(start);
+    while (cursor < end) {
+        const nextMidnight = new Date(cursor);
+        nextMidnight.setHours(24, 0, 0, 0);
+        const segmentEnd = nextMidnight < end ? nextMidnight : end;
+        segments.push({ date: dayKey(cursor), ms: segmentEnd - cursor });
+        cursor = segmentEnd;
+    }
+
+    const breakMs = Math.min(totalMs, (Number(breakMinutes) || 0) * 60 * 1000);
+    return segments.map(segment => ({
+        date: segment.date,
+        hours: Math.round(((segment.ms - breakMs * (segment.ms / totalMs)) / HOUR_MS) * 100) / 100
+    }));
+}
+
+/**
+ * Hours and per-day split for timesheet input.
+ * Returns null when the date or times cannot be parsed.
+ */
+function calculateEntry({ date, endDate, startTime, endTime, breakMinutes = 0 }) {
+    const shift = resolveShift({ date, endDate, startTime, endTime });
+    if (!shift) return null;
+
+    const bm = Number(breakMinutes) || 0;
+    const diffHours = (shift.end - shift.start) / HOUR_MS;
+    const totalHours = Math.max(0, Math.round((diffHours - bm / 60) * 100) / 100);
+    const dailyHours = splitByDay(shift.start, shift.end, bm);
+
+    return {
+        start: shift.start,
+        end: shift.end,
+        endDate: new Date(dayKey(shift.end)),
+        totalHours,
+        dailyHours
+    };
+}
+
+/**
+ * Per-day hours of a stored timesheet.
+ * Falls back to putting all hours on its date when times are missing.
+ */
+function entryDailyHours(timesheet) {
+    const result = timesheet.startTime && timesheet.endTime ? calculateEntry({
+        date: timesheet.date,
+        endDate: timesheet.endDate,
+        startTime: timesheet.startTime,
+        endTime: timesheet.endTime,
+        breakMinutes: timesheet.breakMinutes
+    }) : null;
+
+    if (!result) return [{ date: dateOnly(timesheet.date), hours: timesheet.totalHours || 0 }];
+    return result.dailyHours;
+}
+
+/**
+ * Add up per-day hours of several timesheets: { 'YYYY-MM-DD': hours }
+ */
+function sumDailyHours(timesheets) {
+    const totals = {};
+    timesheets.forEach(ts => {
+        entryDailyHours(ts).forEach(({ date, hours }) => {
+            totals[date] = (totals[date] || 0) + hours;
+        });
+    });
+    return totals;
+}
+
+module.exports = {
+    dayKey,
+    dateOnly,
+    resolveShift,
+    splitByDay,
+    calculateEntry,
+    entryDailyHours,
+    sumDailyHours
+};
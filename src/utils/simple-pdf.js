@@ -0,0 +1,85 @@
+/**
+ * Simple PDF
+ * Minimal text-only PDF writer (Courier, A4) for printable exports.
+ * Lines are laid out top to bottom and flow onto new pages.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 10;
+const LINE_HEIGHT = 14;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+// Courier glyphs are 0.6em wide
+const CHARS_PER_LINE = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+
+/**
+ * Escape text for a PDF string literal; characters outside Latin-1 become '?'
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/[^\x20-\xff]/g, '?')
+        .replace(/\\/g, '\\\\')
+        .replace(/\(/g, '\\(')
+        .replace(/\)/g, '\\)');
+}
+
+/**
+ * Build a PDF from lines: each a string or { text, bold }, or { pageBreak: true }.
+ * Lines longer than a page is wide are cut off.
+ * Returns a Buffer.
+ */
+function buildPdf(lines) {
+    const pages = [[]];
+    lines.forEach(line => {
+        const current = pages[pages.length - 1];
+        if (line && line.pageBreak) {
+            if (current.length > 0) pages.push([]);
+            return;
+        }
+        if (current.length >= LINES_PER_PAGE) pages.push([]);
+        pages[pages.length - 1].push(typeof line === 'string' ? { text: line } : line);
+    });
+
+    // 1 catalog, 2 page tree, 3-4 fonts, then a page and a content stream per page
+    const objects = [];
+    const pageIds = pages.map((page, i) => 5 + i * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>';
+
+    pages.forEach((page, i) => {
+        const content = page.map((line, row) => {
+            const y = PAGE_HEIGHT - MARGIN - FONT_SIZE - row * LINE_HEIGHT;
+            const text = escapeText(String(line.text || '').slice(0, CHARS_PER_LINE));
+            return `BT /${line.bold ? 'F2' : 'F1'} ${FONT_SIZE} Tf ${MARGIN} ${y} Td (${text}) Tj ET`;
+        }).join('\n');
+
+        objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+        objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+    CHARS_PER_LINE,
+    buildPdf
+};
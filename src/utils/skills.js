@@ -0,0 +1,84 @@
+/**
+ * Skills
+ * Normalizes skill lists (User.skills, Task.requiredSkills) and works out how
+ * well an employee's skills cover a set of required skills
+ */
+
+const httpError = require('./http-error');
+
+const MIN_LEVEL = 1;
+const MAX_LEVEL = 5;
+
+/**
+ * Skill names are compared case-insensitively: 'React ' and 'react' are one skill
+ */
+function skillKey(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * Clean a skill list from a request body. Accepts [{ name, level }], plain
+ * names, or a "react:4, node" string; levelField is 'level' for users and
+ * 'minLevel' for tasks. Duplicates keep the highest level.
+ * Throws a 400 error for an unknown level.
+ */
+function normalizeSkills(input, levelField = 'level') {
+    if (input === undefined || input === null || input === '') return [];
+    const list = typeof input === 'string' ? input.split(',') : input;
+    if (!Array.isArray(list)) throw httpError(400, 'skills must be a list');
+
+    const byName = new Map();
+    list.forEach(item => {
+        let name = item;
+        let level = MIN_LEVEL;
+        if (typeof item === 'string') {
+            [name, level = MIN_LEVEL] = item.split(':');
+        } else if (item && typeof item === 'object') {
+            name = item.name;
+            level = item[levelField] !== undefined ? item[levelField] : item.level;
+        }
+
+        const key = skillKey(name);
+        if (!key) return;
+        level = Number(level === undefined || level === '' ? MIN_LEVEL : level);
+        if (!Number.isInteger(level) || level < MIN_LEVEL || level > MAX_LEVEL) {
+            throw httpError(400, `Skill level for "${key}" must be ${MIN_LEVEL}-${MAX_LEVEL}`);
+        }
+        byName.set(key, Math.max(level, byName.get(key) || 0));
+    });
+
+    return [...byName].map(([name, level]) => ({ name, [levelField]: level }));
+}
+
+/**
+ * Coverage of required skills by an employee's skills: each requirement met
+ * at or above its level counts fully, a lower level counts in proportion.
+ * Returns { score (0-1, 1 when nothing is required), matched, missing }.
+ */
+function skillMatch(skills, required) {
+    if (!required || required.length === 0) return { score: 1, matched: [], missing: [] };
+
+    const levels = new Map((skills || []).map(s => [skillKey(s.name), s.level || MIN_LEVEL]));
+    const matched = [];
+    const missing = [];
+    let total = 0;
+
+    required.forEach(req => {
+        const name = skillKey(req.name);
+        const needed = req.minLevel || MIN_LEVEL;
+        const has = levels.get(name) || 0;
+        total += Math.min(1, has / needed);
+        if (has >= needed) matched.push({ name, level: has, required: needed });
+        else missing.push({ name, level: has, required: needed });
+    });
+
+    return { score: Math.round((total / required.length) * 100) / 100, matched, missing };
+}
+
+module.exports = {
+    MIN_LEVEL,
+    MAX_LEVEL,
+    skillKey,
+    normalizeSkills,
+    skillMatch
+};
@@ -0,0 +1,344 @@
+/**
+ * Task Assignment
+ * Scores employees for open tasks on their current load (open assignments,
+ * remaining estimated hours), upcoming approved leave, recent attendance,
+ * membership of the task's project and the task's required skills, and
+ * assigns or suggests the best match
+ */
+
+const config = require('../config/taskAssignment');
+const Attendance = require('../models/Attendance');
+const Notification = require('../models/Notification');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const nonWorkingDays = require('./non-working-days');
+const shiftHours = require('./shift-hours');
+const skills = require('./skills');
+const taskDependencies = require('./task-dependencies');
+const taskQuery = require('./task-query');
+
+// assignments that are finished and no longer take the employee's time
+const FINISHED_STATUSES = ['approved', 'completed'];
+// assignments waiting on a reviewer: open, but no work left for the employee
+const IN_REVIEW_STATUSES = ['submitted', 'pending_review'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(day, days) {
+    return new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Working days (no weekend, holiday or leave) between two days (inclusive)
+ */
+function workingDays(fromDay, toDay, offDays) {
+    if (fromDay > toDay) return [];
+    return nonWorkingDays.eachDay(fromDay, toDay).filter(day => !nonWorkingDays.isWeekend(day) && !offDays[day]);
+}
+
+/**
+ * Load what the score needs to know about each employee:
+ * { employeeId: { employee, openAssignments, remainingHours, hasRework,
+ *   leaveDaysAhead, workingDaysAhead, attendanceRate, offDays } }
+ */
+async function loadProfiles(employeeIds, now = new Date()) {
+    const today = shiftHours.dayKey(now);
+    const windowStart = addDays(today, -config.attendanceWindowDays);
+    const lookaheadEnd = addDays(today, config.lookaheadDays - 1);
+
+    const [employees, tasks, attendance] = await Promise.all([
+        User.find({ _id: { $in: employeeIds } }).select('name email designation skills createdAt').lean(),
+        Task.find({ 'assignments.employee': { $in: employeeIds }, status: { $ne: 'cancelled' } })
+            .select('estimatedHours assignments.employee assignments.status assignments.progress')
+            .lean(),
+        Attendance.find({ employee: { $in: employeeIds }, checkInTime: { $gte: new Date(`${windowStart}T00:00:00`) } })
+            .select('employee checkInTime')
+            .lean()
+    ]);
+
+    const profiles = {};
+    for (const employee of employees) {
+        const empId = String(employee._id);
+        const offDays = await nonWorkingDays.getNonWorkingDays(employee._id, windowStart, lookaheadEnd);
+
+        // attendance: share of past working days (since joining) with a check-in
+        const joined = shiftHours.dayKey(employee.createdAt || now);
+        const expected = workingDays(joined > windowStart ? joined : windowStart, addDays(today, -1), offDays);
+        const present = new Set(attendance
+            .filter(a => String(a.employee) === empId)
+            .map(a => shiftHours.dayKey(a.checkInTime)));
+        const attended = expected.filter(day => present.has(day)).length;
+
+        const ahead = nonWorkingDays.eachDay(today, lookaheadEnd).filter(day => !nonWorkingDays.isWeekend(day));
+        const leaveDaysAhead = ahead.filter(day => offDays[day] && offDays[day].type === 'leave').length;
+
+        profiles[empId] = {
+            employee,
+            openAssignments: 0,
+            remainingHours: 0,
+            hasRework: false,
+            leaveDaysAhead,
+            workingDaysAhead: ahead.filter(day => !offDays[day]).length,
+            attendanceRate: expected.length ? round(attended / expected.length) : 1,
+            offDays
+        };
+    }
+
+    tasks.forEach(task => {
+        (task.assignments || []).forEach(a => {
+            const profile = profiles[String(a.employee)];
+            if (!profile || FINISHED_STATUSES.includes(a.status)) return;
+            profile.openAssignments++;
+            if (a.status === 'rework_required') profile.hasRework = true;
+            if (!IN_REVIEW_STATUSES.includes(a.status) && task.estimatedHours) {
+                profile.remainingHours += task.estimatedHours * (100 - (a.progress || 0)) / 100;
+            }
+        });
+    });
+    Object.values(profiles).forEach(p => { p.remainingHours = round(p.remainingHours); });
+
+    return profiles;
+}
+
+/**
+ * Score an employee for a task (0-100, higher is a better fit).
+ * Returns { score, eligible, reasons, factors }; factors are the 0-1 inputs.
+ */
+function scoreCandidate(profile, task) {
+    const capacityHours = Math.max(1, profile.workingDaysAhead * config.hoursPerDay);
+    const lookaheadWorkingDays = profile.workingDaysAhead + profile.leaveDaysAhead;
+    const members = (task.project && task.project.employees) || [];
+
+    const factors = {
+        openAssignments: Math.max(0, 1 - profile.openAssignments / config.maxOpenAssignments),
+        remainingHours: Math.max(0, 1 - profile.remainingHours / capacityHours),
+        leave: lookaheadWorkingDays ? 1 - profile.leaveDaysAhead / lookaheadWorkingDays : 1,
+        attendance: profile.attendanceRate,
+        projectMember: members.some(id => String(id._id || id) === String(profile.employee._id)) ? 1 : 0,
+        skills: skills.skillMatch(profile.employee.skills, task.requiredSkills).score
+    };
+
+    let score = 0;
+    Object.keys(config.weights).forEach(key => { score += config.weights[key] * factors[key]; });
+
+    const reasons = [];
+    if (profile.hasRework) reasons.push('Has rework to finish first');
+    if (profile.openAssignments >= config.maxOpenAssignments) reasons.push(`Already has ${profile.openAssignments} open assignments`);
+    if (profile.workingDaysAhead === 0) reasons.push(`On leave for the next ${config.lookaheadDays} days`);
+
+    Object.keys(factors).forEach(key => { factors[key] = round(factors[key]); });
+    return { score: Math.round(score), eligible: reasons.length === 0, reasons, factors };
+}
+
+/**
+ * Deadline for a new assignment: the task's due date, otherwise enough working
+ * days (skipping the employee's leave and holidays) for their remaining hours
+ * plus this task's estimate
+ */
+function planDeadline(task, profile, now = new Date()) {
+    if (task.dueDate) return new Date(task.dueDate);
+
+    const needed = task.estimatedHours ?
+        Math.max(1, Math.ceil((profile.remainingHours + task.estimatedHours) / config.hoursPerDay)) :
+        config.defaultDeadlineDays;
+
+    let day = shiftHours.dayKey(now);
+    let counted = 0;
+    while (counted < needed) {
+        day = addDays(day, 1);
+        if (!nonWorkingDays.isWeekend(day) && !profile.offDays[day]) counted++;
+    }
+    return new Date(`${day}T23:59:59`);
+}
+
+/**
+ * Open, unblocked tasks, highest priority first, then earliest due date
+ * (tasks without one last), then oldest. Pass employeeId to leave out tasks
+ * they are already assigned to.
+ */
+async function openTasks(employeeId) {
+    const filter = { status: taskQuery.statusCondition(['open', 'in_progress']) };
+    if (employeeId) filter['assignments.employee'] = { $ne: employeeId };
+
+    const tasks = (await Task.find(filter).populate('project', 'name employees'))
+        .sort((a, b) => (b.priority || 2) - (a.priority || 2) ||
+            (a.dueDate ? a.dueDate.getTime() : Infinity) - (b.dueDate ? b.dueDate.getTime() : Infinity) ||
+            a.createdAt - b.createdAt);
+
+    const blockers = await taskDependencies.loadBlockers(tasks);
+    return tasks.filter(t => (blockers[String(t._id)] || []).length === 0);
+}
+
+function summarizeProfile(profile) {
+    const { employee, offDays, ...rest } = profile;
+    return { employee: { _id: employee._id, name: employee.name, email: employee.email }, ...rest };
+}
+
+function summarizeTask(task) {
+    return {
+        _id: task._id,
+        title: task.title,
+        project: task.project ? { _id: task.project._id, name: task.project.name } : null,
+        priority: task.priority,
+        priorityLabel: taskQuery.priorityLabel(task.priority),
+        requiredSkills: task.requiredSkills,
+        estimatedHours: task.estimatedHours,
+        dueDate: task.dueDate
+    };
+}
+
+/**
+ * Tasks that suit an employee best. The employee part of the score is the
+ * same for every task, so project membership decides first, then task order.
+ * Returns { profile, eligible, reasons, suggestions: [{ task, score, factors, deadline }] }
+ */
+async function suggestTasksForEmployee(employeeId, { limit = 5, now = new Date() } = {}) {
+    const [profiles, tasks] = await Promise.all([loadProfiles([employeeId], now), openTasks(employeeId)]);
+    const profile = profiles[String(employeeId)];
+    if (!profile) return null;
+
+    const scored = tasks.map((task, order) => ({ task, order, ...scoreCandidate(profile, task) }))
+        .sort((a, b) => b.score - a.score || a.order - b.order);
+    const base = scored.length ? scored[0] : scoreCandidate(profile, {});
+
+    return {
+        profile: summarizeProfile(profile),
+        eligible: base.eligible,
+        reasons: base.reasons,
+        suggestions: scored.slice(0, limit).map(s => ({
+            task: summarizeTask(s.task),
+            score: s.score,
+            factors: s.factors,
+            deadline: planDeadline(s.task, profile, now)
+        }))
+    };
+}
+
+/**
+ * Employees ranked for a task. Defaults to every active employee not already
+ * assigned to it; ineligible employees are listed last with their reasons.
+ */
+async function suggestEmployeesForTask(taskId, { employeeIds, limit = 10, now = new Date() } = {}) {
+    const task = await Task.findById(taskId).populate('project', 'name employees');
+    if (!task) return null;
+
+    const assigned = new Set((task.assignments || []).map(a => String(a.employee)));
+    const ids = employeeIds || (await User.find({ role: 'employee', isActive: { $ne: false } }).select('_id').lean())
+        .map(u => u._id);
+
+    const profiles = await loadProfiles(ids.filter(id => !assigned.has(String(id))), now);
+    const candidates = Object.values(profiles)
+        .map(profile => ({ profile, ...scoreCandidate(profile, task) }))
+        .sort((a, b) => (b.eligible - a.eligible) || b.score - a.score);
+
+    return {
+        task: summarizeTask(task),
+        candidates: candidates.slice(0, limit).map(c => ({
+            employee: summarizeProfile(c.profile).employee,
+            score: c.score,
+            eligible: c.eligible,
+            reasons: c.reasons,
+            factors: c.factors,
+            workload: { openAssignments: c.profile.openAssignments, remainingHours: c.profile.remainingHours },
+            deadline: planDeadline(task, c.profile, now)
+        }))
+    };
+}
+
+/**
+ * Employees ranked for project staffing: skill coverage first, then the
+ * overall fit (load, leave, attendance, membership). task is a Task or
+ * { project, requiredSkills }; employees below minMatch skill coverage are
+ * left out. Returns [{ employee, skillMatch, score, eligible, reasons, factors, workload }].
+ */
+async function rankForStaffing(task, { minMatch = 0, limit = 20, now = new Date() } = {}) {
+    const ids = (await User.find({ role: 'employee', isActive: { $ne: false } }).select('_id').lean()).map(u => u._id);
+    const profiles = await loadProfiles(ids, now);
+
+    return Object.values(profiles)
+        .map(profile => {
+            const match = skills.skillMatch(profile.employee.skills, task.requiredSkills);
+            return { profile, match, ...scoreCandidate(profile, task) };
+        })
+        .filter(c => c.match.score >= minMatch && (c.match.score > 0 || !(task.requiredSkills || []).length))
+        .sort((a, b) => b.match.score - a.match.score || (b.eligible - a.eligible) || b.score - a.score)
+        .slice(0, limit)
+        .map(c => ({
+            employee: { ...summarizeProfile(c.profile).employee, designation: c.profile.employee.designation, skills: c.profile.employee.skills },
+            skillMatch: c.match,
+            score: c.score,
+            eligible: c.eligible,
+            reasons: c.reasons,
+            factors: c.factors,
+            workload: {
+                openAssignments: c.profile.openAssignments,
+                remainingHours: c.profile.remainingHours,
+                leaveDaysAhead: c.profile.leaveDaysAhead,
+                attendanceRate: c.profile.attendanceRate
+            }
+        }));
+}
+
+/**
+ * Add an assignment for the employee and notify them
+ */
+async function assignTask(task, employeeId, deadline) {
+    task.assignments.push({ employee: employeeId, status: 'assigned', deadline });
+    await task.save();
+
+    await Notification.create({
+        user: employeeId,
+        type: 'task_assigned',
+        title: '🎯 New Task Assigned',
+        body: `You have been assigned a new task: "${task.title}"`,
+        meta: {
+            taskId: task._id,
+            taskTitle: task.title,
+            priority: task.priority,
+            deadline
+        }
+    });
+    return task;
+}
+
+/**
+ * Assign the best-suited open task to an employee, or a given task when taskId
+ * is passed. Returns { task, suggestion } or { task: null, reasons }.
+ */
+async function assignNext(employeeId, { taskId, now = new Date() } = {}) {
+    if (taskId) {
+        const ranked = await suggestEmployeesForTask(taskId, { employeeIds: [employeeId], now });
+        if (!ranked) return { task: null, reasons: ['Task not found'] };
+        const candidate = ranked.candidates[0];
+        if (!candidate) return { task: null, reasons: ['Employee is already assigned to this task'] };
+        if (!candidate.eligible) return { task: null, reasons: candidate.reasons };
+
+        const task = await Task.findById(taskId);
+        if (['done', 'cancelled'].includes(task.status)) return { task: null, reasons: [`Task is ${task.status}`] };
+        await taskDependencies.assertNotBlocked(task);
+        return { task: await assignTask(task, employeeId, candidate.deadline), suggestion: candidate };
+    }
+
+    const result = await suggestTasksForEmployee(employeeId, { limit: 1, now });
+    if (!result) return { task: null, reasons: ['Employee not found'] };
+    if (!result.eligible) return { task: null, reasons: result.reasons };
+    if (result.suggestions.length === 0) return { task: null, reasons: ['No open tasks available'] };
+
+    const suggestion = result.suggestions[0];
+    const task = await Task.findById(suggestion.task._id);
+    return { task: await assignTask(task, employeeId, suggestion.deadline), suggestion };
+}
+
+module.exports = {
+    loadProfiles,
+    scoreCandidate,
+    planDeadline,
+    suggestTasksForEmployee,
+    suggestEmployeesForTask,
+    rankForStaffing,
+    assignTask,
+    assignNext
+};
@@ -0,0 +1,207 @@
+/**
+ * Task Dependencies
+ * Predecessor links between tasks of a project: cycle detection, the
+ * computed blocked state (a predecessor is not done or cancelled yet) and
+ * the project's critical path
+ */
+
+const Task = require('../models/Task');
+const httpError = require('./http-error');
+const { DONE_STATUSES } = require('./milestones');
+
+// task statuses that release a task's successors
+const RELEASED_STATUSES = ['done', 'cancelled'];
+
+/**
+ * A task is done once its status says so (Task.status follows the
+ * assignments); tasks stored without a status fall back to their assignments
+ */
+function isTaskDone(task) {
+    if (task.status) return task.status === 'done';
+    const assignments = task.assignments || [];
+    return assignments.length > 0 && assignments.every(a => DONE_STATUSES.includes(a.status));
+}
+
+/**
+ * Whether a predecessor no longer holds up its successors: done or cancelled
+ */
+function isTaskReleased(task) {
+    return RELEASED_STATUSES.includes(task.status) || isTaskDone(task);
+}
+
+/**
+ * Path of task ids that would close a loop if taskId depended on
+ * predecessorIds, or null. graph: Map taskId -> [predecessor ids]
+ */
+function findCycle(graph, taskId, predecessorIds) {
+    const target = String(taskId);
+    const visited = new Set();
+
+    const walk = (id, path) => {
+        if (id === target) return path;
+        if (visited.has(id)) return null;
+        visited.add(id);
+        for (const next of graph.get(id) || []) {
+            const found = walk(String(next), path.concat(String(next)));
+            if (found) return found;
+        }
+        return null;
+    };
+
+    for (const pred of predecessorIds) {
+        const found = walk(String(pred), [target, String(pred)]);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Check that a task may depend on predecessorIds: they exist, belong to the
+ * same project, and no cycle is formed. Throws an httpError otherwise.
+ * Returns the de-duplicated predecessor ids.
+ */
+async function validateDependencies(task, predecessorIds) {
+    const ids = [...new Set((predecessorIds || []).map(String))];
+    if (ids.includes(String(task._id))) throw httpError(400, 'A task cannot depend on itself');
+
+    const projectTasks = await Task.find({ project: task.project }).select('title dependencies').lean();
+    const byId = new Map(projectTasks.map(t => [String(t._id), t]));
+
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length > 0) {
+        throw httpError(400, `Dependencies must be tasks of the same project (unknown: ${missing.join(', ')})`);
+    }
+
+    const graph = new Map(projectTasks.map(t => [String(t._id), (t.dependencies || []).map(String)]));
+    const cycle = findCycle(graph, task._id, ids);
+    if (cycle) {
+        const titles = cycle.map(id => (byId.get(id) || task).title);
+        throw httpError(400, `Dependency cycle: ${titles.join(' → ')}`);
+    }
+
+    return ids;
+}
+
+/**
+ * Unfinished predecessors per task: { taskId: [{ _id, title }] }
+ */
+async function loadBlockers(tasks) {
+    const ids = [...new Set(tasks.flatMap(t => (t.dependencies || []).map(String)))];
+    if (ids.length === 0) return {};
+
+    const predecessors = await Task.find({ _id: { $in: ids } }).select('title status assignments').lean();
+    const open = new Map(predecessors.filter(p => !isTaskReleased(p)).map(p => [String(p._id), { _id: p._id, title: p.title }]));
+
+    const blockers = {};
+    tasks.forEach(t => {
+        blockers[String(t._id)] = (t.dependencies || []).map(id => open.get(String(id))).filter(Boolean);
+    });
+    return blockers;
+}
+
+/**
+ * Add `blocked` and `blockedBy` to plain (lean) task objects
+ */
+async function annotateBlocked(tasks) {
+    const blockers = await loadBlockers(tasks);
+    tasks.forEach(t => {
+        t.blockedBy = blockers[String(t._id)] || [];
+        t.blocked = t.blockedBy.length > 0;
+    });
+    return tasks;
+}
+
+/**
+ * Throw an httpError if a task cannot be worked on yet
+ */
+async function assertNotBlocked(task) {
+    const blockers = (await loadBlockers([task]))[String(task._id)] || [];
+    if (blockers.length > 0) {
+        throw httpError(400, `Task is blocked until these are done: ${blockers.map(b => b.title).join(', ')}`);
+    }
+}
+
+/**
+ * Remaining work of a task in the critical-path calculation, in hours: done
+ * or cancelled tasks take no more time, tasks without an estimate count as 1h
+ */
+function taskDuration(task) {
+    if (isTaskDone(task) || task.status === 'cancelled') return 0;
+    return task.estimatedHours || 1;
+}
+
+/**
+ * Critical path of a project's remaining work: earliest/latest start and
+ * finish and slack of every task, plus the chain with no slack.
+ * tasks: plain tasks with dependencies and assignments (an acyclic graph).
+ */
+function criticalPath(tasks) {
+    const byId = new Map(tasks.map(t => [String(t._id), t]));
+    const preds = new Map(tasks.map(t => [String(t._id), (t.dependencies || []).map(String).filter(id => byId.has(id))]));
+    const succs = new Map(tasks.map(t => [String(t._id), []]));
+    preds.forEach((list, id) => list.forEach(p => succs.get(p).push(id)));
+
+    // topological order (Kahn)
+    const indegree = new Map([...preds].map(([id, list]) => [id, list.length]));
+    const queue = [...indegree].filter(([, n]) => n === 0).map(([id]) => id);
+    const order = [];
+    while (queue.length) {
+        const id = queue.shift();
+        order.push(id);
+        succs.get(id).forEach(s => {
+            indegree.set(s, indegree.get(s) - 1);
+            if (indegree.get(s) === 0) queue.push(s);
+        });
+    }
+
+    const schedule = new Map();
+    order.forEach(id => {
+        const start = Math.max(0, ...preds.get(id).map(p => schedule.get(p).earliestFinish));
+        schedule.set(id, { earliestStart: start, earliestFinish: start + taskDuration(byId.get(id)) });
+    });
+
+    const length = Math.max(0, ...[...schedule.values()].map(s => s.earliestFinish));
+    [...order].reverse().forEach(id => {
+        const entry = schedule.get(id);
+        entry.latestFinish = Math.min(length, ...succs.get(id).map(s => schedule.get(s).latestStart));
+        entry.latestStart = entry.latestFinish - taskDuration(byId.get(id));
+        entry.slack = entry.latestStart - entry.earliestStart;
+    });
+
+    const rows = order.map(id => {
+        const task = byId.get(id);
+        const entry = schedule.get(id);
+        return {
+            _id: task._id,
+            title: task.title,
+            done: isTaskDone(task),
+            dependencies: preds.get(id),
+            ...entry,
+            critical: entry.slack === 0 && taskDuration(task) > 0
+        };
+    });
+
+    // follow zero-slack tasks from a start to the end of the project
+    const path = [];
+    let current = rows.find(r => r.critical && r.earliestStart === 0);
+    while (current) {
+        path.push({ _id: current._id, title: current.title });
+        const next = succs.get(String(current._id))
+            .map(id => rows.find(r => String(r._id) === id))
+            .find(r => r.critical && r.earliestStart === current.earliestFinish);
+        current = next;
+    }
+
+    return { length, path, tasks: rows };
+}
+
+module.exports = {
+    isTaskDone,
+    isTaskReleased,
+    findCycle,
+    validateDependencies,
+    loadBlockers,
+    annotateBlocked,
+    assertNotBlocked,
+    criticalPath
+};
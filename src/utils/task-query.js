@@ -0,0 +1,110 @@
+/**
+ * Task Query
+ * Filtering and sorting of task lists by priority, status, due date and
+ * estimate, and the estimate vs logged-hours variance of each task
+ */
+
+const Timesheet = require('../models/Timesheet');
+
+const PRIORITIES = { low: 1, medium: 2, high: 3, critical: 4 };
+const SORT_FIELDS = ['priority', 'dueDate', 'estimatedHours', 'status', 'createdAt', 'title'];
+// statuses that still need work
+const ACTIVE_STATUSES = ['open', 'in_progress', 'in_review'];
+
+/**
+ * Priority from a label ('high') or number (3); null if invalid
+ */
+function parsePriority(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = PRIORITIES[String(value).toLowerCase()] || Number(value);
+    return Number.isInteger(n) && n >= 1 && n <= 4 ? n : null;
+}
+
+function priorityLabel(value) {
+    return Object.keys(PRIORITIES).find(label => PRIORITIES[label] === value) || 'medium';
+}
+
+/**
+ * Condition matching any of the given statuses. Tasks saved before task
+ * statuses existed have none and count as 'open'.
+ */
+function statusCondition(statuses) {
+    return statuses.includes('open') ? { $in: [...statuses, null] } : { $in: statuses };
+}
+
+function listParam(value) {
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Mongo filter from query params:
+ * status (comma list), priority (comma list of labels/numbers),
+ * dueBefore / dueAfter (dates), overdue=true
+ */
+function buildTaskFilter(query) {
+    const filter = {};
+
+    if (query.status) filter.status = statusCondition(listParam(query.status));
+
+    if (query.priority) {
+        const priorities = listParam(query.priority).map(parsePriority).filter(Boolean);
+        if (priorities.length) filter.priority = { $in: priorities };
+    }
+
+    const due = {};
+    if (query.dueBefore && !isNaN(new Date(query.dueBefore))) due.$lte = new Date(query.dueBefore);
+    if (query.dueAfter && !isNaN(new Date(query.dueAfter))) due.$gte = new Date(query.dueAfter);
+    if (query.overdue === 'true') {
+        due.$lt = new Date();
+        if (!query.status) filter.status = statusCondition(ACTIVE_STATUSES);
+    }
+    if (Object.keys(due).length) filter.dueDate = due;
+
+    return filter;
+}
+
+/**
+ * Mongo sort from ?sort=, e.g. "-priority,dueDate" (unknown fields ignored)
+ */
+function buildTaskSort(sort, fallback = { createdAt: -1 }) {
+    const result = {};
+    listParam(sort || '').forEach(part => {
+        const field = part.replace(/^-/, '');
+        if (SORT_FIELDS.includes(field)) result[field] = part.startsWith('-') ? -1 : 1;
+    });
+    return Object.keys(result).length ? result : fallback;
+}
+
+/**
+ * Add priorityLabel, loggedHours (non-rejected timesheets against the task)
+ * and the variance against estimatedHours to plain (lean) task objects
+ */
+async function attachVariance(tasks) {
+    if (tasks.length === 0) return tasks;
+
+    const logged = await Timesheet.aggregate([
+        { $match: { task: { $in: tasks.map(t => t._id) }, status: { $ne: 'rejected' } } },
+        { $group: { _id: '$task', hours: { $sum: '$totalHours' } } }
+    ]);
+    const byTask = new Map(logged.map(l => [String(l._id), l.hours]));
+
+    tasks.forEach(t => {
+        const hours = Math.round((byTask.get(String(t._id)) || 0) * 100) / 100;
+        t.priorityLabel = priorityLabel(t.priority || PRIORITIES.medium);
+        t.loggedHours = hours;
+        t.varianceHours = t.estimatedHours ? Math.round((hours - t.estimatedHours) * 100) / 100 : null;
+        t.variancePercent = t.estimatedHours ? Math.round(((hours - t.estimatedHours) / t.estimatedHours) * 100) : null;
+    });
+    return tasks;
+}
+
+module.exports = {
+    PRIORITIES,
+    ACTIVE_STATUSES,
+    parsePriority,
+    priorityLabel,
+    statusCondition,
+    buildTaskFilter,
+    buildTaskSort,
+    attachVariance
+};
@@ -0,0 +1,27 @@
+/**
+ * Team helpers
+ * Resolves the employees a manager is responsible for
+ */
+
+const Project = require('../models/Project');
+const User = require('../models/User');
+
+/**
+ * IDs of a manager's team: direct reports (User.manager), falling back to the
+ * employees of the projects they manage when nobody reports to them directly
+ */
+async function getTeamMemberIds(managerId) {
+    const reports = await User.find({ manager: managerId }).select('_id');
+    if (reports.length > 0) return reports.map(u => u._id);
+
+    const projects = await Project.find({ manager: managerId }).select('employees');
+    const ids = {};
+    projects.forEach(p => (p.employees || []).forEach(e => {
+        if (e) ids[String(e)] = e;
+    }));
+    return Object.values(ids);
+}
+
+module.exports = {
+    getTeamMemberIds
+};
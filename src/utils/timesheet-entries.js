@@ -0,0 +1,141 @@
+/**
+ * Timesheet Entries
+ * Checks shared by every way of creating entries (form, timer, copy, templates)
+ * and bulk creation of draft entries
+ */
+
+const Timesheet = require('../models/Timesheet');
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+const overtimePolicy = require('./overtime-policy');
+const projectBudget = require('./project-budget');
+const shiftHours = require('./shift-hours');
+const timesheetHistory = require('./timesheet-history');
+
+/**
+ * Error message if adding these per-day hours would push any calendar day
+ * past 24 hours, counting every non-rejected entry that touches that day
+ */
+async function dailyLimitError(employeeId, dailyHours, excludeId) {
+    if (dailyHours.length === 0) return null;
+
+    const first = new Date(dailyHours[0].date);
+    const last = new Date(dailyHours[dailyHours.length - 1].date);
+    last.setUTCHours(23, 59, 59, 999);
+    const dayBefore = new Date(first.getTime() - 24 * 60 * 60 * 1000);
+
+    const query = {
+        employee: employeeId,
+        status: { $ne: 'rejected' }, // Don't count rejected timesheets
+        $or: [
+            // same days, or the previous evening running past midnight
+            { date: { $gte: dayBefore, $lte: last } },
+            // multi-day entries that started earlier
+            { date: { $lte: last }, endDate: { $gte: first } }
+        ]
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    const existingByDay = shiftHours.sumDailyHours(await Timesheet.find(query));
+
+    for (const day of dailyHours) {
+        const existing = existingByDay[day.date] || 0;
+        const total = existing + day.hours;
+        if (total > 24) {
+            return `Total hours for ${new Date(day.date).toLocaleDateString()} would be ${total.toFixed(1)}h, exceeding 24 hours. Existing: ${existing.toFixed(1)}h, New: ${day.hours.toFixed(1)}h.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Reason an entry in this period can no longer be changed (null while editable)
+ */
+function periodClosedMessage(period) {
+    if (!period || period.isEditable()) return null;
+    return period.status === 'locked' ?
+        'This week has been locked for payroll and can no longer be changed' :
+        'This week has already been submitted for approval';
+}
+
+/**
+ * Create draft entries for an employee.
+ * entries: [{ date: 'YYYY-MM-DD', startTime, endTime, breakMinutes, project, task, description }]
+ * Entries that duplicate an existing one (same day and times), fall in a closed
+ * period or break the 24h-per-day limit are skipped with a reason.
+ * Returns { created: [Timesheet], skipped: [{ date, startTime, reason }] }
+ */
+async function createDraftEntries(employeeId, entries) {
+    const created = [];
+    const skipped = [];
+    const weeks = new Set();
+    const projects = new Set();
+
+    for (const input of entries) {
+        const skip = reason => skipped.push({ date: input.date, startTime: input.startTime, reason });
+
+        const entry = shiftHours.calculateEntry(input);
+        if (!entry || entry.totalHours <= 0) {
+            skip('Invalid date or time');
+            continue;
+        }
+
+        const duplicate = await Timesheet.exists({
+            employee: employeeId,
+            date: new Date(input.date),
+            startTime: input.startTime,
+            endTime: input.endTime,
+            status: { $ne: 'rejected' }
+        });
+        if (duplicate) {
+            skip('An entry with the same times already exists');
+            continue;
+        }
+
+        const period = await TimesheetPeriod.findOrCreateFor(employeeId, input.date);
+        const closed = periodClosedMessage(period);
+        if (closed) {
+            skip(closed);
+            continue;
+        }
+
+        const limitError = await dailyLimitError(employeeId, entry.dailyHours);
+        if (limitError) {
+            skip(limitError);
+            continue;
+        }
+
+        const ts = await Timesheet.create({
+            employee: employeeId,
+            project: input.project,
+            task: input.task,
+            description: input.description,
+            date: new Date(input.date),
+            endDate: entry.endDate,
+            startTime: input.startTime,
+            endTime: input.endTime,
+            breakMinutes: Number(input.breakMinutes) || 0,
+            totalHours: entry.totalHours,
+            period: period._id,
+            status: 'draft'
+        });
+        await timesheetHistory.record(ts, { action: 'create', actor: employeeId });
+        created.push(ts);
+        weeks.add(overtimePolicy.weekKey(input.date));
+        if (ts.project) projects.add(String(ts.project));
+    }
+
+    for (const week of weeks) {
+        await overtimePolicy.recalculateTimesheetWeek(employeeId, week);
+    }
+    for (const projectId of projects) {
+        await projectBudget.checkBudgetAlerts(projectId);
+    }
+
+    return { created, skipped };
+}
+
+module.exports = {
+    dailyLimitError,
+    periodClosedMessage,
+    createDraftEntries
+};
@@ -0,0 +1,107 @@
+/**
+ * Timesheet History
+ * Records a versioned audit entry (actor, time, field-level diff) for every
+ * create, update, submit, approve/reject and lock of a timesheet entry
+ */
+
+const Timesheet = require('../models/Timesheet');
+const TimesheetHistory = require('../models/TimesheetHistory');
+
+// fields auditors care about; derived overtime figures are left out
+const TRACKED_FIELDS = [
+    'date', 'endDate', 'startTime', 'endTime', 'breakMinutes', 'totalHours',
+    'project', 'task', 'billable', 'description', 'status', 'managerRemarks', 'period'
+];
+
+/**
+ * Comparable plain value: ids as strings, dates as ISO strings
+ */
+function plain(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object' && value._id) return String(value._id);
+    return value;
+}
+
+/**
+ * Tracked fields of a timesheet as plain values
+ */
+function snapshot(timesheet) {
+    const result = {};
+    TRACKED_FIELDS.forEach(field => {
+        result[field] = plain(timesheet[field]);
+    });
+    return result;
+}
+
+/**
+ * Field-level differences between two snapshots; with no `before` every
+ * field that has a value counts as a change from null
+ */
+function diff(before, after) {
+    const previous = before || {};
+    return TRACKED_FIELDS
+        .filter(field => String(previous[field] ?? null) !== String(after[field]))
+        .map(field => ({ field, from: previous[field] ?? null, to: after[field] }));
+}
+
+/**
+ * Add a history version for a timesheet.
+ * before: snapshot taken before the change (null for create).
+ * An update that changed none of the tracked fields is not recorded.
+ */
+async function record(timesheet, { action, actor, before = null, level, remarks }) {
+    const after = snapshot(timesheet);
+    const changes = diff(before, after);
+    if (action === 'update' && changes.length === 0) return null;
+
+    // two writers may race for the same version number; retry once
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const last = await TimesheetHistory.findOne({ timesheet: timesheet._id }).sort({ version: -1 }).select('version');
+        try {
+            return await TimesheetHistory.create({
+                timesheet: timesheet._id,
+                version: last ? last.version + 1 : 1,
+                action,
+                actor: actor ? actor._id || actor : null,
+                level,
+                remarks,
+                changes,
+                snapshot: after
+            });
+        } catch (err) {
+            if (err.code !== 11000 || attempt === 1) throw err;
+        }
+    }
+    return null;
+}
+
+/**
+ * Apply the same $set to every timesheet matching filter and record it in
+ * each entry's history. Returns the number of entries changed.
+ */
+async function updateMany(filter, set, options) {
+    const entries = await Timesheet.find(filter);
+    if (entries.length === 0) return 0;
+
+    const ids = entries.map(ts => ts._id);
+    await Timesheet.updateMany({ _id: { $in: ids } }, { $set: set });
+
+    const updated = await Timesheet.find({ _id: { $in: ids } });
+    const before = {};
+    entries.forEach(ts => {
+        before[String(ts._id)] = snapshot(ts);
+    });
+    for (const ts of updated) {
+        await record(ts, { ...options, before: before[String(ts._id)] });
+    }
+    return entries.length;
+}
+
+module.exports = {
+    TRACKED_FIELDS,
+    snapshot,
+    diff,
+    record,
+    updateMany
+};
@@ -0,0 +1,128 @@
+/**
+ * Timesheet Reconciliation
+ * Compares attendance presence (check-in/check-out) with logged timesheet hours
+ * per employee per day and flags the discrepancies
+ */
+
+const Attendance = require('../models/Attendance');
+const Timesheet = require('../models/Timesheet');
+const User = require('../models/User');
+const shiftHours = require('./shift-hours');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TOLERANCE_HOURS = 0.25;
+
+const FLAGS = {
+    TIMESHEET_WITHOUT_ATTENDANCE: 'timesheet_without_attendance',
+    ATTENDANCE_WITHOUT_TIMESHEET: 'attendance_without_timesheet',
+    TIMESHEET_EXCEEDS_ATTENDANCE: 'timesheet_exceeds_attendance'
+};
+
+function round(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+/**
+ * Attendance hours per employee per day: { employeeId: { 'YYYY-MM-DD': { hours, open } } }.
+ * Records still checked in count up to now.
+ */
+function attendanceByDay(records, now = new Date()) {
+    const result = {};
+    records.forEach(a => {
+        const empId = String(a.employee);
+        const end = a.checkOutTime || now;
+        result[empId] = result[empId] || {};
+        shiftHours.splitByDay(a.checkInTime, end).forEach(({ date, hours }) => {
+            const day = result[empId][date] || { hours: 0, open: false };
+            day.hours += hours;
+            day.open = day.open || !a.checkOutTime;
+            result[empId][date] = day;
+        });
+    });
+    return result;
+}
+
+/**
+ * Reconcile attendance and timesheets for the given employees between two
+ * YYYY-MM-DD days (inclusive).
+ * Returns { rows, summary }; each row is one employee-day with any hours.
+ */
+async function reconcile({ employeeIds, from, to, tolerance = DEFAULT_TOLERANCE_HOURS }) {
+    const fromDate = new Date(`${from}T00:00:00`);
+    const toDate = new Date(`${to}T23:59:59.999`);
+
+    // a day earlier to catch overnight shifts that run into the range
+    const [attendance, timesheets, employees] = await Promise.all([
+        Attendance.find({
+            employee: { $in: employeeIds },
+            checkInTime: { $gte: new Date(fromDate.getTime() - DAY_MS), $lte: toDate }
+        }).lean(),
+        Timesheet.find({
+            employee: { $in: employeeIds },
+            status: { $ne: 'rejected' },
+            date: { $gte: new Date(new Date(from).getTime() - DAY_MS), $lte: new Date(`${to}T23:59:59.999Z`) }
+        }).lean(),
+        User.find({ _id: { $in: employeeIds } }).select('name email department').lean()
+    ]);
+
+    const presence = attendanceByDay(attendance);
+
+    const logged = {};
+    timesheets.forEach(ts => {
+        const empId = String(ts.employee);
+        logged[empId] = logged[empId] || {};
+        shiftHours.entryDailyHours(ts).forEach(({ date, hours }) => {
+            logged[empId][date] = (logged[empId][date] || 0) + hours;
+        });
+    });
+
+    const rows = [];
+    employees.forEach(emp => {
+        const empId = String(emp._id);
+        const days = new Set([
+            ...Object.keys(presence[empId] || {}),
+            ...Object.keys(logged[empId] || {})
+        ]);
+
+        days.forEach(date => {
+            if (date < from || date > to) return;
+
+            const att = (presence[empId] || {})[date];
+            const attendanceHours = att ? round(att.hours) : 0;
+            const timesheetHours = round((logged[empId] || {})[date] || 0);
+
+            const flags = [];
+            if (!att && timesheetHours > 0) flags.push(FLAGS.TIMESHEET_WITHOUT_ATTENDANCE);
+            if (att && timesheetHours === 0) flags.push(FLAGS.ATTENDANCE_WITHOUT_TIMESHEET);
+            if (att && timesheetHours > attendanceHours + tolerance) flags.push(FLAGS.TIMESHEET_EXCEEDS_ATTENDANCE);
+
+            rows.push({
+                employee: { _id: emp._id, name: emp.name, email: emp.email, department: emp.department },
+                date,
+                attendanceHours,
+                timesheetHours,
+                gap: round(attendanceHours - timesheetHours),
+                stillCheckedIn: !!(att && att.open),
+                flags
+            });
+        });
+    });
+
+    rows.sort((a, b) => b.date.localeCompare(a.date) || String(a.employee.name).localeCompare(String(b.employee.name)));
+
+    const summary = {
+        rows: rows.length,
+        discrepancies: rows.filter(r => r.flags.length > 0).length
+    };
+    Object.values(FLAGS).forEach(flag => {
+        summary[flag] = rows.filter(r => r.flags.includes(flag)).length;
+    });
+
+    return { rows, summary };
+}
+
+module.exports = {
+    FLAGS,
+    DEFAULT_TOLERANCE_HOURS,
+    reconcile
+};
@@ -0,0 +1,178 @@
+/**
+ * Timesheet Timer
+ * Start/pause/resume/stop timer that records a draft Timesheet as the employee
+ * works. The running entry lives in the database, so it survives page reloads.
+ */
+
+const Task = require('../models/Task');
+const Timesheet = require('../models/Timesheet');
+const TimesheetHistory = require('../models/TimesheetHistory');
+const TimesheetPeriod = require('../models/TimesheetPeriod');
+const httpError = require('./http-error');
+const overtimePolicy = require('./overtime-policy');
+const projectBudget = require('./project-budget');
+const shiftHours = require('./shift-hours');
+const { dailyLimitError, periodClosedMessage } = require('./timesheet-entries');
+const timesheetHistory = require('./timesheet-history');
+
+const ACTIVE_STATES = ['running', 'paused'];
+
+/**
+ * Local HH:MM of a date
+ */
+function toTime(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Paused milliseconds, counting an open pause up to `at`
+ */
+function pausedMs(timesheet, at = new Date()) {
+    return (timesheet.timer.pauses || []).reduce((sum, p) => sum + ((p.end || at) - p.start), 0);
+}
+
+/**
+ * Worked milliseconds so far (elapsed minus pauses)
+ */
+function elapsedMs(timesheet, at = new Date()) {
+    const end = timesheet.timer.stoppedAt || at;
+    return Math.max(0, end - timesheet.timer.startedAt - pausedMs(timesheet, end));
+}
+
+/**
+ * The employee's running or paused timer entry, if any
+ */
+function getActiveTimer(employeeId) {
+    return Timesheet.findOne({ employee: employeeId, 'timer.state': { $in: ACTIVE_STATES } })
+        .populate('project', 'name')
+        .populate('task', 'title');
+}
+
+/**
+ * Start a timer: creates a draft entry starting now
+ */
+async function startTimer(employeeId, { project, task, description } = {}) {
+    const active = await getActiveTimer(employeeId);
+    if (active) throw httpError(400, 'A timer is already running. Stop it before starting a new one.');
+
+    // the task's project is used when no project is given
+    if (task && !project) {
+        const taskDoc = await Task.findById(task).select('project');
+        if (!taskDoc) throw httpError(404, 'Task not found');
+        project = taskDoc.project;
+    }
+
+    const now = new Date();
+    const day = shiftHours.dayKey(now);
+    const period = await TimesheetPeriod.findOrCreateFor(employeeId, day);
+    const closed = periodClosedMessage(period);
+    if (closed) throw httpError(403, closed);
+
+    const ts = await Timesheet.create({
+        employee: employeeId,
+        project,
+        task,
+        description,
+        period: period._id,
+        date: new Date(day),
+        startTime: toTime(now),
+        totalHours: 0,
+        status: 'draft',
+        timer: { state: 'running', startedAt: now, pauses: [] }
+    });
+    await timesheetHistory.record(ts, { action: 'create', actor: employeeId });
+    return ts;
+}
+
+/**
+ * Pause the running timer
+ */
+async function pauseTimer(employeeId) {
+    const ts = await getActiveTimer(employeeId);
+    if (!ts) throw httpError(404, 'No running timer');
+    if (ts.timer.state === 'paused') throw httpError(400, 'Timer is already paused');
+
+    ts.timer.pauses.push({ start: new Date() });
+    ts.timer.state = 'paused';
+    return ts.save();
+}
+
+/**
+ * Resume a paused timer
+ */
+async function resumeTimer(employeeId) {
+    const ts = await getActiveTimer(employeeId);
+    if (!ts) throw httpError(404, 'No running timer');
+    if (ts.timer.state !== 'paused') throw httpError(400, 'Timer is not paused');
+
+    ts.timer.pauses[ts.timer.pauses.length - 1].end = new Date();
+    ts.timer.state = 'running';
+    return ts.save();
+}
+
+/**
+ * Stop the active timer and turn it into a regular draft entry:
+ * end time is now, pauses become breakMinutes.
+ * Returns null when there is no active timer. A timer stopped within the
+ * same minute it started, or stopped with discard, is deleted with its
+ * history (returns { discarded: true }).
+ * Throws an httpError when the entry's week has closed or a day would pass
+ * 24 hours; the timer keeps running until it is discarded.
+ */
+async function stopTimer(employeeId, stoppedBy = 'employee', { discard = false } = {}) {
+    const ts = await getActiveTimer(employeeId);
+    if (!ts) return null;
+
+    const now = new Date();
+    if (ts.timer.state === 'paused') {
+        ts.timer.pauses[ts.timer.pauses.length - 1].end = now;
+    }
+
+    const endTime = toTime(now);
+    const endDay = shiftHours.dayKey(now);
+    if (discard || (endTime === ts.startTime && endDay === shiftHours.dayKey(ts.timer.startedAt))) {
+        await TimesheetHistory.deleteMany({ timesheet: ts._id });
+        await ts.deleteOne();
+        return { discarded: true, timesheet: ts };
+    }
+
+    const before = timesheetHistory.snapshot(ts);
+    ts.timer.state = 'stopped';
+    ts.timer.stoppedAt = now;
+    ts.timer.stoppedBy = stoppedBy;
+    ts.endTime = endTime;
+    ts.endDate = new Date(endDay);
+    ts.breakMinutes = Math.round(pausedMs(ts, now) / 60000);
+    ts.totalHours = Math.round((elapsedMs(ts, now) / (1000 * 60 * 60)) * 100) / 100;
+
+    // the same checks as an entry added by hand
+    const period = await TimesheetPeriod.findOrCreateFor(employeeId, ts.date);
+    const closed = periodClosedMessage(period);
+    if (closed) throw httpError(403, closed);
+    const limitError = await dailyLimitError(employeeId, shiftHours.entryDailyHours(ts), ts._id);
+    if (limitError) throw httpError(400, limitError);
+
+    ts.period = period._id;
+    await ts.save();
+
+    await overtimePolicy.recalculateTimesheetWeek(employeeId, ts.date);
+    const stopped = await Timesheet.findById(ts._id);
+    await timesheetHistory.record(stopped, {
+        action: 'update',
+        actor: employeeId,
+        before,
+        remarks: stoppedBy === 'check_out' ? 'Timer stopped at check-out' : 'Timer stopped'
+    });
+    await projectBudget.checkBudgetAlerts(stopped.project);
+    return { discarded: false, timesheet: stopped };
+}
+
+module.exports = {
+    ACTIVE_STATES,
+    elapsedMs,
+    getActiveTimer,
+    startTimer,
+    pauseTimer,
+    resumeTimer,
+    stopTimer
+};